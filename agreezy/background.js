@@ -1,8 +1,31 @@
 // Agreezy Background Service Worker
 
+import {
+  STORAGE_KEYS,
+  CACHE_RESULTS,
+  MESSAGE_TYPES,
+  MESSAGE_TARGETS,
+  OFFSCREEN_DOCUMENT,
+  SELECTION_ACTIONS
+} from './lib/constants.js';
+import { recordPolicySnapshot } from './lib/policy-history.js';
+import { crawlLinkedPolicies } from './lib/policy-crawler.js';
+import { getRiskGrade, saveRiskGrade, showGradeBadge } from './lib/risk-grades.js';
+import { hashContent, getResultKey, getCachedResult, setCachedResult } from './lib/analysis-cache.js';
+import { startExtraction, saveExtractedContent, updateTabDocument, removeTabDocument, DOCUMENT_STATUS } from './lib/document-store.js';
+import {
+  setBackgroundAnalysis,
+  summarizeAnalysis,
+  formatAnalysisNotification,
+  ANALYSIS_STATUS
+} from './lib/background-analysis.js';
+
 // Track which tabs have been notified to avoid spam
 const notifiedTabs = new Set();
 
+// Policy links found on signup/checkout pages, per tab, for "Analyze Now"
+const detectedPolicyLinks = new Map();
+
 // Detection notification messages
 const DETECTION_MESSAGES = {
   url: {
@@ -27,6 +50,14 @@ const DETECTION_MESSAGES = {
   }
 };
 
+// Quick actions on selected text, in a context submenu
+const SELECTION_MENU_ITEMS = [
+  { id: 'explain-selection', action: SELECTION_ACTIONS.EXPLAIN, title: 'Explain in plain English' },
+  { id: 'risk-selection', action: SELECTION_ACTIONS.RISK, title: 'Is this clause risky?' },
+  { id: 'translate-selection', action: SELECTION_ACTIONS.TRANSLATE, title: 'Translate selection' },
+  { id: 'ask-selection', action: SELECTION_ACTIONS.ASK, title: 'Ask about this…' }
+];
+
 // Setup side panel behavior
 chrome.sidePanel
   .setPanelBehavior({ openPanelOnActionClick: true })
@@ -39,14 +70,41 @@ chrome.runtime.onInstalled.addListener(() => {
     title: 'Analyze with Agreezy',
     contexts: ['page', 'selection']
   });
+
+  chrome.contextMenus.create({
+    id: 'selection-actions',
+    title: 'Quick actions',
+    contexts: ['selection']
+  });
+  for (const item of SELECTION_MENU_ITEMS) {
+    chrome.contextMenus.create({
+      id: item.id,
+      parentId: 'selection-actions',
+      title: item.title,
+      contexts: ['selection']
+    });
+  }
 });
 
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === 'analyze-with-agreezy' && tab?.id) {
+  const quickAction = SELECTION_MENU_ITEMS.find(item => item.id === info.menuItemId);
+  if ((info.menuItemId === 'analyze-with-agreezy' || quickAction) && tab?.id) {
     // Open side panel
     chrome.sidePanel.open({ tabId: tab.id });
 
+    // With text selected, the panel works on just the selection
+    if (info.selectionText) {
+      chrome.storage.session.set({
+        [STORAGE_KEYS.PENDING_SELECTION]: {
+          tabId: tab.id,
+          url: tab.url,
+          text: info.selectionText,
+          action: quickAction?.action || SELECTION_ACTIONS.ANALYZE
+        }
+      });
+    }
+
     // Extract and analyze content
     extractContent(tab.id);
   }
@@ -65,26 +123,262 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
   }
 });
 
-// Extract content from page
+/**
+ * Extract the readable text of a tab's page
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<{tab: Object, content: string|null}>} Content is null for non-web or unreadable pages
+ */
+async function extractPageText(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+
+  // Only process http/https pages
+  if (!tab.url || !tab.url.startsWith('http')) {
+    return { tab, content: null };
+  }
+
+  const injection = await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ['scripts/extract-content.js']
+  });
+
+  return { tab, content: injection?.[0]?.result || null };
+}
+
+// Extract content from page into the tab's document
 async function extractContent(tabId) {
+  let tab = null;
   try {
-    const tab = await chrome.tabs.get(tabId);
+    tab = await chrome.tabs.get(tabId);
 
     // Only process http/https pages
     if (!tab.url || !tab.url.startsWith('http')) {
       return;
     }
 
-    const injection = await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ['scripts/extract-content.js']
-    });
+    await startExtraction(tab);
+    const { content } = await extractPageText(tabId);
+    await saveExtractedContent(tab, content);
 
-    if (injection && injection[0]?.result) {
-      chrome.storage.session.set({ pageContent: injection[0].result });
+    if (content) {
+      checkForPolicyChanges(tab, content);
     }
   } catch (error) {
     console.error('Content extraction failed:', error);
+    if (tab?.url) {
+      await updateTabDocument(tabId, tab.url, { status: DOCUMENT_STATUS.ERROR, error: error.message });
+    }
+  }
+}
+
+// ============================================================================
+// POLICY CHANGE TRACKING
+// ============================================================================
+
+/**
+ * Snapshot tracked policy pages and alert when their text has changed
+ * since they were last analyzed
+ * @param {Object} tab - Tab the content was extracted from
+ * @param {string} content - Extracted page text
+ */
+async function checkForPolicyChanges(tab, content) {
+  try {
+    const { changed, record } = await recordPolicySnapshot(tab.url, content);
+    if (!changed) return;
+
+    const { policyChangeAlerts } = await chrome.storage.local.get(STORAGE_KEYS.POLICY_CHANGE_ALERTS);
+
+    // Default to true if not set
+    if (policyChangeAlerts === false) {
+      return;
+    }
+
+    const { added, removed, modified } = record.lastChange.diff.stats;
+    const changeCount = added + removed + modified;
+
+    await chrome.notifications.create(`policy-change-${tab.id}`, {
+      type: 'basic',
+      iconUrl: 'images/icon128.png',
+      title: 'Policy Changed',
+      message: `"${record.title}" has changed since you analyzed it (${changeCount} paragraph${changeCount === 1 ? '' : 's'} affected).`,
+      buttons: [
+        { title: 'View Changes' },
+        { title: 'Dismiss' }
+      ],
+      priority: 1,
+      requireInteraction: false
+    });
+  } catch (error) {
+    console.error('[Policy History] Failed to check for changes:', error);
+  }
+}
+
+// ============================================================================
+// OFFSCREEN DOCUMENT
+// ============================================================================
+
+let creatingOffscreenDocument = null;
+
+/**
+ * Make sure the offscreen document (our DOM and AI context) exists
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT.PATH,
+      reasons: OFFSCREEN_DOCUMENT.REASONS,
+      justification: OFFSCREEN_DOCUMENT.JUSTIFICATION
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  await creatingOffscreenDocument;
+}
+
+/**
+ * Send a message to the offscreen document, creating it first if needed
+ * @param {Object} message - Message (its target is set here)
+ * @returns {Promise<*>} The offscreen document's response
+ */
+async function sendToOffscreen(message) {
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({ ...message, target: MESSAGE_TARGETS.OFFSCREEN });
+}
+
+/**
+ * Parse fetched HTML into readable text in the offscreen document
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Promise<{title: string, content: string}|null>}
+ */
+async function parseInOffscreen(html, url) {
+  const response = await sendToOffscreen({ type: MESSAGE_TYPES.PARSE_POLICY_HTML, html, url });
+  return response?.article || null;
+}
+
+// ============================================================================
+// BACKGROUND ANALYSIS
+// ============================================================================
+
+/**
+ * Check whether the side panel is open in a window (it then analyzes the page itself)
+ * @param {number} windowId - Window ID
+ * @returns {Promise<boolean>}
+ */
+async function isSidePanelOpen(windowId) {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['SIDE_PANEL'], windowIds: [windowId] });
+  return contexts.length > 0;
+}
+
+/**
+ * Start analyzing a detected policy page in the offscreen document
+ * The detection notification is sent once the results are in
+ * (see handleAnalysisResult), so it can say what was found.
+ * @param {Object} tab - Tab where detection occurred
+ * @param {string} detectionType - Primary detection type
+ * @returns {Promise<boolean>} False if the page is not analyzed in the background
+ */
+async function startBackgroundAnalysis(tab, detectionType) {
+  try {
+    const { backgroundAnalysis } = await chrome.storage.local.get(STORAGE_KEYS.BACKGROUND_ANALYSIS);
+
+    // Default to true if not set
+    if (backgroundAnalysis === false || await isSidePanelOpen(tab.windowId)) {
+      return false;
+    }
+
+    const { content } = await extractPageText(tab.id);
+    if (!content) return false;
+
+    const hash = await hashContent(content);
+    const pageTab = { id: tab.id, url: tab.url, title: tab.title };
+    const cached = {
+      keyPoints: await getCachedResult(hash, getResultKey(CACHE_RESULTS.KEY_POINTS)),
+      risk: await getCachedResult(hash, getResultKey(CACHE_RESULTS.RISK_SCORE))
+    };
+
+    if (cached.keyPoints !== undefined && cached.risk !== undefined) {
+      // Analyzed before: notify with the findings right away
+      await handleAnalysisResult({ hash, tab: pageTab, detectionType, ...cached });
+      return true;
+    }
+
+    await setBackgroundAnalysis(hash, { status: ANALYSIS_STATUS.ANALYZING, url: tab.url, tabId: tab.id, summary: null });
+    await sendToOffscreen({ type: MESSAGE_TYPES.ANALYZE_DOCUMENT, hash, content, cached, tab: pageTab, detectionType });
+    return true;
+  } catch (error) {
+    console.error('[Background Analysis] Failed to start:', error);
+    return false;
+  }
+}
+
+/**
+ * Cache the offscreen document's results and notify the user of the findings
+ * @param {Object} result - ANALYSIS_RESULT message
+ */
+async function handleAnalysisResult(result) {
+  const { hash, tab, detectionType, keyPoints, risk, degraded = {}, error, cancelled } = result;
+
+  if (cancelled || error) {
+    // Cancelled from the side panel, which is showing the page anyway
+    await setBackgroundAnalysis(hash, { status: cancelled ? ANALYSIS_STATUS.CANCELLED : ANALYSIS_STATUS.ERROR, error });
+    if (!cancelled) await notifyDetection(tab, detectionType);
+    return;
+  }
+
+  // Cache first: the panel reads the cache as soon as the status says done
+  // (fallbacks after a model failure are left for the panel to retry)
+  if (!degraded.keyPoints) {
+    await setCachedResult(hash, getResultKey(CACHE_RESULTS.KEY_POINTS), keyPoints);
+  }
+  if (!degraded.risk) {
+    await setCachedResult(hash, getResultKey(CACHE_RESULTS.RISK_SCORE), risk);
+  }
+  await saveRiskGrade(tab.url, risk);
+
+  const summary = summarizeAnalysis(keyPoints, risk);
+  await setBackgroundAnalysis(hash, { status: ANALYSIS_STATUS.DONE, summary });
+
+  // Only badge and notify if the tab is still on the analyzed page
+  const current = await chrome.tabs.get(tab.id).catch(() => null);
+  if (current?.url !== tab.url) return;
+
+  await showGradeBadge(tab.id, risk.grade);
+  await notifyDetection(tab, detectionType, summary);
+}
+
+// ============================================================================
+// LINKED POLICY CRAWLING
+// ============================================================================
+
+/**
+ * Fetch the policies a page links to and hand them to the side panel
+ * The panel analyzes the documents and shows the combined report.
+ * @param {Object} tab - Tab showing the signup/checkout page
+ * @param {Array<{title: string, url: string}>} links - Links from findPolicyLinks
+ */
+async function crawlPolicyLinks(tab, links) {
+  if (!tab?.id || !tab.url?.startsWith('http') || !links?.length) return;
+
+  const stored = await chrome.storage.session.get(STORAGE_KEYS.LINKED_POLICIES);
+  const previous = stored[STORAGE_KEYS.LINKED_POLICIES];
+  if (previous?.tabId === tab.id && previous.pageUrl === tab.url && previous.status !== 'error') {
+    return; // Already fetched (or fetching) for this page
+  }
+
+  const report = { tabId: tab.id, pageUrl: tab.url, pageTitle: tab.title, documents: [], skipped: [] };
+  await chrome.storage.session.set({ [STORAGE_KEYS.LINKED_POLICIES]: { ...report, status: 'crawling' } });
+
+  try {
+    const { documents, skipped } = await crawlLinkedPolicies(tab.url, links, { parseHTML: parseInOffscreen });
+    await chrome.storage.session.set({
+      [STORAGE_KEYS.LINKED_POLICIES]: { ...report, documents, skipped, status: 'done', crawledAt: Date.now() }
+    });
+  } catch (error) {
+    console.error('[Policy Crawler] Crawl failed:', error);
+    await chrome.storage.session.set({ [STORAGE_KEYS.LINKED_POLICIES]: { ...report, status: 'error' } });
   }
 }
 
@@ -96,15 +390,27 @@ async function extractContent(tabId) {
  * Handle detection messages from content script
  */
 chrome.runtime.onMessage.addListener((message, sender) => {
-  if (message.type === 'DETECTION_FOUND') {
+  if (message.type === MESSAGE_TYPES.DETECTION_FOUND) {
     handleDetection(message, sender.tab);
-  } else if (message.type === 'OPEN_SIDE_PANEL') {
+  } else if (message.type === MESSAGE_TYPES.OPEN_SIDE_PANEL) {
     // Open side panel when banner "Analyze" button is clicked
     if (sender.tab?.id) {
       chrome.sidePanel.open({ tabId: sender.tab.id });
       // Also trigger content extraction
       extractContent(sender.tab.id);
     }
+  } else if (message.type === MESSAGE_TYPES.ANALYZE_LINKED_POLICIES) {
+    // Banner "Analyze All" button on a page that links to its policies
+    if (sender.tab?.id) {
+      chrome.sidePanel.open({ tabId: sender.tab.id });
+      extractContent(sender.tab.id);
+      crawlPolicyLinks(sender.tab, message.policyLinks);
+    }
+  } else if (message.type === MESSAGE_TYPES.ANALYSIS_RESULT && message.target === MESSAGE_TARGETS.WORKER) {
+    // Offscreen document finished analyzing a detected page
+    handleAnalysisResult(message).catch(error => {
+      console.error('[Background Analysis] Failed to handle result:', error);
+    });
   }
 });
 
@@ -132,39 +438,63 @@ async function handleDetection(detection, tab) {
 
     notifiedTabs.add(tab.id);
 
-    // Set badge on extension icon
-    await chrome.action.setBadgeText({
-      tabId: tab.id,
-      text: '!'
-    });
+    if (detection.context === 'indirect' && detection.policyLinks?.length) {
+      detectedPolicyLinks.set(tab.id, detection.policyLinks);
+    }
 
-    await chrome.action.setBadgeBackgroundColor({
-      tabId: tab.id,
-      color: '#FF6B6B'
-    });
+    // Set badge on extension icon: the document's grade if it was analyzed before
+    const risk = await getRiskGrade(tab.url);
+    if (risk) {
+      await showGradeBadge(tab.id, risk.grade);
+    } else {
+      await chrome.action.setBadgeText({
+        tabId: tab.id,
+        text: '!'
+      });
+
+      await chrome.action.setBadgeBackgroundColor({
+        tabId: tab.id,
+        color: '#FF6B6B'
+      });
+    }
 
     // Get the highest priority detection type
     const primaryDetection = getPrimaryDetection(detection.detections);
-    const notificationConfig = DETECTION_MESSAGES[primaryDetection] || DETECTION_MESSAGES.content;
 
-    // Create notification
-    await chrome.notifications.create(`detection-${tab.id}`, {
-      type: 'basic',
-      iconUrl: 'images/icon128.png',
-      title: notificationConfig.title,
-      message: notificationConfig.message,
-      buttons: [
-        { title: 'Analyze Now' },
-        { title: 'Dismiss' }
-      ],
-      priority: 1,
-      requireInteraction: false
-    });
+    // On a policy page, analyze it first so the notification can say what was found
+    if (detection.context === 'direct' && await startBackgroundAnalysis(tab, primaryDetection)) {
+      return;
+    }
+
+    await notifyDetection(tab, primaryDetection);
   } catch (error) {
     console.error('[Auto-Detection] Failed to handle detection:', error);
   }
 }
 
+/**
+ * Show the detection notification for a tab
+ * @param {{id: number}} tab - Tab where detection occurred
+ * @param {string} detectionType - Primary detection type
+ * @param {Object} summary - Background analysis findings (from summarizeAnalysis), if any
+ */
+async function notifyDetection(tab, detectionType, summary = null) {
+  const notificationConfig = DETECTION_MESSAGES[detectionType] || DETECTION_MESSAGES.content;
+
+  await chrome.notifications.create(`detection-${tab.id}`, {
+    type: 'basic',
+    iconUrl: 'images/icon128.png',
+    title: notificationConfig.title,
+    message: summary ? formatAnalysisNotification(summary) : notificationConfig.message,
+    buttons: [
+      { title: summary ? 'View Results' : 'Analyze Now' },
+      { title: 'Dismiss' }
+    ],
+    priority: 1,
+    requireInteraction: false
+  });
+}
+
 /**
  * Get primary detection type (highest priority)
  * @param {Array<string>} detections - Array of detection types
@@ -183,23 +513,44 @@ function getPrimaryDetection(detections) {
   return detections[0] || 'content';
 }
 
+/**
+ * Get the tab ID from one of our notification IDs
+ * @param {string} notificationId - Notification ID (e.g. 'detection-42')
+ * @returns {number|null} Tab ID, or null for notifications we don't own
+ */
+function getNotificationTabId(notificationId) {
+  const match = notificationId.match(/^(?:detection|policy-change)-(\d+)$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Fetch the policies linked from a tab's signup/checkout page, if any were detected
+ * @param {number} tabId - Tab ID
+ */
+async function crawlDetectedPolicyLinks(tabId) {
+  const links = detectedPolicyLinks.get(tabId);
+  if (!links) return;
+
+  await crawlPolicyLinks(await chrome.tabs.get(tabId), links);
+}
+
 /**
  * Handle notification button clicks
  */
 chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
-  if (!notificationId.startsWith('detection-')) return;
-
   // Extract tab ID from notification ID
-  const tabId = parseInt(notificationId.replace('detection-', ''));
+  const tabId = getNotificationTabId(notificationId);
+  if (tabId === null) return;
 
   if (buttonIndex === 0) {
-    // "Analyze Now" button clicked
+    // "Analyze Now" / "View Results" / "View Changes" button clicked
     try {
       // Open side panel
       await chrome.sidePanel.open({ tabId });
 
       // Trigger content extraction and analysis
       await extractContent(tabId);
+      await crawlDetectedPolicyLinks(tabId);
     } catch (error) {
       console.error('[Auto-Detection] Failed to open side panel:', error);
     }
@@ -213,10 +564,9 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
  * Handle notification clicks (clicking the notification body)
  */
 chrome.notifications.onClicked.addListener(async (notificationId) => {
-  if (!notificationId.startsWith('detection-')) return;
-
   // Extract tab ID from notification ID
-  const tabId = parseInt(notificationId.replace('detection-', ''));
+  const tabId = getNotificationTabId(notificationId);
+  if (tabId === null) return;
 
   try {
     // Open side panel
@@ -224,6 +574,7 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
 
     // Trigger content extraction and analysis
     await extractContent(tabId);
+    await crawlDetectedPolicyLinks(tabId);
 
     // Clear notification
     chrome.notifications.clear(notificationId);
@@ -237,7 +588,10 @@ chrome.notifications.onClicked.addListener(async (notificationId) => {
  */
 chrome.tabs.onRemoved.addListener((tabId) => {
   notifiedTabs.delete(tabId);
+  detectedPolicyLinks.delete(tabId);
+  removeTabDocument(tabId);
   chrome.notifications.clear(`detection-${tabId}`);
+  chrome.notifications.clear(`policy-change-${tabId}`);
 });
 
 /**
@@ -247,6 +601,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.url) {
     // Clear badge and notification state for this tab
     notifiedTabs.delete(tabId);
+    detectedPolicyLinks.delete(tabId);
     chrome.action.setBadgeText({ tabId, text: '' });
   }
 });
@@ -1,8 +1,175 @@
 /**
  * Chrome AI APIs Integration for Agreezy
  * Handles Prompt API (LanguageModel), Translation API (Translator), and Summarizer API
+ * All model calls go through a shared scheduler that caps concurrency, so
+ * features can start every call at once (e.g. one per chunk with Promise.all)
+ * and leave it to the scheduler to run them AI_SCHEDULER.DEFAULT_CONCURRENCY
+ * (or the user's setting) at a time.
  */
 
+import { AI_SCHEDULER, AI_TASKS } from './constants.js';
+import { measureChunkBudget } from './chunker.js';
+
+const queue = [];
+const progress = new Map(); // task type -> { completed, total }
+const sessionPool = new Map(); // session options key -> Promise<base session>, least recently used first
+let concurrency = AI_SCHEDULER.DEFAULT_CONCURRENCY;
+let running = 0;
+let sequence = 0;
+
+/**
+ * Scheduler events. 'progress' fires whenever a task is queued or finishes,
+ * with detail { task, completed, total } counted per task type.
+ */
+export const aiScheduler = new EventTarget();
+
+/**
+ * Configure the scheduler
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum model calls running at once
+ */
+export function configureScheduler({ concurrency: limit } = {}) {
+  if (Number.isInteger(limit) && limit > 0) {
+    concurrency = limit;
+    drainQueue();
+  }
+}
+
+/**
+ * Queue a model call behind the concurrency cap
+ * Higher-priority task types run first; transient failures are retried with
+ * exponential backoff. Aborting the signal drops the task if it hasn't started.
+ * @param {Function} run - Async function making the call
+ * @param {Object} options
+ * @param {string} options.task - One of AI_TASKS
+ * @param {AbortSignal} options.signal - Aborts the task
+ * @returns {Promise<*>} Result of run
+ */
+export function scheduleAITask(run, { task = AI_TASKS.OTHER, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const entry = {
+      run,
+      task,
+      signal,
+      priority: AI_SCHEDULER.PRIORITIES[task] ?? AI_SCHEDULER.PRIORITIES[AI_TASKS.OTHER],
+      order: sequence++,
+      resolve,
+      reject
+    };
+
+    entry.onAbort = () => {
+      const index = queue.indexOf(entry);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        updateProgress(task, { completed: 1 });
+        reject(signal.reason);
+      }
+    };
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+    queue.push(entry);
+    queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    updateProgress(task, { scheduled: 1 });
+    drainQueue();
+  });
+}
+
+/**
+ * Start queued tasks while there is capacity
+ */
+function drainQueue() {
+  while (running < concurrency && queue.length > 0) {
+    const entry = queue.shift();
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    running++;
+
+    runWithRetry(entry.run, entry.signal)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        running--;
+        updateProgress(entry.task, { completed: 1 });
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Run a task, retrying transient failures with exponential backoff
+ * @param {Function} run - Async function making the call
+ * @param {AbortSignal} signal - Stops retrying once aborted
+ * @returns {Promise<*>}
+ */
+async function runWithRetry(run, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run();
+    } catch (error) {
+      if (signal?.aborted || attempt >= AI_SCHEDULER.MAX_RETRIES || !isTransientError(error)) {
+        throw error;
+      }
+
+      const delay = AI_SCHEDULER.RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`AI task failed, retrying in ${delay}ms:`, error);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Whether a failed call might succeed if retried
+ * @param {Error} error - Error thrown by the call (or wrapping it as cause)
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const name = error?.cause?.name || error?.name;
+  return !AI_SCHEDULER.NON_RETRYABLE_ERRORS.includes(name);
+}
+
+/**
+ * Wait, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Aborts the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Count queued and finished tasks per type and report them
+ * Counters reset once every task of the type has finished.
+ * @param {string} task - Task type
+ * @param {{scheduled?: number, completed?: number}} delta - Change in counts
+ */
+function updateProgress(task, { scheduled = 0, completed = 0 }) {
+  const state = progress.get(task) || { completed: 0, total: 0 };
+  state.total += scheduled;
+  state.completed += completed;
+
+  if (state.completed >= state.total) {
+    progress.delete(task);
+  } else {
+    progress.set(task, state);
+  }
+
+  aiScheduler.dispatchEvent(new CustomEvent('progress', { detail: { task, ...state } }));
+}
+
 /**
  * Check if Prompt API (LanguageModel) is available
  */
@@ -28,22 +195,74 @@ export async function checkPromptAPIAvailability() {
 /**
  * Create a Prompt API session using LanguageModel
  * For general-purpose tasks with balanced creativity/speed
+ * options.signal aborts session creation (and the download it may trigger);
+ * options.initialPrompts restores earlier user/assistant turns.
  */
 export async function createPromptSession(systemPrompt = '', options = {}) {
   try {
     const session = await LanguageModel.create({
       systemPrompt: systemPrompt,
+      ...(options.initialPrompts?.length && { initialPrompts: options.initialPrompts }),
       temperature: options.temperature ?? 0.3,
       topK: options.topK ?? 3,
-      language: 'en'
+      language: 'en',
+      signal: options.signal
     });
 
     return session;
   } catch (error) {
-    throw new Error(`Failed to create Prompt API session: ${error.message}`);
+    throw new Error(`Failed to create Prompt API session: ${error.message}`, { cause: error });
   }
 }
 
+/**
+ * Get a pooled base session for a system prompt and sampling options
+ * Base sessions are never prompted; they are cloned or measured. Creating one
+ * is a model call, so callers must be running as a scheduled task.
+ * @param {string} systemPrompt - System prompt
+ * @param {Object} options - Session options (temperature, topK)
+ * @returns {Promise<Object>} Base session
+ */
+async function getBaseSession(systemPrompt, options = {}) {
+  const sessionOptions = { temperature: options.temperature, topK: options.topK };
+  const key = JSON.stringify([systemPrompt, sessionOptions.temperature, sessionOptions.topK]);
+
+  let base = sessionPool.get(key);
+  if (base) {
+    sessionPool.delete(key); // Re-inserted below as most recently used
+  } else {
+    base = createPromptSession(systemPrompt, sessionOptions);
+    base.catch(() => {
+      if (sessionPool.get(key) === base) sessionPool.delete(key);
+    });
+  }
+  sessionPool.set(key, base);
+
+  while (sessionPool.size > AI_SCHEDULER.SESSION_POOL_SIZE) {
+    const [oldestKey, oldest] = sessionPool.entries().next().value;
+    sessionPool.delete(oldestKey);
+    oldest.then(session => session.destroy(), () => {});
+  }
+
+  return base;
+}
+
+/**
+ * Get a session for one prompt by cloning a pooled base session
+ * Base sessions have already processed their system prompt, so clones start
+ * faster than fresh sessions. The caller destroys the clone.
+ * @param {string} systemPrompt - System prompt
+ * @param {Object} options - Session options (temperature, topK, signal)
+ * @returns {Promise<Object>} Session
+ */
+async function getPooledSession(systemPrompt, options = {}) {
+  const session = await getBaseSession(systemPrompt, options);
+  if (!session.clone) {
+    return createPromptSession(systemPrompt, options);
+  }
+  return session.clone({ signal: options.signal });
+}
+
 /**
  * Create a FAST session optimized for JSON/structured output
  * Uses temperature: 0, topK: 1 for maximum speed and determinism
@@ -54,14 +273,79 @@ export async function createFastSession(systemPrompt = '') {
 
 /**
  * Use Prompt API to process text
+ * Runs through the scheduler as options.task. The session is destroyed when
+ * the prompt finishes, fails or is aborted via options.signal.
+ * options.responseConstraint (a JSON Schema) constrains the response format.
  */
 export async function promptAPI(userPrompt, systemPrompt = '', options = {}) {
-  const session = await createPromptSession(systemPrompt, options);
+  return scheduleAITask(async () => {
+    const session = await getPooledSession(systemPrompt, options);
+    try {
+      const result = await session.prompt(userPrompt, {
+        signal: options.signal,
+        ...(options.responseConstraint && { responseConstraint: options.responseConstraint })
+      });
+      return result;
+    } finally {
+      session.destroy();
+    }
+  }, options);
+}
+
+/**
+ * Use Prompt API with streaming output
+ * @param {string} userPrompt - Prompt text
+ * @param {string} systemPrompt - System prompt
+ * @param {Function} onUpdate - Called with the accumulated text after every chunk
+ * @param {Object} options - Session and scheduler options
+ * @returns {Promise<string>} Full response
+ */
+export async function promptStreamingAPI(userPrompt, systemPrompt = '', onUpdate = null, options = {}) {
+  return scheduleAITask(async () => {
+    const session = await getPooledSession(systemPrompt, options);
+    try {
+      return await readTextStream(session.promptStreaming(userPrompt, { signal: options.signal }), onUpdate);
+    } finally {
+      session.destroy();
+    }
+  }, options);
+}
+
+/**
+ * Read a streamed model response to the end
+ * @param {ReadableStream<string>} stream - Stream from promptStreaming/summarizeStreaming/translateStreaming
+ * @param {Function} onUpdate - Called with the accumulated text after every chunk
+ * @returns {Promise<string>} Full text
+ */
+export async function readTextStream(stream, onUpdate = null) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+    onUpdate?.(text);
+  }
+  return text;
+}
+
+/**
+ * Measure how many document tokens fit one Prompt API call
+ * Falls back to the chunker's estimates when the model can't be measured.
+ * @param {string} systemPrompt - System prompt the chunks will be sent with
+ * @param {string} template - User prompt with an empty document
+ * @param {string} sample - Document text to calibrate token counting on
+ * @param {Object} options - Session options (temperature, topK) and scheduler options (task, signal)
+ * @returns {Promise<Object>} Options for chunkContent
+ */
+export async function getPromptChunkBudget(systemPrompt, template, sample, options = {}) {
   try {
-    const result = await session.prompt(userPrompt);
-    return result;
-  } finally {
-    session.destroy();
+    return await scheduleAITask(async () => {
+      const session = await getBaseSession(systemPrompt, options);
+      if (!session.measureInputUsage || !session.inputQuota) return {};
+      return await measureChunkBudget(session, template, sample);
+    }, options);
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    console.warn('Token budget measurement failed, using estimates:', error);
+    return {};
   }
 }
 
@@ -69,8 +353,8 @@ export async function promptAPI(userPrompt, systemPrompt = '', options = {}) {
  * Use FAST Prompt API for JSON/structured output
  * Optimized for speed with temperature: 0, topK: 1
  */
-export async function fastPromptAPI(userPrompt, systemPrompt = '') {
-  return promptAPI(userPrompt, systemPrompt, { temperature: 0, topK: 1 });
+export async function fastPromptAPI(userPrompt, systemPrompt = '', options = {}) {
+  return promptAPI(userPrompt, systemPrompt, { ...options, temperature: 0, topK: 1 });
 }
 
 /**
@@ -121,7 +405,39 @@ export async function createSummarizer(options = {}) {
 
     return summarizer;
   } catch (error) {
-    throw new Error(`Failed to create summarizer: ${error.message}`);
+    throw new Error(`Failed to create summarizer: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Measure how many document tokens fit one FAST Prompt API call
+ * options.task and options.signal are passed to the scheduler.
+ */
+export async function getFastPromptChunkBudget(systemPrompt, template, sample, options = {}) {
+  return getPromptChunkBudget(systemPrompt, template, sample, { ...options, temperature: 0, topK: 1 });
+}
+
+/**
+ * Measure how many document tokens fit one Summarizer call
+ * @param {Object} options - Summarizer options
+ * @param {string} sample - Document text to calibrate token counting on
+ * @returns {Promise<Object>} Options for chunkContent
+ */
+export async function getSummarizerChunkBudget(options, sample) {
+  try {
+    return await scheduleAITask(async () => {
+      const summarizer = await createSummarizer(options);
+      try {
+        if (!summarizer.measureInputUsage || !summarizer.inputQuota) return {};
+        return await measureChunkBudget(summarizer, '', sample);
+      } finally {
+        summarizer.destroy();
+      }
+    }, { task: AI_TASKS.SUMMARY, signal: options.signal });
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    console.warn('Token budget measurement failed, using estimates:', error);
+    return {};
   }
 }
 
@@ -168,21 +484,27 @@ export async function checkLanguageDetectorAvailability() {
 /**
  * Detect language of text
  */
-export async function detectLanguage(text) {
+export async function detectLanguage(text, signal = null) {
   try {
     // Try native LanguageDetector API first
     if (typeof LanguageDetector !== 'undefined') {
-      const detector = await LanguageDetector.create();
-      const results = await detector.detect(text);
-      detector.destroy();
-      return results[0]?.detectedLanguage || 'en';
+      return await scheduleAITask(async () => {
+        const detector = await LanguageDetector.create({ signal });
+        try {
+          const results = await detector.detect(text, { signal });
+          return results[0]?.detectedLanguage || 'en';
+        } finally {
+          detector.destroy();
+        }
+      }, { task: AI_TASKS.TRANSLATION, signal });
     }
 
     // Fallback: use Prompt API (LanguageModel)
     const systemPrompt = 'You are a language detector. Respond ONLY with the ISO 639-1 language code (2 letters) of the text. Examples: en, es, fr, de, ja, zh. Nothing else.';
-    const result = await promptAPI(text.substring(0, 500), systemPrompt);
+    const result = await promptAPI(text.substring(0, 500), systemPrompt, { signal, task: AI_TASKS.TRANSLATION });
     return result.trim().toLowerCase();
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Language detection failed:', error);
     return 'en'; // Default to English
   }
@@ -190,22 +512,36 @@ export async function detectLanguage(text) {
 
 /**
  * Translate text using Translator API
+ * Streams the translation when onUpdate is given.
  */
-export async function translateText(text, targetLanguage = 'en', sourceLanguage = null) {
+export async function translateText(text, targetLanguage = 'en', sourceLanguage = null, onUpdate = null, signal = null) {
   try {
     // Try native Translator API first
     if (typeof Translator !== 'undefined') {
-      const translator = await Translator.create({
-        sourceLanguage: sourceLanguage || 'en',
-        targetLanguage: targetLanguage
-      });
-      const result = await translator.translate(text);
-      return result;
+      return await scheduleAITask(async () => {
+        const translator = await Translator.create({
+          sourceLanguage: sourceLanguage || 'en',
+          targetLanguage: targetLanguage,
+          signal
+        });
+        try {
+          if (onUpdate && translator.translateStreaming) {
+            return await readTextStream(translator.translateStreaming(text, { signal }), onUpdate);
+          }
+          const result = await translator.translate(text, { signal });
+          return result;
+        } finally {
+          translator.destroy();
+        }
+      }, { task: AI_TASKS.TRANSLATION, signal });
     }
 
     // Fallback: use Prompt API (LanguageModel)
     const systemPrompt = `You are a translator. Translate the following text to ${targetLanguage}. Preserve formatting and structure. Only respond with the translation, nothing else.`;
-    const result = await promptAPI(text, systemPrompt);
+    const options = { signal, task: AI_TASKS.TRANSLATION };
+    const result = onUpdate
+      ? await promptStreamingAPI(text, systemPrompt, onUpdate, options)
+      : await promptAPI(text, systemPrompt, options);
     return result;
   } catch (error) {
     throw new Error(`Translation failed: ${error.message}`);
@@ -234,7 +570,14 @@ export async function checkAllAPIsAvailability() {
 export default {
   checkPromptAPIAvailability,
   createPromptSession,
+  configureScheduler,
+  scheduleAITask,
   promptAPI,
+  promptStreamingAPI,
+  getPromptChunkBudget,
+  getFastPromptChunkBudget,
+  getSummarizerChunkBudget,
+  readTextStream,
   checkSummarizerAvailability,
   createSummarizer,
   checkTranslationAvailability,
@@ -0,0 +1,210 @@
+/**
+ * Analysis Cache for Agreezy
+ * Persists AI results keyed by a hash of the extracted document text,
+ * so revisiting a page serves them instantly instead of re-running the models
+ */
+
+import { ANALYSIS_SCHEMA, CACHE_CONFIG } from './constants.js';
+import { getFromStorage, setInStorage, removeFromStorage } from './storage-helper.js';
+import { migrateResult } from './analysis-schema.js';
+
+// Serialize index updates so concurrent writes don't clobber each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a task after all previously queued cache writes
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function enqueue(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Hash document content (SHA-256, hex)
+ * @param {string} content - Extracted document text
+ * @returns {Promise<string>} Content hash
+ */
+export async function hashContent(content) {
+  const data = new TextEncoder().encode(content.trim());
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Build a result key from a feature name and its parameters
+ * e.g. getResultKey('summary', 'tldr', 'short', 'markdown') -> 'summary:tldr:short:markdown'
+ * @param {string} feature - Feature name
+ * @param {...string} params - Parameters that change the result
+ * @returns {string} Result key
+ */
+export function getResultKey(feature, ...params) {
+  return [feature, ...params].join(':');
+}
+
+/**
+ * Storage key for a document's cached results
+ * @param {string} hash - Content hash
+ * @returns {string}
+ */
+function getDocumentKey(hash) {
+  return `${CACHE_CONFIG.DOCUMENT_KEY_PREFIX}${hash}`;
+}
+
+/**
+ * Load the cache index ({ [hash]: { size, lastAccessed } })
+ * @returns {Promise<Object>}
+ */
+async function loadIndex() {
+  const stored = await getFromStorage(CACHE_CONFIG.INDEX_KEY);
+  return stored[CACHE_CONFIG.INDEX_KEY] || {};
+}
+
+/**
+ * Bring a document's cached results up to the current analysis schema
+ * Entries cached before results were versioned are version 1.
+ * @param {Object} entry - Cached results ({ [resultKey]: value })
+ * @returns {Object} Entry at the current version
+ */
+function migrateEntry(entry = {}) {
+  const { [CACHE_CONFIG.VERSION_KEY]: version = 1, ...results } = entry;
+  const migrated = Object.entries(results).map(([resultKey, value]) => [resultKey, migrateResult(resultKey, value, version)]);
+  return { ...Object.fromEntries(migrated), [CACHE_CONFIG.VERSION_KEY]: ANALYSIS_SCHEMA.VERSION };
+}
+
+/**
+ * Get a cached result for a document, migrated to the current analysis schema
+ * @param {string} hash - Content hash
+ * @param {string} resultKey - Result key (see getResultKey)
+ * @returns {Promise<*>} Cached value, or undefined on a miss
+ */
+export async function getCachedResult(hash, resultKey) {
+  if (!hash) return undefined;
+
+  const documentKey = getDocumentKey(hash);
+  const stored = await getFromStorage(documentKey);
+  const entry = stored[documentKey];
+  const value = entry?.[resultKey];
+
+  if (value !== undefined) {
+    // Touch the entry so it survives LRU eviction
+    enqueue(async () => {
+      const index = await loadIndex();
+      if (index[hash]) {
+        index[hash].lastAccessed = Date.now();
+        await setInStorage({ [CACHE_CONFIG.INDEX_KEY]: index });
+      }
+    });
+  }
+
+  return value === undefined ? undefined : migrateResult(resultKey, value, entry[CACHE_CONFIG.VERSION_KEY] || 1);
+}
+
+/**
+ * Store a result for a document, evicting least recently used documents
+ * when the cache grows past its limits
+ * @param {string} hash - Content hash
+ * @param {string} resultKey - Result key (see getResultKey)
+ * @param {*} value - JSON-serializable result
+ * @returns {Promise<boolean>} Success status
+ */
+export function setCachedResult(hash, resultKey, value) {
+  if (!hash) return Promise.resolve(false);
+
+  return enqueue(async () => {
+    const documentKey = getDocumentKey(hash);
+    const stored = await getFromStorage(documentKey);
+    const entry = { ...migrateEntry(stored[documentKey]), [resultKey]: value };
+    const size = JSON.stringify(entry).length;
+
+    // A single document larger than the whole cache is not worth storing
+    if (size > CACHE_CONFIG.MAX_TOTAL_BYTES) {
+      return false;
+    }
+
+    const index = await loadIndex();
+    index[hash] = { size, lastAccessed: Date.now() };
+
+    const evicted = selectEvictions(index, hash);
+    for (const evictedHash of evicted) {
+      delete index[evictedHash];
+    }
+    if (evicted.length > 0) {
+      await removeFromStorage(evicted.map(getDocumentKey));
+    }
+
+    return setInStorage({
+      [documentKey]: entry,
+      [CACHE_CONFIG.INDEX_KEY]: index
+    });
+  });
+}
+
+/**
+ * Pick documents to evict (least recently accessed first) until the
+ * cache is within its entry and size limits
+ * @param {Object} index - Cache index
+ * @param {string} keepHash - Hash that must not be evicted
+ * @returns {Array<string>} Hashes to evict
+ */
+function selectEvictions(index, keepHash) {
+  const entries = Object.entries(index)
+    .filter(([hash]) => hash !== keepHash)
+    .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+
+  let count = Object.keys(index).length;
+  let totalBytes = Object.values(index).reduce((sum, meta) => sum + meta.size, 0);
+  const evicted = [];
+
+  for (const [hash, meta] of entries) {
+    if (count <= CACHE_CONFIG.MAX_DOCUMENTS && totalBytes <= CACHE_CONFIG.MAX_TOTAL_BYTES) {
+      break;
+    }
+    evicted.push(hash);
+    count--;
+    totalBytes -= meta.size;
+  }
+
+  return evicted;
+}
+
+/**
+ * Drop all cached results for a document (used by "force refresh")
+ * @param {string} hash - Content hash
+ * @returns {Promise<boolean>} Success status
+ */
+export function clearDocumentCache(hash) {
+  if (!hash) return Promise.resolve(false);
+
+  return enqueue(async () => {
+    const index = await loadIndex();
+    delete index[hash];
+    await removeFromStorage(getDocumentKey(hash));
+    return setInStorage({ [CACHE_CONFIG.INDEX_KEY]: index });
+  });
+}
+
+/**
+ * Drop every cached analysis
+ * @returns {Promise<boolean>} Success status
+ */
+export function clearAnalysisCache() {
+  return enqueue(async () => {
+    const index = await loadIndex();
+    await removeFromStorage(Object.keys(index).map(getDocumentKey));
+    return removeFromStorage(CACHE_CONFIG.INDEX_KEY);
+  });
+}
+
+export default {
+  hashContent,
+  getResultKey,
+  getCachedResult,
+  setCachedResult,
+  clearDocumentCache,
+  clearAnalysisCache
+};
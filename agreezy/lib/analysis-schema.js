@@ -0,0 +1,434 @@
+/**
+ * Analysis Result Schema for Agreezy
+ * The shapes every feature module's results take, and the versioned analysis
+ * document they are exported, imported and cached as. Analyses (and cached
+ * results) from older versions are migrated forward one version at a time,
+ * so a teammate's export opens in the side panel without re-running the models.
+ *
+ * Analysis document, version ANALYSIS_SCHEMA.VERSION:
+ * {
+ *   format: 'agreezy-analysis',
+ *   version: 4,
+ *   generatedAt: '2024-05-01T12:00:00.000Z',
+ *   document: {
+ *     title: string,
+ *     url: string|null,
+ *     contentHash: string|null,
+ *     scope: 'document' | 'selection',
+ *     content: string|null              // Analyzed text (the selection, for a selection)
+ *   },
+ *   keyPoints: [KeyPoint],              // createKeyPoint
+ *   risk: RiskScore|null,               // scoreRisk: {grade, score, categories, clauses}
+ *   explanation: Explanation|null,      // createExplanation (selections only)
+ *   summary: Summary|null,              // createSummary
+ *   translation: Translation|null,      // createTranslation
+ *   suggestedQuestions: [string],
+ *   watchList: [WatchResult],           // createWatchResult, one per watch-list rule
+ *   profileCheck: ProfileCheck|null,    // createProfileCheck, against the acceptable-terms profile
+ *   qa: {turns: [{question, answer, citations, askedAt}], memory: string, summarizedTurns: number}
+ * }
+ *
+ * Versions:
+ *   1 - "agreezy-report" export: no document text, the explanation as a string,
+ *       translations as {translatedText, note}; cached summaries as strings and
+ *       key points with their chunkIndex
+ *   2 - document text and suggested questions included; every result built by
+ *       the functions below
+ *   3 - watch-list results added
+ *   4 - acceptable-terms profile check added
+ */
+
+import { ANALYSIS_SCHEMA, CACHE_RESULTS } from './constants.js';
+
+// Format names of earlier versions
+const LEGACY_FORMATS = ['agreezy-report'];
+
+// Results a feature fell back to after a model failure: shown, but never cached
+const degradedResults = new WeakSet();
+
+/**
+ * Mark a result as a fallback, so it is retried next time instead of cached
+ * @param {Object|Array} result - Feature result
+ * @returns {Object|Array} The same result
+ */
+export function markDegraded(result) {
+  degradedResults.add(result);
+  return result;
+}
+
+/**
+ * Whether a result is a fallback (see markDegraded)
+ * Only holds within the context that built it; the mark is not serialized.
+ * @param {*} result - Feature result
+ * @returns {boolean}
+ */
+export function isDegraded(result) {
+  return typeof result === 'object' && result !== null && degradedResults.has(result);
+}
+
+/**
+ * A key point
+ * @param {Object} keyPoint - Extracted point
+ * @returns {{point: string, importance: string, category: string, section?: string, quote?: string, start?: number, end?: number}}
+ */
+export function createKeyPoint({ point, importance, category, section, quote, start, end }) {
+  return {
+    point,
+    importance,
+    category,
+    ...(section && { section }),
+    ...(quote && { quote, start, end })
+  };
+}
+
+/**
+ * A summary and the options it was written with
+ * @param {string} text - Summary markdown
+ * @param {{type: string, length: string, format: string}} options - Summarizer options
+ * @returns {{text: string, type: string, length: string, format: string}}
+ */
+export function createSummary(text, { type, length, format }) {
+  return { text, type, length, format };
+}
+
+/**
+ * A plain-language explanation of a selected passage
+ * @param {string} text - Explanation markdown
+ * @returns {{text: string}}
+ */
+export function createExplanation(text) {
+  return { text };
+}
+
+/**
+ * A translation of the document
+ * @param {Object} translation
+ * @param {string} translation.text - Translated text
+ * @param {string} translation.sourceLanguage - Detected language code
+ * @param {string} translation.targetLanguage - Language code translated to
+ * @param {string|null} translation.note - Why the text was left as it is, if it was
+ * @returns {{text: string, sourceLanguage: string, targetLanguage: string, note: string|null}}
+ */
+export function createTranslation({ text, sourceLanguage, targetLanguage, note = null }) {
+  return { text, sourceLanguage, targetLanguage, note };
+}
+
+/**
+ * The outcome of checking a document for one watch-list rule
+ * @param {Object} result
+ * @param {{id: string, name: string}} result.rule - Rule checked
+ * @param {string} result.status - "found", "not_found" or "unclear"
+ * @param {string} result.reason - Short explanation
+ * @param {string} result.quote - Supporting document text, when located
+ * @param {number} result.start - Quote offset in the document
+ * @param {number} result.end - Quote end offset
+ * @returns {{ruleId: string, name: string, status: string, reason: string, quote?: string, start?: number, end?: number}}
+ */
+export function createWatchResult({ rule, status, reason, quote, start, end }) {
+  return {
+    ruleId: rule.id,
+    name: rule.name,
+    status,
+    reason,
+    ...(quote && { quote, start, end })
+  };
+}
+
+/**
+ * Whether a document meets one requirement of an acceptable-terms profile
+ * @param {Object} result
+ * @param {{id: string, name: string}} result.requirement - Checked requirement
+ * @param {string} result.status - "pass", "fail" or "unclear"
+ * @param {string} result.reason - Short explanation
+ * @param {string} result.quote - Evidence from the document, when located
+ * @param {number} result.start - Quote offset in the document
+ * @param {number} result.end - Quote end offset
+ * @returns {{requirementId: string, name: string, status: string, reason: string, quote?: string, start?: number, end?: number}}
+ */
+export function createRequirementResult({ requirement, status, reason, quote, start, end }) {
+  return {
+    requirementId: requirement.id,
+    name: requirement.name,
+    status,
+    reason,
+    ...(quote && { quote, start, end })
+  };
+}
+
+/**
+ * A document checked against an acceptable-terms profile
+ * @param {Object} check
+ * @param {{name: string}} check.profile - Checked profile
+ * @param {string} check.verdict - "pass", "fail" or "unclear" for the profile as a whole
+ * @param {Array<Object>} check.results - One createRequirementResult per requirement
+ * @returns {{profileName: string, verdict: string, results: Array<Object>}}
+ */
+export function createProfileCheck({ profile, verdict, results }) {
+  return { profileName: profile.name, verdict, results };
+}
+
+/**
+ * Collect a document's results into an analysis document
+ * @param {Object} analysis
+ * @param {{url: string, title: string}} analysis.pageInfo - Analyzed page
+ * @param {string} analysis.hash - Content hash
+ * @param {string} analysis.content - Analyzed text
+ * @param {boolean} analysis.isSelection - Whether only a selected passage was analyzed
+ * @param {Array<Object>} analysis.keyPoints - Result of extractKeyPoints
+ * @param {Object|null} analysis.risk - Result of scoreRisk
+ * @param {Object|null} analysis.explanation - Result of explainClause
+ * @param {Object|null} analysis.summary - Result of summarizeContent
+ * @param {Object|null} analysis.translation - Result of translateContent
+ * @param {Array<string>} analysis.suggestedQuestions - Result of getSuggestedQuestions
+ * @param {Array<Object>} analysis.watchList - Result of checkWatchList
+ * @param {Object|null} analysis.profileCheck - Result of checkPolicyProfile
+ * @param {Object} analysis.thread - Q&A thread (Conversation#getState)
+ * @returns {Object} Analysis document
+ */
+export function createAnalysis(analysis) {
+  const {
+    pageInfo,
+    hash,
+    content,
+    isSelection = false,
+    keyPoints = [],
+    risk = null,
+    explanation = null,
+    summary = null,
+    translation = null,
+    suggestedQuestions = [],
+    watchList = [],
+    profileCheck = null,
+    thread = {}
+  } = analysis;
+
+  return {
+    format: ANALYSIS_SCHEMA.FORMAT,
+    version: ANALYSIS_SCHEMA.VERSION,
+    generatedAt: new Date().toISOString(),
+    document: {
+      title: pageInfo?.title || pageInfo?.url || 'Untitled document',
+      url: pageInfo?.url || null,
+      contentHash: hash || null,
+      scope: isSelection ? 'selection' : 'document',
+      content: content || null
+    },
+    keyPoints,
+    risk,
+    explanation,
+    summary,
+    translation,
+    suggestedQuestions,
+    watchList,
+    profileCheck,
+    qa: {
+      turns: (thread.turns || []).map(({ question, answer, citations = [], askedAt }) => ({ question, answer, citations, askedAt })),
+      memory: thread.memory || '',
+      summarizedTurns: thread.summarizedTurns || 0
+    }
+  };
+}
+
+/**
+ * Bring one feature's version 1 result to version 2
+ * @param {string} resultKey - Result key (see getResultKey), e.g. "summary:tldr:short:markdown"
+ * @param {*} value - Version 1 result
+ * @returns {*} Version 2 result
+ */
+function migrateResultFromV1(resultKey, value) {
+  const [feature, ...params] = resultKey.split(':');
+
+  switch (feature) {
+    case CACHE_RESULTS.KEY_POINTS:
+      return value.map(createKeyPoint);
+    case CACHE_RESULTS.SUMMARY: {
+      if (typeof value !== 'string') return value;
+      const [type = null, length = null, format = null] = params;
+      return createSummary(value, { type, length, format });
+    }
+    case CACHE_RESULTS.EXPLANATION:
+      return typeof value === 'string' ? createExplanation(value) : value;
+    case CACHE_RESULTS.TRANSLATION:
+      return 'translatedText' in value
+        ? createTranslation({ ...value, text: value.translatedText })
+        : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Bring a version 1 report to version 2
+ * Version 1 did not include the document text, so only a selection's can be restored.
+ * @param {Object} report - Version 1 report
+ * @returns {Object} Version 2 analysis
+ */
+function migrateAnalysisFromV1(report) {
+  const { document: doc = {} } = report;
+  const migrate = (feature, value) => (value ? migrateResultFromV1(feature, value) : null);
+
+  return {
+    format: ANALYSIS_SCHEMA.FORMAT,
+    version: 2,
+    generatedAt: report.generatedAt,
+    document: {
+      title: doc.title,
+      url: doc.url || null,
+      contentHash: doc.contentHash || null,
+      scope: doc.scope,
+      content: doc.selection || null
+    },
+    keyPoints: migrate(CACHE_RESULTS.KEY_POINTS, report.keyPoints) || [],
+    risk: report.risk || null,
+    explanation: migrate(CACHE_RESULTS.EXPLANATION, report.explanation),
+    summary: migrate(CACHE_RESULTS.SUMMARY, report.summary),
+    translation: migrate(CACHE_RESULTS.TRANSLATION, report.translation),
+    suggestedQuestions: [],
+    qa: {
+      turns: (report.qa || []).map(turn => ({ ...turn, citations: [] })),
+      memory: '',
+      summarizedTurns: 0
+    }
+  };
+}
+
+/**
+ * Bring a version 2 analysis to version 3
+ * @param {Object} analysis - Version 2 analysis
+ * @returns {Object} Version 3 analysis, with no watch-list results
+ */
+function migrateAnalysisFromV2(analysis) {
+  return { ...analysis, version: 3, watchList: [] };
+}
+
+/**
+ * Bring a version 3 analysis to version 4
+ * @param {Object} analysis - Version 3 analysis
+ * @returns {Object} Version 4 analysis, not checked against a profile
+ */
+function migrateAnalysisFromV3(analysis) {
+  return { ...analysis, version: 4, profileCheck: null };
+}
+
+// Migrations from each version to the next (results themselves didn't change after version 2)
+const keepResult = (resultKey, value) => value;
+const RESULT_MIGRATIONS = { 1: migrateResultFromV1, 2: keepResult, 3: keepResult };
+const ANALYSIS_MIGRATIONS = { 1: migrateAnalysisFromV1, 2: migrateAnalysisFromV2, 3: migrateAnalysisFromV3 };
+
+/**
+ * Bring a cached feature result up to the current version
+ * @param {string} resultKey - Result key (see getResultKey)
+ * @param {*} value - Result as stored
+ * @param {number} version - Schema version it was stored with
+ * @returns {*} Current result
+ */
+export function migrateResult(resultKey, value, version) {
+  let result = value;
+  for (let from = version; from < ANALYSIS_SCHEMA.VERSION; from++) {
+    result = RESULT_MIGRATIONS[from](resultKey, result);
+  }
+  return result;
+}
+
+/**
+ * Bring an analysis document of any known version up to the current one
+ * @param {Object} data - Parsed analysis document
+ * @returns {Object} Current analysis document
+ * @throws {Error} If it is not an analysis, or from a newer version of Agreezy
+ */
+export function migrateAnalysis(data) {
+  const known = [ANALYSIS_SCHEMA.FORMAT, ...LEGACY_FORMATS].includes(data?.format);
+  if (!known || !Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('This file is not an Agreezy analysis');
+  }
+  if (data.version > ANALYSIS_SCHEMA.VERSION) {
+    throw new Error(`This analysis is from a newer version of Agreezy (format version ${data.version}). Update Agreezy to open it`);
+  }
+
+  let analysis = data;
+  try {
+    while (analysis.version < ANALYSIS_SCHEMA.VERSION) {
+      analysis = ANALYSIS_MIGRATIONS[analysis.version](analysis);
+    }
+  } catch (error) {
+    throw new Error(`The version ${data.version} analysis could not be read: ${error.message}`);
+  }
+  return validateAnalysis(analysis);
+}
+
+/**
+ * Check a current analysis document, filling in optional parts
+ * @param {Object} analysis - Analysis document
+ * @returns {Object} Analysis document
+ * @throws {Error} If a required part is missing or malformed
+ */
+function validateAnalysis(analysis) {
+  const { document: doc, keyPoints = [], qa = {} } = analysis;
+  const turns = Array.isArray(qa.turns) ? qa.turns.filter(turn => turn?.question && turn.answer) : [];
+
+  if (typeof doc?.title !== 'string' || (doc.content != null && typeof doc.content !== 'string')) {
+    throw new Error('The analysis is missing its document');
+  }
+  if (!Array.isArray(keyPoints) || keyPoints.some(kp => typeof kp?.point !== 'string')) {
+    throw new Error('The analysis has malformed key points');
+  }
+  if (analysis.risk && typeof analysis.risk.grade !== 'string') {
+    throw new Error('The analysis has a malformed risk grade');
+  }
+
+  return {
+    ...analysis,
+    document: {
+      ...doc,
+      url: doc.url || null,
+      contentHash: doc.contentHash || null,
+      scope: doc.scope === 'selection' ? 'selection' : 'document',
+      content: doc.content || null
+    },
+    keyPoints: keyPoints.map(createKeyPoint),
+    risk: analysis.risk || null,
+    explanation: analysis.explanation || null,
+    summary: analysis.summary || null,
+    translation: analysis.translation || null,
+    suggestedQuestions: Array.isArray(analysis.suggestedQuestions) ? analysis.suggestedQuestions : [],
+    watchList: Array.isArray(analysis.watchList) ? analysis.watchList.filter(result => result?.name && result.status) : [],
+    profileCheck: Array.isArray(analysis.profileCheck?.results) ? analysis.profileCheck : null,
+    qa: {
+      turns,
+      memory: qa.memory || '',
+      summarizedTurns: Math.min(qa.summarizedTurns || 0, turns.length)
+    }
+  };
+}
+
+/**
+ * Read an exported analysis (JSON text), migrating it to the current version
+ * @param {string} json - File contents
+ * @returns {Object} Current analysis document
+ * @throws {Error} If the file is not a readable analysis
+ */
+export function importAnalysis(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('This file is not valid JSON');
+  }
+  return migrateAnalysis(data);
+}
+
+export default {
+  markDegraded,
+  isDegraded,
+  createKeyPoint,
+  createSummary,
+  createExplanation,
+  createTranslation,
+  createWatchResult,
+  createRequirementResult,
+  createProfileCheck,
+  createAnalysis,
+  migrateResult,
+  migrateAnalysis,
+  importAnalysis
+};
@@ -75,6 +75,14 @@ class AppState {
     return this.settings[STORAGE_KEYS.SHOW_GAME] !== false;
   }
 
+  /**
+   * Check if risky clauses should be highlighted in the analyzed page
+   * @returns {boolean}
+   */
+  shouldHighlightClauses() {
+    return this.settings[STORAGE_KEYS.HIGHLIGHT_CLAUSES] !== false;
+  }
+
   /**
    * Check if auto-detection is enabled
    * @returns {boolean}
@@ -123,6 +131,22 @@ class AppState {
     return this.settings[STORAGE_KEYS.DEFAULT_SUMMARY_LENGTH] || 'short';
   }
 
+  /**
+   * Get how many AI sessions may run at once
+   * @returns {number}
+   */
+  getAIConcurrency() {
+    return this.settings[STORAGE_KEYS.AI_CONCURRENCY] || 2;
+  }
+
+  /**
+   * Check if Q&A passages should be re-ranked by the model before answering
+   * @returns {boolean}
+   */
+  shouldRerankAnswers() {
+    return this.settings[STORAGE_KEYS.RERANK_ANSWERS] === true;
+  }
+
   /**
    * Set manual trigger flag
    * @param {boolean} value
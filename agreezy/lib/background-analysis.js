@@ -0,0 +1,160 @@
+/**
+ * Background Analysis State for Agreezy
+ * Tracks documents the service worker is analyzing in the offscreen document,
+ * so the side panel can wait for those results instead of starting over.
+ *
+ * Protocol (all runtime messages, see MESSAGE_TYPES):
+ *   worker    -> offscreen  ANALYZE_DOCUMENT  {hash, content, cached, tab, detectionType}
+ *   offscreen -> worker     ANALYSIS_RESULT   {hash, tab, detectionType, keyPoints, risk, error}
+ *   panel     -> offscreen  CANCEL_ANALYSIS   {hash}
+ * The worker caches the results and records each document's status in
+ * session storage, which the panel watches.
+ */
+
+import { BACKGROUND_ANALYSIS, MESSAGE_TYPES, MESSAGE_TARGETS } from './constants.js';
+import { getFromSession, setInSession } from './storage-helper.js';
+
+export const ANALYSIS_STATUS = {
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Load the status of every tracked document ({ [hash]: state })
+ * @returns {Promise<Object>}
+ */
+async function loadStates() {
+  const stored = await getFromSession(BACKGROUND_ANALYSIS.SESSION_KEY);
+  return stored[BACKGROUND_ANALYSIS.SESSION_KEY] || {};
+}
+
+/**
+ * Get a document's background analysis, if one is tracked
+ * Analyses running for longer than MAX_WAIT_MS are considered abandoned.
+ * @param {string} hash - Content hash
+ * @returns {Promise<{status: string, url: string, tabId: number, summary: Object|null, updatedAt: number}|null>}
+ */
+export async function getBackgroundAnalysis(hash) {
+  if (!hash) return null;
+
+  const state = (await loadStates())[hash];
+  if (!state) return null;
+
+  const abandoned = state.status === ANALYSIS_STATUS.ANALYZING &&
+    Date.now() - state.updatedAt > BACKGROUND_ANALYSIS.MAX_WAIT_MS;
+  return abandoned ? { ...state, status: ANALYSIS_STATUS.ERROR } : state;
+}
+
+/**
+ * Record a document's background analysis status, keeping the most recent ones
+ * @param {string} hash - Content hash
+ * @param {Object} state - Status, URL, tab and summary
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setBackgroundAnalysis(hash, state) {
+  const states = await loadStates();
+  states[hash] = { ...states[hash], ...state, updatedAt: Date.now() };
+
+  const trimmed = Object.fromEntries(
+    Object.entries(states)
+      .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+      .slice(0, BACKGROUND_ANALYSIS.MAX_TRACKED)
+  );
+
+  return setInSession({ [BACKGROUND_ANALYSIS.SESSION_KEY]: trimmed });
+}
+
+/**
+ * Wait until a document's background analysis (if any) has finished
+ * Resolves right away when nothing is running. Cancelling the signal stops
+ * waiting; a user cancel also stops the analysis itself.
+ * @param {string} hash - Content hash
+ * @param {AbortSignal} signal - Stops waiting
+ * @param {string} userAbortReason - Signal reason that means the user cancelled
+ * @returns {Promise<boolean>} True if there was an analysis to wait for
+ */
+export async function waitForBackgroundAnalysis(hash, signal, userAbortReason) {
+  const state = await getBackgroundAnalysis(hash);
+  if (state?.status !== ANALYSIS_STATUS.ANALYZING) return false;
+
+  await new Promise((resolve, reject) => {
+    const finish = () => {
+      clearTimeout(timeout);
+      chrome.storage.session.onChanged.removeListener(onChanged);
+      signal.removeEventListener('abort', onAbort);
+    };
+
+    const onChanged = (changes) => {
+      const change = changes[BACKGROUND_ANALYSIS.SESSION_KEY];
+      if (change && change.newValue?.[hash]?.status !== ANALYSIS_STATUS.ANALYZING) {
+        finish();
+        resolve();
+      }
+    };
+
+    const onAbort = () => {
+      finish();
+      if (signal.reason === userAbortReason) {
+        cancelBackgroundAnalysis(hash);
+      }
+      reject(signal.reason);
+    };
+
+    const timeout = setTimeout(() => {
+      finish();
+      resolve();
+    }, Math.max(0, BACKGROUND_ANALYSIS.MAX_WAIT_MS - (Date.now() - state.updatedAt)));
+
+    chrome.storage.session.onChanged.addListener(onChanged);
+    signal.addEventListener('abort', onAbort);
+  });
+
+  return true;
+}
+
+/**
+ * Ask the offscreen document to stop analyzing a document
+ * @param {string} hash - Content hash
+ */
+export function cancelBackgroundAnalysis(hash) {
+  chrome.runtime.sendMessage({ target: MESSAGE_TARGETS.OFFSCREEN, type: MESSAGE_TYPES.CANCEL_ANALYSIS, hash })
+    .catch(() => {}); // No offscreen document, nothing to cancel
+}
+
+/**
+ * Summarize results for the detection notification
+ * @param {Array<Object>} keyPoints - Result of extractKeyPoints
+ * @param {Object} risk - Result of scoreRisk
+ * @returns {{grade: string|null, highRiskClauses: number, keyPoints: number}}
+ */
+export function summarizeAnalysis(keyPoints, risk) {
+  return {
+    grade: risk?.grade || null,
+    highRiskClauses: risk ? risk.clauses.filter(clause => clause.severity === 'high').length : 0,
+    keyPoints: keyPoints?.length || 0
+  };
+}
+
+/**
+ * Notification text for an analysis summary
+ * @param {{grade: string|null, highRiskClauses: number}} summary - From summarizeAnalysis
+ * @returns {string} e.g. "3 high-risk clauses found (grade D). Open Agreezy to see the details."
+ */
+export function formatAnalysisNotification(summary) {
+  const count = summary.highRiskClauses;
+  const found = count === 0 ? 'No high-risk clauses found' : `${count} high-risk clause${count === 1 ? '' : 's'} found`;
+  const grade = summary.grade ? ` (grade ${summary.grade})` : '';
+  return `${found}${grade}. Open Agreezy to see the details.`;
+}
+
+export default {
+  getBackgroundAnalysis,
+  setBackgroundAnalysis,
+  waitForBackgroundAnalysis,
+  cancelBackgroundAnalysis,
+  summarizeAnalysis,
+  formatAnalysisNotification,
+  ANALYSIS_STATUS
+};
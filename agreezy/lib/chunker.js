@@ -1,92 +1,371 @@
 /**
  * Smart Content Chunker for Agreezy
  * Splits long documents into manageable chunks for AI processing
+ * There is no document size limit: features reduce chunk results
+ * hierarchically (see map-reduce.js).
+ *
+ * Chunks are sized in tokens. The token counter is injectable, so the chunker
+ * runs without a model: by default it estimates from character counts, and
+ * measureChunkBudget calibrates it against the model's real tokenizer.
  */
 
-const MAX_CHUNK_SIZE = 3500; // Leave buffer for AI prompts
-const CHUNK_OVERLAP = 200; // Overlap between chunks for context
-const MAX_DOCUMENT_SIZE = 50000; // Maximum total document size
+const DEFAULT_CHARS_PER_TOKEN = 4;
+const DEFAULT_MAX_TOKENS = 900; // ~3500 characters, used when the model can't be measured
+const MAX_CHUNK_TOKENS = 2048; // Larger chunks make per-chunk extraction less thorough
+const MIN_CHUNK_TOKENS = 256;
+const OVERLAP_TOKENS = 60; // Trailing sentences repeated at the start of the next chunk
+const RESPONSE_RESERVE_TOKENS = 1024; // Room left in the context window for the answer
+const CALIBRATION_SAMPLE_SIZE = 2000;
 
 /**
- * Split text into paragraphs while preserving structure
+ * Estimate tokens from characters (used when no model is available)
+ * @param {string} text - Text to count
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / DEFAULT_CHARS_PER_TOKEN);
+}
+
+/**
+ * Work out how many document tokens fit one prompt on a model
+ * Subtracts the system prompt (already in the model's usage), the prompt
+ * template and room for the response from the model's input quota, and
+ * calibrates a character-based counter on a sample of the document.
+ * @param {Object} model - Session exposing inputQuota, inputUsage and measureInputUsage()
+ * @param {string} template - The prompt with an empty document
+ * @param {string} sample - Document text to calibrate the counter on
+ * @returns {Promise<{maxTokens: number, countTokens: Function}>} Options for chunkContent
+ */
+export async function measureChunkBudget(model, template = '', sample = '') {
+  const templateTokens = template ? await model.measureInputUsage(template) : 0;
+  const available = model.inputQuota - (model.inputUsage || 0) - templateTokens - RESPONSE_RESERVE_TOKENS;
+  const maxTokens = Math.max(MIN_CHUNK_TOKENS, Math.min(MAX_CHUNK_TOKENS, available));
+
+  let charsPerToken = DEFAULT_CHARS_PER_TOKEN;
+  const calibration = sample.substring(0, CALIBRATION_SAMPLE_SIZE);
+  if (calibration.trim().length > 0) {
+    const sampleTokens = await model.measureInputUsage(calibration);
+    if (sampleTokens > 0) {
+      charsPerToken = calibration.length / sampleTokens;
+    }
+  }
+
+  return {
+    maxTokens,
+    countTokens: text => Math.ceil(text.length / charsPerToken)
+  };
+}
+
+/**
+ * Find paragraphs (separated by blank lines) as offset ranges
+ * @param {string} text - Document text
+ * @returns {Array<{start: number, end: number}>}
  */
 function splitIntoParagraphs(text) {
-  // Split on double newlines, single newlines, or common section markers
-  return text
-    .split(/\n\n+|\r\n\r\n+/)
-    .map(p => p.trim())
-    .filter(p => p.length > 0);
+  const paragraphs = [];
+  const pattern = /\S[\s\S]*?(?=\r?\n\s*\r?\n|$)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    paragraphs.push({ start: match.index, end: match.index + match[0].trimEnd().length });
+  }
+
+  return paragraphs;
 }
 
+const MAX_HEADING_LENGTH = 100;
+const MARKDOWN_HEADING = /^(#{1,4})\s+(.+)$/;
+// "Section 14 - Dispute Resolution", "Article IV: Liability"
+const KEYWORD_HEADING = /^(?:section|article|clause|part)\s+(\d{1,3}(?:\.\d{1,3})*|[IVXLC]+)\b[.):]?\s*(?:[-–—:]\s*)?(.*)$/i;
+// "14. Dispute Resolution", "12.3 Arbitration", "4) Termination"
+const NUMBERED_HEADING = /^(\d{1,3}(?:\.\d{1,3})+|\d{1,3}(?=[.)]))[.)]?\s+(?:[-–—:]\s*)?([A-Z].*)$/;
+
 /**
- * Create chunks from paragraphs with smart boundaries and overlap
+ * Recognise a paragraph as a section heading
+ * Accepts markdown headings from extraction (h1-h4) and short numbered
+ * clause titles that don't read like a sentence.
+ * @param {string} line - Paragraph text
+ * @returns {{level: number, number: string|null, title: string}|null}
  */
-export function chunkContent(content) {
-  if (!content || content.trim().length === 0) {
+function parseHeading(line) {
+  const text = line.trim();
+  if (!text || text.length > MAX_HEADING_LENGTH || text.includes('\n')) {
+    return null;
+  }
+
+  let level = null;
+  let heading = text;
+  const markdown = text.match(MARKDOWN_HEADING);
+  if (markdown) {
+    level = markdown[1].length;
+    heading = markdown[2].trim();
+  } else if (/[.!?;,]$/.test(text)) {
+    return null; // Reads like a sentence or list item
+  }
+
+  const numbered = heading.match(KEYWORD_HEADING) || heading.match(NUMBERED_HEADING);
+  if (numbered) {
+    const number = numbered[1].toUpperCase();
+    return {
+      level: level ?? (/^\d/.test(number) ? number.split('.').length : 1),
+      number,
+      title: numbered[2].trim()
+    };
+  }
+
+  return level ? { level, number: null, title: heading } : null;
+}
+
+/**
+ * Human-readable label for a section, e.g. "Section 14 – Dispute Resolution"
+ * @param {{number: string|null, title: string}} heading
+ * @returns {string}
+ */
+function formatSectionLabel(heading) {
+  if (!heading.number) {
+    return heading.title;
+  }
+  return heading.title ? `Section ${heading.number} – ${heading.title}` : `Section ${heading.number}`;
+}
+
+/**
+ * Find the document's sections from its headings
+ * Each section runs from its heading to the next heading of any level.
+ * @param {string} content - Document text
+ * @returns {Array<{start: number, end: number, level: number, label: string, path: string[]}>}
+ */
+export function getSections(content) {
+  if (!content) {
     return [];
   }
 
-  const trimmedContent = content.trim();
+  const sections = [];
+  const ancestors = [];
+
+  for (const paragraph of splitIntoParagraphs(content)) {
+    const heading = parseHeading(content.substring(paragraph.start, paragraph.end));
+    if (!heading) continue;
+
+    if (sections.length > 0) {
+      sections[sections.length - 1].end = paragraph.start;
+    }
 
-  // Check max document size
-  if (trimmedContent.length > MAX_DOCUMENT_SIZE) {
-    throw new Error(`Document too long (${trimmedContent.length} chars). Maximum supported: ${MAX_DOCUMENT_SIZE} chars.`);
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1].level >= heading.level) {
+      ancestors.pop();
+    }
+    const label = formatSectionLabel(heading);
+    ancestors.push({ level: heading.level, label });
+
+    sections.push({
+      start: paragraph.start,
+      end: content.length,
+      level: heading.level,
+      label,
+      path: ancestors.map(ancestor => ancestor.label)
+    });
   }
 
-  // If content fits in one chunk, return as-is
-  if (trimmedContent.length <= MAX_CHUNK_SIZE) {
-    return [{
-      text: trimmedContent,
-      index: 0,
-      total: 1,
-      start: 0,
-      end: trimmedContent.length
-    }];
+  return sections;
+}
+
+/**
+ * Find the section containing an offset
+ * @param {Array} sections - From getSections
+ * @param {number} offset - Offset into the document
+ * @returns {Object|null} Section, or null before the first heading
+ */
+export function getSectionAt(sections, offset) {
+  let found = null;
+  for (const section of sections) {
+    if (section.start > offset) break;
+    found = section;
   }
+  return found;
+}
 
-  const paragraphs = splitIntoParagraphs(trimmedContent);
-  const chunks = [];
-  let currentChunk = '';
-  let chunkStartIndex = 0;
-
-  for (let i = 0; i < paragraphs.length; i++) {
-    const para = paragraphs[i];
-    const potentialChunk = currentChunk
-      ? currentChunk + '\n\n' + para
-      : para;
-
-    // If adding this paragraph exceeds max size
-    if (potentialChunk.length > MAX_CHUNK_SIZE && currentChunk.length > 0) {
-      // Save current chunk
-      chunks.push({
-        text: currentChunk,
-        index: chunks.length,
-        total: 0, // Will update later
-        start: chunkStartIndex,
-        end: chunkStartIndex + currentChunk.length
-      });
-
-      // Start new chunk with overlap
-      // Get last ~CHUNK_OVERLAP chars from current chunk for context
-      const overlapText = currentChunk.slice(-CHUNK_OVERLAP);
-      chunkStartIndex += currentChunk.length - CHUNK_OVERLAP;
-      currentChunk = overlapText + '\n\n' + para;
-    } else {
-      currentChunk = potentialChunk;
+/**
+ * Find sentences within a range as offset ranges
+ * @param {string} text - Document text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function splitIntoSentences(text, start = 0, end = text.length) {
+  const sentences = [];
+  const range = text.substring(start, end);
+  const pattern = /\S[\s\S]*?(?:[.!?;:]+["'”’)\]]*(?=\s)|$)/g;
+  let match;
+
+  while ((match = pattern.exec(range)) !== null) {
+    if (match[0].length === 0) break;
+    sentences.push({ start: start + match.index, end: start + match.index + match[0].length });
+  }
+
+  return sentences;
+}
+
+/**
+ * Split a range at word boundaries into pieces of at most maxTokens
+ * Last resort for "sentences" with no punctuation (lists, tables).
+ * @param {string} text - Document text
+ * @param {{start: number, end: number}} range - Range to split
+ * @param {number} maxTokens - Token budget per piece
+ * @param {Function} countTokens - Token counter
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitByWords(text, range, maxTokens, countTokens) {
+  const pieces = [];
+  const pattern = /\S+/g;
+  pattern.lastIndex = range.start;
+  let piece = null;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null && match.index < range.end) {
+    const wordEnd = match.index + match[0].length;
+    if (piece && countTokens(text.substring(piece.start, wordEnd)) > maxTokens) {
+      pieces.push(piece);
+      piece = null;
+    }
+    piece = piece ? { start: piece.start, end: wordEnd } : { start: match.index, end: wordEnd };
+  }
+  if (piece) pieces.push(piece);
+
+  return pieces;
+}
+
+/**
+ * Break the document into segments that each fit a chunk
+ * Paragraphs are kept whole when they fit, otherwise split into sentences,
+ * and sentences that are still too long are split between words.
+ * @param {string} text - Document text
+ * @param {number} maxTokens - Token budget per chunk
+ * @param {Function} countTokens - Token counter
+ * @returns {Array<{start: number, end: number, tokens: number}>}
+ */
+function splitIntoSegments(text, maxTokens, countTokens) {
+  const segments = [];
+  const add = range => segments.push({ ...range, tokens: countTokens(text.substring(range.start, range.end)) });
+
+  for (const paragraph of splitIntoParagraphs(text)) {
+    if (countTokens(text.substring(paragraph.start, paragraph.end)) <= maxTokens) {
+      add(paragraph);
+      continue;
     }
+
+    for (const sentence of splitIntoSentences(text, paragraph.start, paragraph.end)) {
+      if (countTokens(text.substring(sentence.start, sentence.end)) <= maxTokens) {
+        add(sentence);
+      } else {
+        splitByWords(text, sentence, maxTokens, countTokens).forEach(add);
+      }
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Find where the overlap carried into the next chunk should start
+ * Takes whole trailing sentences of the finished chunk, up to overlapTokens.
+ * @param {string} text - Document text
+ * @param {number} chunkStart - Start of the finished chunk
+ * @param {number} chunkEnd - End of the finished chunk
+ * @param {number} overlapTokens - Overlap budget
+ * @param {Function} countTokens - Token counter
+ * @returns {number|null} Overlap start offset, or null for no overlap
+ */
+function findOverlapStart(text, chunkStart, chunkEnd, overlapTokens, countTokens) {
+  const sentences = splitIntoSentences(text, chunkStart, chunkEnd);
+  let overlapStart = null;
+
+  // Never carry the whole chunk over
+  for (let i = sentences.length - 1; i > 0; i--) {
+    if (countTokens(text.substring(sentences[i].start, chunkEnd)) > overlapTokens) break;
+    overlapStart = sentences[i].start;
+  }
+
+  return overlapStart;
+}
+
+/**
+ * Create chunks from paragraphs with smart boundaries and overlap
+ * Chunk start/end are offsets into the content passed in. Chunks break at
+ * section headings where they can, and carry the labels of the sections
+ * they cover.
+ * @param {string} content - Document text
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget per chunk
+ * @param {number} options.overlapTokens - Token budget for the overlap
+ * @param {Function} options.countTokens - Token counter (defaults to estimateTokens)
+ * @returns {Array<{text: string, index: number, total: number, start: number, end: number, section: string|null, sections: string[]}>}
+ */
+export function chunkContent(content, options = {}) {
+  if (!content || content.trim().length === 0) {
+    return [];
   }
 
-  // Add final chunk if any content remains
-  if (currentChunk.length > 0) {
+  const {
+    maxTokens = DEFAULT_MAX_TOKENS,
+    overlapTokens = OVERLAP_TOKENS,
+    countTokens = estimateTokens
+  } = options;
+
+  const segments = splitIntoSegments(content, maxTokens, countTokens);
+  const sections = getSections(content);
+  const sectionsByStart = new Map(sections.map(section => [section.start, section]));
+  const chunks = [];
+  let chunkStart = segments[0].start;
+  let chunkEnd = chunkStart;
+  let chunkTokens = 0;
+
+  const pushChunk = () => {
+    const labels = sections
+      .filter(section => section.start < chunkEnd && section.end > chunkStart)
+      .map(section => section.label);
     chunks.push({
-      text: currentChunk,
+      text: content.substring(chunkStart, chunkEnd),
       index: chunks.length,
-      total: 0,
-      start: chunkStartIndex,
-      end: chunkStartIndex + currentChunk.length
+      total: 0, // Will update later
+      start: chunkStart,
+      end: chunkEnd,
+      section: labels[0] || null,
+      sections: labels
     });
+  };
+
+  for (const segment of segments) {
+    // Start a new chunk at a heading unless the whole section fits in this one
+    const section = sectionsByStart.get(segment.start);
+    if (section && chunkEnd > chunkStart &&
+      chunkTokens + countTokens(content.substring(section.start, section.end)) > maxTokens) {
+      pushChunk();
+      chunkStart = segment.start;
+      chunkTokens = 0;
+    }
+
+    // If adding this segment exceeds the budget, close the chunk
+    if (chunkEnd > chunkStart && chunkTokens + segment.tokens > maxTokens) {
+      pushChunk();
+
+      // Start the next chunk with the last sentences of this one for context
+      const overlapStart = findOverlapStart(content, chunkStart, chunkEnd, overlapTokens, countTokens);
+      const overlapTokensUsed = overlapStart === null ? 0 : countTokens(content.substring(overlapStart, chunkEnd));
+      if (overlapStart !== null && overlapTokensUsed + segment.tokens <= maxTokens) {
+        chunkStart = overlapStart;
+        chunkTokens = overlapTokensUsed;
+      } else {
+        chunkStart = segment.start;
+        chunkTokens = 0;
+      }
+    }
+
+    chunkEnd = segment.end;
+    chunkTokens += segment.tokens;
   }
 
+  // Add final chunk
+  pushChunk();
+
   // Update total count for all chunks
   const totalChunks = chunks.length;
   chunks.forEach(chunk => {
@@ -96,6 +375,21 @@ export function chunkContent(content) {
   return chunks;
 }
 
+/**
+ * Label for where a chunk sits, e.g. "Section 14 – Dispute Resolution" or "Part 3"
+ * @param {Object} chunk - Chunk from chunkContent
+ * @returns {string}
+ */
+export function getChunkLabel(chunk) {
+  if (!chunk.sections?.length) {
+    return `Part ${chunk.index + 1}`;
+  }
+  if (chunk.sections.length === 1) {
+    return chunk.sections[0];
+  }
+  return `${chunk.sections[0]} to ${chunk.sections[chunk.sections.length - 1]}`;
+}
+
 /**
  * Get context-aware prompt for a chunk
  */
@@ -103,7 +397,17 @@ export function getChunkContext(chunk) {
   if (chunk.total === 1) {
     return '';
   }
-  return `This is part ${chunk.index + 1} of ${chunk.total} of the document.`;
+  const position = `This is part ${chunk.index + 1} of ${chunk.total} of the document`;
+  return chunk.sections?.length ? `${position}, covering ${getChunkLabel(chunk)}.` : `${position}.`;
+}
+
+/**
+ * A context line as long as getChunkContext produces, for budgeting prompt templates
+ * @returns {string}
+ */
+export function getChunkContextTemplate() {
+  const label = 'x'.repeat(MAX_HEADING_LENGTH);
+  return getChunkContext({ index: 998, total: 999, sections: [label, label] });
 }
 
 /**
@@ -114,24 +418,18 @@ export function validateContentLength(content) {
     return { valid: false, error: 'No content to process' };
   }
 
-  const length = content.trim().length;
-
-  if (length > MAX_DOCUMENT_SIZE) {
-    return {
-      valid: false,
-      error: `Content too long (${length} chars). Maximum: ${MAX_DOCUMENT_SIZE} chars.`,
-      length
-    };
-  }
-
-  return { valid: true, length };
+  return { valid: true, length: content.trim().length };
 }
 
 export default {
   chunkContent,
+  estimateTokens,
+  measureChunkBudget,
+  splitIntoSentences,
+  getSections,
+  getSectionAt,
+  getChunkLabel,
   getChunkContext,
-  validateContentLength,
-  MAX_CHUNK_SIZE,
-  CHUNK_OVERLAP,
-  MAX_DOCUMENT_SIZE
+  getChunkContextTemplate,
+  validateContentLength
 };
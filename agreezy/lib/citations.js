@@ -0,0 +1,207 @@
+/**
+ * Source Citations for Agreezy
+ * Locates model-quoted passages in the original document text
+ */
+
+const MIN_QUOTE_LENGTH = 12; // Shorter quotes match too many places to be useful
+const PREFIX_WORDS = 8; // Opening words to retry with when the full quote isn't found
+const MAX_SENTENCE_EXTENSION = 300;
+
+// Normalized form of the last text searched: every quote of an analysis is
+// looked up in the same document
+let cachedSource = null;
+
+/**
+ * Normalize text for matching while remembering where each character came from
+ * Lowercases, drops quote marks, straightens dashes and collapses whitespace.
+ * @param {string} text - Original text
+ * @returns {{normalized: string, map: Array<number>}} Normalized text and, per character, its original index
+ */
+export function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+
+    if (pendingSpace) {
+      normalized += ' ';
+      map.push(i - 1);
+      pendingSpace = false;
+    }
+
+    // Models are inconsistent about quote marks, so ignore them entirely
+    // Heading markers only exist in the extracted text, never on the page
+    if (/["'‘’“”`#]/.test(char)) continue;
+    if (char === '–' || char === '—') char = '-';
+
+    normalized += char.toLowerCase();
+    map.push(i);
+  }
+
+  return { normalized, map };
+}
+
+/**
+ * Get the normalized form of a text, reusing it for the same text
+ * @param {string} text - Original text
+ * @returns {{normalized: string, map: Array<number>}}
+ */
+function getNormalizedSource(text) {
+  if (cachedSource?.text !== text) {
+    cachedSource = { text, source: normalizeWithMap(text) };
+  }
+  return cachedSource.source;
+}
+
+/**
+ * Strip wrapping quote marks and ellipses a model adds around a quote
+ * @param {string} quote - Quote from the model
+ * @returns {string}
+ */
+function cleanQuote(quote) {
+  return quote
+    .trim()
+    .replace(/^["'“‘]+|["'”’]+$/g, '')
+    .replace(/^(\.\.\.|…)|(\.\.\.|…)$/g, '')
+    .trim();
+}
+
+/**
+ * Find a normalized needle in normalized source text, preferring the
+ * occurrence closest to a hinted original offset
+ * @param {{normalized: string, map: Array<number>}} source - Normalized source
+ * @param {string} needle - Normalized text to find
+ * @param {number} hintStart - Preferred original offset
+ * @returns {{start: number, end: number}|null} Original offsets
+ */
+function findNormalized(source, needle, hintStart) {
+  let best = null;
+  let at = source.normalized.indexOf(needle);
+
+  while (at !== -1) {
+    const start = source.map[at];
+    if (!best || Math.abs(start - hintStart) < Math.abs(best.start - hintStart)) {
+      best = { start, end: source.map[at + needle.length - 1] + 1 };
+    }
+    at = source.normalized.indexOf(needle, at + 1);
+  }
+
+  return best;
+}
+
+/**
+ * Extend an offset to the end of its sentence
+ * @param {string} content - Original text
+ * @param {number} end - Offset to extend
+ * @returns {number} New end offset
+ */
+function extendToSentenceEnd(content, end) {
+  const rest = content.substring(end, end + MAX_SENTENCE_EXTENSION);
+  const match = rest.match(/[.!?;](\s|$)/);
+  return match ? end + match.index + 1 : end;
+}
+
+/**
+ * Find the offsets of a quote in a text
+ * @param {string} text - Text to search
+ * @param {string} quote - Quote produced by the model
+ * @param {number} hintStart - Preferred offset when the quote occurs more than once
+ * @returns {{start: number, end: number}|null} Offsets in the original text
+ */
+export function findQuoteRange(text, quote, hintStart = 0) {
+  if (!text || !quote) return null;
+
+  const needle = normalizeWithMap(cleanQuote(quote)).normalized;
+  if (needle.length < MIN_QUOTE_LENGTH) return null;
+
+  const source = getNormalizedSource(text);
+  let range = findNormalized(source, needle, hintStart);
+
+  // Models often paraphrase the tail of a quote: retry with its opening words
+  if (!range) {
+    const words = needle.split(' ');
+    if (words.length > PREFIX_WORDS) {
+      range = findNormalized(source, words.slice(0, PREFIX_WORDS).join(' '), hintStart);
+      if (range) {
+        range.end = extendToSentenceEnd(text, range.end);
+      }
+    }
+  }
+
+  return range;
+}
+
+/**
+ * Locate a quote in the document
+ * @param {string} content - Original document text
+ * @param {string} quote - Quote produced by the model
+ * @param {{start?: number}} hint - Where the quote is expected (e.g. its chunk)
+ * @returns {{quote: string, start: number, end: number}|null} Exact document text and its offsets
+ */
+export function locateQuote(content, quote, hint = {}) {
+  const range = findQuoteRange(content, quote, hint.start || 0);
+  if (!range) return null;
+
+  return {
+    quote: content.substring(range.start, range.end),
+    start: range.start,
+    end: range.end
+  };
+}
+
+/**
+ * Pull markdown blockquotes (supporting quotes) out of an answer
+ * @param {string} markdown - Answer text
+ * @returns {Array<string>} Quote texts, in order
+ */
+export function extractBlockquotes(markdown) {
+  const quotes = [];
+  let current = [];
+
+  for (const line of (markdown || '').split('\n')) {
+    const match = line.match(/^\s*>\s?(.*)$/);
+    if (match) {
+      current.push(match[1]);
+    } else if (current.length > 0) {
+      quotes.push(current.join(' ').trim());
+      current = [];
+    }
+  }
+  if (current.length > 0) {
+    quotes.push(current.join(' ').trim());
+  }
+
+  return quotes.filter(q => q.length > 0);
+}
+
+/**
+ * Attach document offsets to every supporting quote in an answer
+ * Quotes that can't be found in the document are dropped; quoteIndex is the
+ * position of the blockquote in the answer.
+ * @param {string} content - Original document text
+ * @param {string} answer - Answer markdown
+ * @returns {Array<{quote: string, start: number, end: number, quoteIndex: number}>} Located citations
+ */
+export function citeAnswer(content, answer) {
+  return extractBlockquotes(answer)
+    .map((quote, quoteIndex) => {
+      const located = locateQuote(content, quote);
+      return located ? { ...located, quoteIndex } : null;
+    })
+    .filter(Boolean);
+}
+
+export default {
+  normalizeWithMap,
+  findQuoteRange,
+  locateQuote,
+  extractBlockquotes,
+  citeAnswer
+};
@@ -14,7 +14,14 @@ export const STORAGE_KEYS = {
   AUTO_ANALYZE: 'autoAnalyze',
   AUTO_DETECTION_ENABLED: 'autoDetectionEnabled',
   SHOW_GAME: 'showGame',
-  PAGE_CONTENT: 'pageContent'
+  POLICY_CHANGE_ALERTS: 'policyChangeAlerts',
+  HIGHLIGHT_CLAUSES: 'highlightClauses',
+  AI_CONCURRENCY: 'aiConcurrency',
+  RERANK_ANSWERS: 'rerankAnswers',
+  BACKGROUND_ANALYSIS: 'backgroundAnalysis',
+  LINKED_POLICIES: 'linkedPolicies',
+  PENDING_SELECTION: 'pendingSelection',
+  PRINT_REPORT: 'printReport'
 };
 
 // Default Settings
@@ -22,6 +29,11 @@ export const DEFAULT_SETTINGS = {
   [STORAGE_KEYS.AUTO_ANALYZE]: true,
   [STORAGE_KEYS.AUTO_DETECTION_ENABLED]: true,
   [STORAGE_KEYS.SHOW_GAME]: true,
+  [STORAGE_KEYS.POLICY_CHANGE_ALERTS]: true,
+  [STORAGE_KEYS.HIGHLIGHT_CLAUSES]: true,
+  [STORAGE_KEYS.AI_CONCURRENCY]: 2,
+  [STORAGE_KEYS.RERANK_ANSWERS]: false,
+  [STORAGE_KEYS.BACKGROUND_ANALYSIS]: true,
   [STORAGE_KEYS.DEFAULT_LANGUAGE]: 'en',
   [STORAGE_KEYS.DEFAULT_SUMMARY_TYPE]: 'key-points',
   [STORAGE_KEYS.DEFAULT_SUMMARY_LENGTH]: 'short',
@@ -41,16 +53,40 @@ export const DOM_IDS = {
   GREETING: 'greeting',
   SETTINGS_BTN: 'settings-btn',
   REANALYZE_BTN: 'reanalyze-btn',
+  CANCEL_BTN: 'cancel-btn',
+  EXPORT_BTN: 'export-btn',
+  EXPORT_MENU: 'export-menu',
+  IMPORT_INPUT: 'import-input',
 
   // Warnings
   WARNING: 'warning',
   API_STATUS: 'api-status',
 
+  // Scope
+  SELECTION_SCOPE: 'selection-scope',
+  SCOPE_LABEL: 'scope-label',
+  SELECTION_SCOPE_TEXT: 'selection-scope-text',
+  FULL_DOCUMENT_BTN: 'full-document-btn',
+
   // Content
+  KEYPOINTS_HEADING: 'keypoints-heading',
   KEYPOINTS_CONTENT: 'keypoints-content',
+  RISK_GRADE: 'risk-grade',
+  WATCH_LIST: 'watch-list',
+  WATCH_LIST_CONTENT: 'watch-list-content',
+  POLICY_PROFILE: 'policy-profile',
+  POLICY_PROFILE_HEADING: 'policy-profile-heading',
+  POLICY_PROFILE_CONTENT: 'policy-profile-content',
+  SIGNUP_REPORT: 'signup-report',
+  SIGNUP_REPORT_CONTENT: 'signup-report-content',
   SUMMARY_CONTENT: 'summary-content',
   TRANSLATION_CONTENT: 'translation-content',
   TRANSLATION_RESULT: 'translation-result',
+  CHANGES_CONTENT: 'changes-content',
+  COMPARE_DOCUMENTS: 'compare-documents',
+  COMPARE_RESULTS: 'compare-results',
+  COMPARE_TABLE: 'compare-table',
+  HISTORY_LIST: 'history-list',
   QA_MESSAGES: 'qa-messages',
   SUGGESTED_LIST: 'suggested-list',
 
@@ -61,10 +97,15 @@ export const DOM_IDS = {
   SUMMARY_TYPE: 'type',
   SUMMARY_FORMAT: 'format',
   SUMMARY_LENGTH: 'length',
+  HISTORY_SEARCH: 'history-search',
+  HISTORY_SITE: 'history-site',
+  HISTORY_CATEGORY: 'history-category',
 
   // Buttons
   TRANSLATE_BTN: 'translate-btn',
   ASK_BTN: 'ask-btn',
+  NEW_CONVERSATION_BTN: 'new-conversation-btn',
+  COMPARE_BTN: 'compare-btn',
 
   // Game
   GAME_CONTAINER: 'game-container',
@@ -83,28 +124,271 @@ export const CSS_CLASSES = {
   PLAY_GAME_BTN: 'play-game-btn',
   STATIC_GAME_BTN: 'static-game-btn',
   QA_MESSAGE: 'qa-message',
-  SUGGESTED_QUESTION: 'suggested-question'
+  SUGGESTED_QUESTION: 'suggested-question',
+  CITATION: 'citation',
+  LOADING_PROGRESS: 'loading-progress'
 };
 
 // Routes
 export const ROUTES = {
   INDEX: 'index.html',
   SETTINGS: 'settings.html',
-  ONBOARDING: 'onboarding.html'
+  ONBOARDING: 'onboarding.html',
+  PRINT_REPORT: 'print.html'
 };
 
 // Messages
 export const MESSAGES = {
   NO_CONTENT: 'No content to analyze. Please navigate to a page with text content.',
   READY_TO_ANALYZE: 'Ready to analyze. Click "Re-analyze Page" to start.',
+  READING_PAGE: 'Reading the page...',
   EXTRACTING_KEY_POINTS: 'Extracting key points...',
+  EXPLAINING_SELECTION: 'Explaining the selection...',
+  SELECTION_NO_SUMMARY: 'Summaries cover the whole document. Go back to the full document to see one.',
+  SELECTION_NOT_EXPLAINED: 'Click "Re-analyze Page" to explain this selection and grade its risk.',
+  SCORING_RISK: 'Grading clauses...',
+  CHECKING_WATCH_LIST: 'Checking your watch list...',
+  CHECKING_POLICY_PROFILE: 'Checking the acceptable-terms profile...',
   GENERATING_SUMMARY: 'Generating summary...',
   TRANSLATING: 'Translating content...',
   THINKING: 'Thinking...',
   NO_TRANSLATE_CONTENT: 'No content to translate',
   NO_QA_CONTENT: 'No content loaded to answer questions about',
   SETTINGS_SAVED: '✓ Settings saved successfully!',
-  WAIT_MESSAGE: 'This may take a few minutes, especially on older devices. Please be patient!'
+  WAIT_MESSAGE: 'This may take a few minutes, especially on older devices. Please be patient!',
+  EXPLAINING_CHANGES: 'Explaining what changed...',
+  CANCELLED: 'Cancelled.',
+  PASSAGE_NOT_FOUND: 'Could not find this passage on the page. It may have changed since it was analyzed.',
+  NOT_TRACKED: 'This page is not tracked yet. Agreezy starts tracking a policy once it has been analyzed, and will tell you when it changes.',
+  NO_ANALYZED_DOCUMENTS: 'No analyzed documents yet. Documents appear here once their key points have been extracted.',
+  NOTHING_TO_EXPORT: 'Analyze a page first, then export its report.',
+  REPORT_UNAVAILABLE: 'This report is no longer available. Export it again from the Agreezy side panel.',
+  IMPORTED_NO_SUMMARY: 'This analysis was exported without a summary.',
+  IMPORTED_WITHOUT_TEXT: 'This analysis was exported by an older version of Agreezy without the document text, so it cannot answer questions.',
+  NO_HISTORY_MATCHES: 'No analyzed documents match your search.',
+  CONFIRM_DELETE_DOCUMENT: 'Remove this document from your history?',
+  PIN_TO_COMPARE: 'Pin at least two documents to compare them.',
+  COMPARING: 'Comparing clauses...',
+  TOO_MANY_PINNED: 'Unpin a document first: up to 4 documents can be compared at once.',
+  FETCHING_LINKED_POLICIES: 'Fetching the linked policies...',
+  FINISHING_BACKGROUND_ANALYSIS: 'Finishing the analysis started in the background...',
+  NO_LINKED_POLICIES: 'None of the linked policies could be fetched. Open them from the links below.'
+};
+
+// What the panel does with text selected from the context menu
+export const SELECTION_ACTIONS = {
+  ANALYZE: 'analyze',
+  EXPLAIN: 'explain',
+  RISK: 'risk',
+  TRANSLATE: 'translate',
+  ASK: 'ask'
+};
+
+// Runtime message types between the content scripts, service worker,
+// offscreen document and side panel
+export const MESSAGE_TYPES = {
+  DETECTION_FOUND: 'DETECTION_FOUND',
+  OPEN_SIDE_PANEL: 'OPEN_SIDE_PANEL',
+  ANALYZE_LINKED_POLICIES: 'ANALYZE_LINKED_POLICIES',
+  PARSE_POLICY_HTML: 'PARSE_POLICY_HTML',
+  ANALYZE_DOCUMENT: 'ANALYZE_DOCUMENT',
+  ANALYSIS_RESULT: 'ANALYSIS_RESULT',
+  CANCEL_ANALYSIS: 'CANCEL_ANALYSIS',
+  SCROLL_TO_PASSAGE: 'SCROLL_TO_PASSAGE',
+  HIGHLIGHT_CLAUSES: 'HIGHLIGHT_CLAUSES',
+  CLEAR_CLAUSE_HIGHLIGHTS: 'CLEAR_CLAUSE_HIGHLIGHTS'
+};
+
+// Message recipients, for messages only one context should handle
+export const MESSAGE_TARGETS = {
+  OFFSCREEN: 'offscreen',
+  WORKER: 'worker'
+};
+
+// Why in-flight AI work was aborted (passed as the AbortSignal reason)
+export const ABORT_REASONS = {
+  USER: 'cancelled-by-user',
+  NEW_PAGE: 'new-page',
+  REANALYZE: 'reanalyze'
+};
+
+// AI task types: tasks of one type share progress counters and a priority
+export const AI_TASKS = {
+  KEY_POINTS: 'keyPoints',
+  RISK_SCORE: 'riskScore',
+  SUMMARY: 'summary',
+  TRANSLATION: 'translation',
+  QA: 'qa',
+  SUGGESTED_QUESTIONS: 'suggestedQuestions',
+  POLICY_CHANGES: 'policyChanges',
+  COMPARISON: 'comparison',
+  EXPLANATION: 'explanation',
+  WATCH_LIST: 'watchList',
+  POLICY_PROFILE: 'policyProfile',
+  OTHER: 'other'
+};
+
+// AI Scheduler Configuration
+export const AI_SCHEDULER = {
+  DEFAULT_CONCURRENCY: 2, // Gemini Nano sessions running at once
+  MAX_RETRIES: 2,
+  RETRY_BASE_DELAY_MS: 1000, // Doubles on every retry
+  SESSION_POOL_SIZE: 4, // Base sessions kept alive for clone()
+  // Lower runs first: what the user is looking at or waiting on beats background work
+  PRIORITIES: {
+    [AI_TASKS.QA]: 0,
+    [AI_TASKS.KEY_POINTS]: 0,
+    [AI_TASKS.COMPARISON]: 0,
+    [AI_TASKS.EXPLANATION]: 0,
+    [AI_TASKS.TRANSLATION]: 1,
+    [AI_TASKS.RISK_SCORE]: 1,
+    [AI_TASKS.POLICY_CHANGES]: 1,
+    [AI_TASKS.WATCH_LIST]: 1,
+    [AI_TASKS.POLICY_PROFILE]: 1,
+    [AI_TASKS.SUMMARY]: 2,
+    [AI_TASKS.OTHER]: 2,
+    [AI_TASKS.SUGGESTED_QUESTIONS]: 3
+  },
+  // Errors that fail the same way on every attempt
+  NON_RETRYABLE_ERRORS: ['AbortError', 'QuotaExceededError', 'NotSupportedError', 'NotAllowedError', 'SyntaxError']
+};
+
+// Analyzed Document History Configuration (documents pinned for comparison)
+export const DOCUMENT_HISTORY = {
+  DB_NAME: 'agreezy',
+  DB_VERSION: 1,
+  STORE_NAME: 'documents',
+  MAX_DOCUMENTS: 500, // Unpinned documents kept
+  MAX_PINNED: 4 // Columns that still fit the side panel
+};
+
+// Linked Policy Crawler Configuration (documents fetched from signup/checkout pages)
+export const POLICY_CRAWL = {
+  MAX_DOCUMENTS: 4,
+  MAX_RESPONSE_BYTES: 2 * 1024 * 1024, // Per fetched page
+  MAX_TOTAL_CHARS: 400000, // Readable text across all documents (kept in session storage)
+  FETCH_TIMEOUT_MS: 10000,
+  MAX_CRAWL_MS: 30000 // No new fetches start after this
+};
+
+// Offscreen Document (gives the service worker a DOM and the AI APIs)
+export const OFFSCREEN_DOCUMENT = {
+  PATH: 'offscreen/index.html',
+  REASONS: ['DOM_PARSER'],
+  JUSTIFICATION: 'Parse fetched policy pages with Readability and analyze detected policies before the side panel opens'
+};
+
+// Background Analysis Configuration (detected pages analyzed in the offscreen document)
+export const BACKGROUND_ANALYSIS = {
+  SESSION_KEY: 'backgroundAnalyses',
+  MAX_TRACKED: 20,
+  MAX_WAIT_MS: 5 * 60 * 1000 // Longer-running analyses are considered abandoned
+};
+
+// Analysis documents (exported, imported and cached results, see lib/analysis-schema.js)
+export const ANALYSIS_SCHEMA = {
+  FORMAT: 'agreezy-analysis',
+  VERSION: 4
+};
+
+// Watch-list rules (chrome.storage.sync, one item per rule to stay under its per-item quota)
+export const WATCH_LIST = {
+  INDEX_KEY: 'watchListRules', // Rule IDs, in order
+  RULE_KEY_PREFIX: 'watchListRule:',
+  MAX_RULES: 30,
+  MAX_NAME_LENGTH: 80,
+  MAX_DESCRIPTION_LENGTH: 500,
+  MAX_KEYWORDS: 15,
+  MAX_KEYWORD_LENGTH: 60,
+  FORMAT: 'agreezy-watch-list', // Exported rule files
+  VERSION: 1
+};
+
+// Acceptable-terms profile, loaded from a file (chrome.storage.local) or set by
+// an administrator (chrome.storage.managed, see managed_schema.json)
+export const POLICY_PROFILE = {
+  STORAGE_KEY: 'policyProfile',
+  MANAGED_KEY: 'policyProfile',
+  MAX_REQUIREMENTS: 30,
+  MAX_NAME_LENGTH: 80,
+  MAX_DESCRIPTION_LENGTH: 500,
+  MAX_KEYWORDS: 15,
+  MAX_KEYWORD_LENGTH: 60,
+  FORMAT: 'agreezy-policy-profile', // Profile files
+  VERSION: 1
+};
+
+// Per-tab document store (session storage)
+export const DOCUMENT_STORE = {
+  INDEX_KEY: 'tabDocumentIndex',
+  KEY_PREFIX: 'tabDocument:',
+  MAX_TABS: 20
+};
+
+// Q&A Conversation Configuration
+export const QA_THREADS = {
+  INDEX_KEY: 'qaThreadIndex',
+  THREAD_KEY_PREFIX: 'qaThread:',
+  MAX_THREADS: 50,
+  MAX_STORED_TURNS: 50, // Turns shown when a thread is restored
+  RECENT_TURNS: 3, // Turns kept verbatim in the session when older ones are summarized
+  QUOTA_RESERVE_TOKENS: 1024 // Summarize older turns when less than this would be left
+};
+
+// Key Point Values (enforced by the structured output schemas)
+export const KEY_POINTS = {
+  IMPORTANCE: ['high', 'medium', 'low'],
+  CATEGORIES: ['privacy', 'data', 'rights', 'legal', 'financial', 'other']
+};
+
+// Structured Output Configuration
+export const STRUCTURED_OUTPUT = {
+  MAX_REPAIR_ATTEMPTS: 2, // Re-prompts with the validation errors before giving up
+  MAX_REPAIR_ECHO: 4000, // Characters of the invalid response sent back for repair
+  STATS_KEY: 'structuredOutputStats'
+};
+
+// Analysis Cache Configuration
+export const CACHE_CONFIG = {
+  INDEX_KEY: 'analysisCacheIndex',
+  DOCUMENT_KEY_PREFIX: 'analysisCache:',
+  MAX_DOCUMENTS: 50,
+  MAX_TOTAL_BYTES: 4 * 1024 * 1024, // Stay well under chrome.storage.local's 10 MB quota
+  VERSION_KEY: 'schemaVersion' // Analysis schema version a document's results were cached with
+};
+
+// Cached result names (combined with parameters via getResultKey)
+export const CACHE_RESULTS = {
+  KEY_POINTS: 'keyPoints',
+  SUMMARY: 'summary',
+  TRANSLATION: 'translation',
+  SUGGESTED_QUESTIONS: 'suggestedQuestions',
+  RISK_SCORE: 'riskScore',
+  EXPLANATION: 'explanation',
+  WATCH_LIST: 'watchList',
+  POLICY_PROFILE: 'policyProfile'
+};
+
+// Risk Grade Configuration
+export const RISK_GRADES = {
+  STORAGE_KEY: 'riskGrades',
+  MAX_STORED: 200,
+  COLORS: {
+    A: '#10b981',
+    B: '#84cc16',
+    C: '#f59e0b',
+    D: '#f97316',
+    F: '#FF6B6B'
+  }
+};
+
+// Policy History Configuration
+export const POLICY_HISTORY = {
+  INDEX_KEY: 'policyHistoryIndex',
+  RECORD_KEY_PREFIX: 'policyHistory:',
+  MAX_TRACKED_POLICIES: 50,
+  MAX_TOTAL_BYTES: 3 * 1024 * 1024, // Records keep full policy text; with the analysis cache, stays under the 10 MB quota
+  MAX_VERSIONS: 10
 };
 
 // Auto-Detection Configuration
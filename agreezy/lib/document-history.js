@@ -0,0 +1,229 @@
+/**
+ * Analyzed Document History for Agreezy
+ * Keeps the key points and risk grade of every analyzed document in
+ * IndexedDB, so they can be searched in the History tab and pinned for
+ * side-by-side comparison
+ */
+
+import { DOCUMENT_HISTORY } from './constants.js';
+import { normalizePolicyUrl } from './policy-history.js';
+
+let databasePromise = null;
+
+/**
+ * Open the history database, creating it on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DOCUMENT_HISTORY.DB_NAME, DOCUMENT_HISTORY.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(DOCUMENT_HISTORY.STORE_NAME, { keyPath: 'url' });
+        store.createIndex('analyzedAt', 'analyzedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Try again next time instead of keeping a failed open
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run requests against the documents store in one transaction
+ * @param {IDBDatabase} database - Open database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Receives the object store; may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request, once the transaction has committed
+ */
+function runTransaction(database, mode, run) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(DOCUMENT_HISTORY.STORE_NAME, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+
+    const request = run(transaction.objectStore(DOCUMENT_HISTORY.STORE_NAME));
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+  });
+}
+
+/**
+ * Run a transaction on the history database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - See runTransaction
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, run) {
+  return runTransaction(await openDatabase(), mode, run);
+}
+
+/**
+ * Site a document belongs to, for filtering
+ * @param {string} url - Document URL
+ * @returns {string} Hostname without "www."
+ */
+function getSite(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Remember an analyzed document, keeping its pin
+ * The least recently analyzed unpinned documents are dropped beyond the limit.
+ * @param {{url: string, title: string}} pageInfo - Page URL and title
+ * @param {Object} analysis
+ * @param {string} analysis.hash - Content hash
+ * @param {Array<Object>} analysis.keyPoints - Result of extractKeyPoints
+ * @param {Object} analysis.risk - Result of scoreRisk (optional)
+ * @returns {Promise<Object|null>} Saved record
+ */
+export async function recordAnalyzedDocument(pageInfo, analysis) {
+  if (!pageInfo?.url || !analysis.keyPoints?.length) return null;
+
+  const url = normalizePolicyUrl(pageInfo.url);
+  const documents = await getAnalyzedDocuments();
+  const previous = documents.find(doc => doc.url === url);
+
+  const record = {
+    url,
+    title: pageInfo.title || url,
+    site: getSite(url),
+    hash: analysis.hash,
+    analyzedAt: Date.now(),
+    pinned: previous?.pinned || false,
+    keyPoints: analysis.keyPoints.map(({ point, importance, category, section }) => ({ point, importance, category, section })),
+    risk: analysis.risk ? summarizeRisk(analysis.risk) : null
+  };
+
+  const stale = documents
+    .filter(doc => doc.url !== url && !doc.pinned)
+    .slice(DOCUMENT_HISTORY.MAX_DOCUMENTS - 1);
+
+  await withStore('readwrite', (store) => {
+    for (const doc of stale) {
+      store.delete(doc.url);
+    }
+    store.put(record);
+  });
+  return record;
+}
+
+/**
+ * Keep the parts of a risk score the history shows
+ * @param {Object} risk - Result of scoreRisk
+ * @returns {{grade: string, score: number, categories: Object<string, {label: string, score: number, flagged: number}>}}
+ */
+function summarizeRisk(risk) {
+  const categories = Object.fromEntries(
+    Object.entries(risk.categories || {}).map(([category, { label, score, clauses }]) => [
+      category,
+      { label, score, flagged: clauses.length }
+    ])
+  );
+  return { grade: risk.grade, score: risk.score, categories };
+}
+
+/**
+ * Get remembered documents, most recently analyzed first
+ * @returns {Promise<Array<Object>>} Records with their pinned flag
+ */
+export async function getAnalyzedDocuments() {
+  const documents = await withStore('readonly', store => store.getAll());
+  return (documents || []).sort((a, b) => b.analyzedAt - a.analyzedAt);
+}
+
+/**
+ * Filter remembered documents by a search query, site and category
+ * Every word of the query must appear in the title, URL or key points.
+ * A category matches documents with key points or flagged clauses in it.
+ * @param {Array<Object>} documents - From getAnalyzedDocuments
+ * @param {Object} filters
+ * @param {string} filters.query - Search text
+ * @param {string} filters.site - Site from getDocumentSites (empty for all)
+ * @param {string} filters.category - Key point/risk category (empty for all)
+ * @returns {Array<Object>}
+ */
+export function filterAnalyzedDocuments(documents, filters = {}) {
+  const { query = '', site = '', category = '' } = filters;
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return documents.filter((doc) => {
+    if (site && doc.site !== site) return false;
+
+    if (category) {
+      const hasPoints = doc.keyPoints.some(kp => (kp.category || 'other') === category);
+      const hasClauses = doc.risk?.categories?.[category]?.flagged > 0;
+      if (!hasPoints && !hasClauses) return false;
+    }
+
+    if (terms.length === 0) return true;
+    const text = [doc.title, doc.url, ...doc.keyPoints.map(kp => `${kp.point} ${kp.section || ''}`)]
+      .join(' ')
+      .toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+/**
+ * Sites the remembered documents come from
+ * @param {Array<Object>} documents - From getAnalyzedDocuments
+ * @returns {Array<string>} Sorted site names
+ */
+export function getDocumentSites(documents) {
+  return [...new Set(documents.map(doc => doc.site))].sort();
+}
+
+/**
+ * Pin or unpin a document for comparison
+ * @param {string} url - Document URL
+ * @param {boolean} pinned - New pin state
+ * @returns {Promise<boolean>} False if the document is unknown or too many are pinned
+ */
+export async function setDocumentPinned(url, pinned) {
+  const documents = await getAnalyzedDocuments();
+  const record = documents.find(doc => doc.url === normalizePolicyUrl(url));
+  if (!record) return false;
+
+  const pinnedCount = documents.filter(doc => doc.pinned).length;
+  if (pinned && !record.pinned && pinnedCount >= DOCUMENT_HISTORY.MAX_PINNED) {
+    return false;
+  }
+
+  await withStore('readwrite', store => store.put({ ...record, pinned }));
+  return true;
+}
+
+/**
+ * Forget a document
+ * @param {string} url - Document URL
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteAnalyzedDocument(url) {
+  await withStore('readwrite', store => store.delete(normalizePolicyUrl(url)));
+  return true;
+}
+
+export default {
+  recordAnalyzedDocument,
+  getAnalyzedDocuments,
+  filterAnalyzedDocuments,
+  getDocumentSites,
+  setDocumentPinned,
+  deleteAnalyzedDocument
+};
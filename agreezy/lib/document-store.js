@@ -0,0 +1,222 @@
+/**
+ * Per-Tab Document Store for Agreezy
+ * Keeps each tab's extracted page and its analysis state in session storage,
+ * so switching tabs no longer overwrites the document the panel is showing.
+ * A record belongs to one URL: navigating the tab starts a new record, and
+ * updates meant for the previous URL are ignored.
+ *
+ * Analysis state machine:
+ *   idle -> extracting -> idle -> analyzing -> done
+ *   any step can fail to error; a cancelled analysis returns to idle;
+ *   done and error can be re-extracted or re-analyzed. Extracted text that
+ *   was analyzed before skips straight to done.
+ * Results themselves live in the analysis cache (keyed by content hash), so a
+ * done document renders again without re-running the models.
+ */
+
+import { DOCUMENT_STORE } from './constants.js';
+import { getFromSession, setInSession } from './storage-helper.js';
+import { hashContent } from './analysis-cache.js';
+
+export const DOCUMENT_STATUS = {
+  IDLE: 'idle',
+  EXTRACTING: 'extracting',
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+// Allowed transitions: status -> statuses it may move to
+const TRANSITIONS = {
+  [DOCUMENT_STATUS.IDLE]: [DOCUMENT_STATUS.EXTRACTING, DOCUMENT_STATUS.ANALYZING],
+  [DOCUMENT_STATUS.EXTRACTING]: [DOCUMENT_STATUS.IDLE, DOCUMENT_STATUS.ERROR],
+  [DOCUMENT_STATUS.ANALYZING]: [DOCUMENT_STATUS.DONE, DOCUMENT_STATUS.ERROR, DOCUMENT_STATUS.IDLE],
+  [DOCUMENT_STATUS.DONE]: [DOCUMENT_STATUS.EXTRACTING, DOCUMENT_STATUS.ANALYZING],
+  [DOCUMENT_STATUS.ERROR]: [DOCUMENT_STATUS.EXTRACTING, DOCUMENT_STATUS.ANALYZING]
+};
+
+// Session writes from this context are serialized so updates don't overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a storage update after the ones already queued
+ * @param {Function} task - Async update
+ * @returns {Promise<*>} Task result
+ */
+function enqueue(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Session storage key for a tab's document
+ * @param {number} tabId - Tab ID
+ * @returns {string}
+ */
+export function getTabDocumentKey(tabId) {
+  return `${DOCUMENT_STORE.KEY_PREFIX}${tabId}`;
+}
+
+/**
+ * Get a tab's document
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<{tabId: number, url: string, title: string, content: string|null, hash: string|null, analyzedHash: string|null, status: string, error: string|null, updatedAt: number}|null>}
+ */
+export async function getTabDocument(tabId) {
+  if (tabId === undefined || tabId === null) return null;
+
+  const key = getTabDocumentKey(tabId);
+  const stored = await getFromSession(key);
+  return stored[key] || null;
+}
+
+/**
+ * Write a tab's document, dropping the least recently updated tabs beyond the limit
+ * @param {Object} doc - Document record
+ * @returns {Promise<boolean>} Success status
+ */
+async function writeTabDocument(doc) {
+  const stored = await getFromSession(DOCUMENT_STORE.INDEX_KEY);
+  const index = stored[DOCUMENT_STORE.INDEX_KEY] || {};
+  index[doc.tabId] = doc.updatedAt;
+
+  const stale = Object.entries(index)
+    .sort((a, b) => b[1] - a[1])
+    .slice(DOCUMENT_STORE.MAX_TABS)
+    .map(([tabId]) => tabId);
+
+  for (const tabId of stale) {
+    delete index[tabId];
+  }
+  if (stale.length > 0) {
+    await chrome.storage.session.remove(stale.map(getTabDocumentKey));
+  }
+
+  return setInSession({
+    [getTabDocumentKey(doc.tabId)]: doc,
+    [DOCUMENT_STORE.INDEX_KEY]: index
+  });
+}
+
+/**
+ * Mark a tab's page as being extracted
+ * The previous content is kept while the page is on the same URL, so the
+ * panel keeps showing it until the new text arrives.
+ * @param {{id: number, url: string, title: string}} tab - Tab
+ * @returns {Promise<boolean>} Success status
+ */
+export function startExtraction(tab) {
+  return enqueue(async () => {
+    const previous = await getTabDocument(tab.id);
+    const samePage = previous?.url === tab.url;
+
+    if (samePage && !TRANSITIONS[previous.status].includes(DOCUMENT_STATUS.EXTRACTING)) {
+      return false; // Extracting already, or analyzing the current text
+    }
+
+    return writeTabDocument({
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title,
+      content: samePage ? previous.content : null,
+      hash: samePage ? previous.hash : null,
+      analyzedHash: samePage ? previous.analyzedHash : null,
+      translatedTo: samePage ? previous.translatedTo : null,
+      status: DOCUMENT_STATUS.EXTRACTING,
+      error: null,
+      updatedAt: Date.now()
+    });
+  });
+}
+
+/**
+ * Store a tab's extracted text
+ * The document is done right away if this exact text was analyzed before.
+ * @param {{id: number, url: string, title: string}} tab - Tab
+ * @param {string|null} content - Extracted text (null if nothing readable was found)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveExtractedContent(tab, content) {
+  const hash = content ? await hashContent(content) : null;
+
+  return enqueue(async () => {
+    const previous = await getTabDocument(tab.id);
+    const samePage = previous?.url === tab.url;
+    const analyzedHash = samePage ? previous.analyzedHash : null;
+
+    // Analyzing the same text already: leave it be
+    if (samePage && previous.status === DOCUMENT_STATUS.ANALYZING && previous.hash === hash) {
+      return false;
+    }
+
+    return writeTabDocument({
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title,
+      content,
+      hash,
+      analyzedHash,
+      translatedTo: samePage && previous.hash === hash ? previous.translatedTo : null,
+      status: hash && hash === analyzedHash ? DOCUMENT_STATUS.DONE : DOCUMENT_STATUS.IDLE,
+      error: null,
+      updatedAt: Date.now()
+    });
+  });
+}
+
+/**
+ * Update a tab's document if it is still on the given URL
+ * A status change must be an allowed transition; moving to done records the
+ * analyzed content's hash.
+ * @param {number} tabId - Tab ID
+ * @param {string} url - URL the update is meant for
+ * @param {Object} changes - Fields to change (status, error, translatedTo)
+ * @returns {Promise<boolean>} False if the tab moved on or the transition isn't allowed
+ */
+export function updateTabDocument(tabId, url, changes) {
+  return enqueue(async () => {
+    const doc = await getTabDocument(tabId);
+    if (!doc || doc.url !== url) return false;
+
+    const { status } = changes;
+    if (status && status !== doc.status && !TRANSITIONS[doc.status].includes(status)) {
+      console.warn(`[Document Store] Ignoring ${doc.status} -> ${status} for tab ${tabId}`);
+      return false;
+    }
+
+    const updated = { ...doc, ...changes, updatedAt: Date.now() };
+    if (status === DOCUMENT_STATUS.DONE) {
+      updated.analyzedHash = doc.hash;
+      updated.error = null;
+    }
+
+    return writeTabDocument(updated);
+  });
+}
+
+/**
+ * Forget a closed tab's document
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<boolean>} Success status
+ */
+export function removeTabDocument(tabId) {
+  return enqueue(async () => {
+    const stored = await getFromSession(DOCUMENT_STORE.INDEX_KEY);
+    const index = stored[DOCUMENT_STORE.INDEX_KEY] || {};
+    delete index[tabId];
+
+    await chrome.storage.session.remove(getTabDocumentKey(tabId));
+    return setInSession({ [DOCUMENT_STORE.INDEX_KEY]: index });
+  });
+}
+
+export default {
+  getTabDocument,
+  getTabDocumentKey,
+  startExtraction,
+  saveExtractedContent,
+  updateTabDocument,
+  removeTabDocument,
+  DOCUMENT_STATUS
+};
@@ -0,0 +1,127 @@
+/**
+ * Document Comparison Feature for Agreezy
+ * Lines up the key points of several documents by category and asks the
+ * model which document is more permissive for each clause type
+ */
+
+import { AI_TASKS, KEY_POINTS } from '../constants.js';
+import { createJSONInstructionFooter } from '../utils.js';
+import { promptStructured } from '../structured-output.js';
+
+// Verdicts other than naming a document
+export const COMPARISON_VERDICTS = {
+  SIMILAR: 'similar',
+  UNCLEAR: 'unclear'
+};
+
+/**
+ * Group each document's key points by category
+ * @param {Array<{keyPoints: Array<Object>}>} documents - Documents to compare
+ * @returns {Array<{category: string, points: Array<Array<Object>>}>}
+ *   One row per category any document has points in; points[i] belongs to documents[i]
+ */
+export function groupKeyPointsByCategory(documents) {
+  return KEY_POINTS.CATEGORIES
+    .map(category => ({
+      category,
+      points: documents.map(doc => doc.keyPoints.filter(kp => (kp.category || 'other') === category))
+    }))
+    .filter(row => row.points.some(points => points.length > 0));
+}
+
+/**
+ * Letter label for a document in the comparison prompt
+ * @param {number} index - Document index
+ * @returns {string} e.g. "Document A"
+ */
+function getDocumentLabel(index) {
+  return `Document ${String.fromCharCode(65 + index)}`;
+}
+
+/**
+ * Decide which document is more permissive for each clause type
+ * "More permissive" means giving the company more freedom over the user.
+ * @param {Array<{title: string, keyPoints: Array<Object>}>} documents - Two or more analyzed documents
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the comparison
+ * @returns {Promise<Array<{category: string, morePermissive: number|null, verdict: string|null, reason: string}>>}
+ *   One verdict per category row; morePermissive is a document index, otherwise verdict is a COMPARISON_VERDICTS value
+ */
+export async function compareDocuments(documents, options = {}) {
+  const { signal = null } = options;
+
+  if (documents.length < 2) {
+    throw new Error('Pick at least two documents to compare');
+  }
+
+  const rows = groupKeyPointsByCategory(documents);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const categories = rows.map(row => row.category);
+  const labels = documents.map((doc, i) => getDocumentLabel(i));
+  const outcomes = [...labels, COMPARISON_VERDICTS.SIMILAR, COMPARISON_VERDICTS.UNCLEAR];
+
+  const documentsText = documents.map((doc, i) => {
+    const points = rows
+      .flatMap(row => row.points[i].map(kp => `- [${row.category}] ${kp.point}`))
+      .join('\n');
+    return `${labels[i]}: ${doc.title}\n${points || '- (no key points)'}`;
+  }).join('\n\n');
+
+  const userPrompt = `Compare these terms of service/privacy policy documents clause type by clause type, using their key points.
+
+For each clause type, decide which document is MORE PERMISSIVE: it gives the company more freedom over the user (collects or shares more data, limits the user's rights or remedies more, charges or changes the terms more easily).
+
+Return a JSON array with one entry per clause type:
+[{"category": "privacy", "morePermissive": "${labels[0]}", "reason": "one short sentence"}]
+
+Valid category: ${categories.map(category => `"${category}"`).join(', ')}
+Valid morePermissive: ${outcomes.map(outcome => `"${outcome}"`).join(', ')}
+Use "similar" when the documents are about as permissive, "unclear" when the key points don't say.${createJSONInstructionFooter()}
+
+${documentsText}`;
+
+  const schema = {
+    type: 'array',
+    minItems: 1,
+    maxItems: categories.length,
+    items: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', enum: categories },
+        morePermissive: { type: 'string', enum: outcomes },
+        reason: { type: 'string' }
+      },
+      required: ['category', 'morePermissive', 'reason']
+    }
+  };
+
+  try {
+    const verdicts = await promptStructured(userPrompt, schema, {
+      name: 'comparison',
+      signal,
+      task: AI_TASKS.COMPARISON
+    });
+
+    return categories.map(category => {
+      const verdict = verdicts.find(item => item.category === category);
+      const index = verdict ? labels.indexOf(verdict.morePermissive) : -1;
+      return {
+        category,
+        morePermissive: index >= 0 ? index : null,
+        verdict: index >= 0 ? null : (verdict?.morePermissive || COMPARISON_VERDICTS.UNCLEAR),
+        reason: verdict?.reason || ''
+      };
+    });
+  } catch (error) {
+    throw new Error(`Comparison failed: ${error.message}`);
+  }
+}
+
+export default {
+  compareDocuments,
+  groupKeyPointsByCategory,
+  COMPARISON_VERDICTS
+};
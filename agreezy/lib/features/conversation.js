@@ -0,0 +1,211 @@
+/**
+ * Conversational Q&A Feature for Agreezy
+ * Keeps one Prompt API session per document so follow-up questions
+ * ("what about for minors?") are answered with the earlier turns in mind.
+ * Older turns are summarized into notes when the session's quota fills.
+ */
+
+import { createPromptSession, promptAPI, readTextStream, scheduleAITask } from '../ai-apis.js';
+import { validateContentLength } from '../chunker.js';
+import { citeAnswer } from '../citations.js';
+import { AI_TASKS, QA_THREADS } from '../constants.js';
+import { getAnswerContext, getQASystemPrompt, NOT_FOUND_ANSWER } from './qa.js';
+
+const MAX_SUMMARIZED_ANSWER = 1500; // Characters of each answer given to the notes prompt
+
+const CONVERSATION_RULES = `
+
+This is a conversation. Follow-up questions may refer to earlier questions and answers; answer them in that context, using the document excerpts sent with each question.`;
+
+export class Conversation {
+  /**
+   * @param {string} content - Document text
+   * @param {Object} thread - Saved thread to continue (from getQAThread)
+   * @param {Array} thread.turns - Earlier {question, answer, citations, askedAt} turns
+   * @param {string} thread.memory - Notes summarizing turns no longer in the session
+   * @param {number} thread.summarizedTurns - How many of the turns the notes cover
+   */
+  constructor(content, thread = {}) {
+    this.content = content;
+    this.turns = thread.turns || [];
+    this.memory = thread.memory || '';
+    this.summarizedTurns = thread.summarizedTurns || 0;
+    this.session = null; // Promise of the live session
+  }
+
+  /**
+   * Answer a question in the context of the conversation
+   * Pass options.onUpdate to receive the answer markdown as it streams in;
+   * options.signal aborts answering; options.rerank has the model re-rank
+   * the retrieved passages first.
+   * @param {string} question - User question
+   * @param {Object} options
+   * @returns {Promise<{question: string, answer: string, citations: Array, askedAt: number}>} The new turn
+   */
+  async ask(question, options = {}) {
+    const { onUpdate = null, signal = null, rerank = false } = options;
+
+    if (!question || question.trim().length === 0) {
+      throw new Error('Please provide a question');
+    }
+
+    const validation = validateContentLength(this.content);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    try {
+      // Retrieve for the previous question too, so follow-ups find the same clauses
+      const previous = this.turns[this.turns.length - 1];
+      const query = previous ? `${previous.question} ${question}` : question;
+      const context = await getAnswerContext(this.content, query, { question, signal, rerank });
+
+      const answer = context === null
+        ? NOT_FOUND_ANSWER
+        : await this.prompt(`Document excerpts:\n\n${context}\n\n---\n\nQuestion: ${question}`, onUpdate, signal);
+
+      const turn = { question, answer, citations: citeAnswer(this.content, answer), askedAt: Date.now() };
+      this.turns.push(turn);
+      return turn;
+    } catch (error) {
+      throw new Error(`Q&A failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Prompt the conversation session, making room first if the prompt wouldn't fit
+   * @param {string} userPrompt - Excerpts and question
+   * @param {Function} onUpdate - Streaming callback
+   * @param {AbortSignal} signal - Aborts the prompt
+   * @returns {Promise<string>} Answer
+   */
+  async prompt(userPrompt, onUpdate, signal) {
+    let session = await this.getSession(signal);
+
+    const fits = await scheduleAITask(() => hasRoomFor(session, userPrompt), { task: AI_TASKS.QA, signal });
+    if (!fits) {
+      // A fresh session holds only notes and the recent turns, not old excerpts
+      this.resetSession();
+      session = await this.getSession(signal);
+    }
+
+    return scheduleAITask(
+      () => readTextStream(session.promptStreaming(userPrompt, { signal }), onUpdate),
+      { task: AI_TASKS.QA, signal }
+    );
+  }
+
+  /**
+   * Get the live session, creating it from the notes and recent turns
+   * Turns beyond the most recent few are summarized into the notes first.
+   * Creating the session is a model call, so it waits for a scheduler slot.
+   * @param {AbortSignal} signal - Aborts summarizing and session creation
+   * @returns {Promise<Object>} Session
+   */
+  async getSession(signal) {
+    if (this.session) {
+      return this.session;
+    }
+
+    const keepFrom = Math.max(this.summarizedTurns, this.turns.length - QA_THREADS.RECENT_TURNS);
+    if (keepFrom > this.summarizedTurns) {
+      this.memory = await summarizeTurns(this.memory, this.turns.slice(this.summarizedTurns, keepFrom), signal);
+      this.summarizedTurns = keepFrom;
+    }
+
+    const notes = this.memory ? `\n\nNotes on the conversation so far:\n${this.memory}` : '';
+    const initialPrompts = this.turns.slice(this.summarizedTurns).flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer }
+    ]);
+
+    const session = scheduleAITask(
+      () => createPromptSession(getQASystemPrompt() + CONVERSATION_RULES + notes, { initialPrompts, signal }),
+      { task: AI_TASKS.QA, signal }
+    );
+    this.session = session;
+    session.catch(() => {
+      if (this.session === session) this.session = null;
+    });
+
+    return session;
+  }
+
+  /**
+   * Drop the live session; the next question creates a fresh one
+   */
+  resetSession() {
+    this.session?.then(session => session.destroy(), () => {});
+    this.session = null;
+  }
+
+  /**
+   * Conversation state to save with saveQAThread
+   * @returns {{turns: Array, memory: string, summarizedTurns: number}}
+   */
+  getState() {
+    return { turns: this.turns, memory: this.memory, summarizedTurns: this.summarizedTurns };
+  }
+
+  /**
+   * Release the session
+   */
+  destroy() {
+    this.resetSession();
+  }
+}
+
+/**
+ * Check whether a prompt fits the session's remaining quota
+ * Sessions that can't be measured are assumed to have room.
+ * @param {Object} session - Prompt API session
+ * @param {string} userPrompt - Prompt to send
+ * @returns {Promise<boolean>}
+ */
+async function hasRoomFor(session, userPrompt) {
+  if (!session.measureInputUsage || !session.inputQuota) {
+    return true;
+  }
+
+  const needed = await session.measureInputUsage(userPrompt);
+  return session.inputUsage + needed <= session.inputQuota - QA_THREADS.QUOTA_RESERVE_TOKENS;
+}
+
+/**
+ * Fold turns into the conversation notes
+ * @param {string} memory - Current notes
+ * @param {Array<{question: string, answer: string}>} turns - Turns to add
+ * @param {AbortSignal} signal - Aborts the prompt
+ * @returns {Promise<string>} Updated notes
+ */
+async function summarizeTurns(memory, turns, signal = null) {
+  const systemPrompt = 'You keep short notes on a conversation about a terms of service or privacy policy document.';
+
+  const turnsText = turns
+    .map(turn => `Q: ${turn.question}\nA: ${turn.answer.substring(0, MAX_SUMMARIZED_ANSWER)}`)
+    .join('\n\n');
+
+  const userPrompt = `Update the notes with the new questions and answers. Keep what the user asked about and the facts they were told, in a few short sentences. Return only the notes.
+
+Current notes:
+${memory || '(none)'}
+
+New questions and answers:
+${turnsText}`;
+
+  try {
+    const notes = await promptAPI(userPrompt, systemPrompt, { signal, task: AI_TASKS.QA });
+    return notes.trim();
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    // Fallback: at least remember what was asked
+    console.error('Conversation summary failed:', error);
+    const asked = turns.map(turn => `- ${turn.question}`).join('\n');
+    return `${memory ? `${memory}\n` : ''}Earlier questions:\n${asked}`;
+  }
+}
+
+export default {
+  Conversation
+};
@@ -0,0 +1,58 @@
+/**
+ * Clause Explanation Feature for Agreezy
+ * Explains a passage the user selected on the page in plain language
+ */
+
+import { promptStreamingAPI } from '../ai-apis.js';
+import { AI_TASKS } from '../constants.js';
+import { validateContentLength } from '../chunker.js';
+import { createExplanation } from '../analysis-schema.js';
+
+// Keep the selected text within a single prompt
+const MAX_SELECTION_LENGTH = 6000;
+
+/**
+ * Explain a selected clause in plain language
+ * Pass options.onUpdate to receive the explanation markdown as it streams in.
+ * @param {string} text - Selected text
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with the accumulated explanation
+ * @param {AbortSignal} options.signal - Aborts the explanation
+ * @returns {Promise<{text: string}>} Explanation (see createExplanation)
+ */
+export async function explainClause(text, options = {}) {
+  const validation = validateContentLength(text);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const { onUpdate = null, signal = null } = options;
+
+  const systemPrompt = `You explain passages from terms of service and privacy policy documents to people without legal training.
+
+Rules:
+- Say what the passage means for the user in plain English, in 2-4 short sentences
+- Then list what the user agrees to, gives up or should watch out for, as a short markdown bullet list
+- Explain legal terms (e.g. "indemnify", "arbitration") in everyday words
+- Only use what the passage says; if it is not a legal clause, say so briefly
+
+Respond **ONLY** with the explanation, nothing else.`;
+
+  const clause = text.trim().length > MAX_SELECTION_LENGTH
+    ? `${text.trim().substring(0, MAX_SELECTION_LENGTH)}\n\n[Rest of the selection omitted]`
+    : text.trim();
+
+  try {
+    const explanation = await promptStreamingAPI(`Passage:\n${clause}`, systemPrompt, onUpdate, {
+      signal,
+      task: AI_TASKS.EXPLANATION
+    });
+    return createExplanation(explanation);
+  } catch (error) {
+    throw new Error(`Explanation failed: ${error.message}`);
+  }
+}
+
+export default {
+  explainClause
+};
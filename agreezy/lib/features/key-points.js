@@ -3,14 +3,76 @@
  * PRIMARY MVP FEATURE - Extract important clauses and things users should be aware of
  */
 
-import { chunkContent, getChunkContext, validateContentLength } from '../chunker.js';
-import { fastPromptAPI } from '../ai-apis.js';
-import { parseJSONResponse, createJSONSystemPrompt, createJSONInstructionFooter } from '../utils.js';
+import { chunkContent, getChunkContext, getChunkContextTemplate, getSections, getSectionAt, validateContentLength } from '../chunker.js';
+import { getFastPromptChunkBudget } from '../ai-apis.js';
+import { AI_TASKS, KEY_POINTS } from '../constants.js';
+import { createJSONSystemPrompt, createJSONInstructionFooter } from '../utils.js';
+import { locateQuote } from '../citations.js';
+import { reduceHierarchically } from '../map-reduce.js';
+import { promptStructured } from '../structured-output.js';
+import { createKeyPoint, markDegraded, isDegraded } from '../analysis-schema.js';
+
+const KEY_POINT_PROPERTIES = {
+  point: { type: 'string', minLength: 1 },
+  importance: { type: 'string', enum: KEY_POINTS.IMPORTANCE },
+  category: { type: 'string', enum: KEY_POINTS.CATEGORIES }
+};
+
+// Key points extracted from one chunk
+const KEY_POINTS_SCHEMA = {
+  type: 'array',
+  maxItems: 10,
+  items: {
+    type: 'object',
+    properties: { ...KEY_POINT_PROPERTIES, quote: { type: 'string' } },
+    required: ['point', 'importance', 'category', 'quote']
+  }
+};
+
+/**
+ * Schema for merged key points, whose source must number one of the originals
+ * @param {number} count - Number of points being merged
+ * @returns {Object} JSON Schema
+ */
+function getMergedKeyPointsSchema(count) {
+  return {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: { ...KEY_POINT_PROPERTIES, source: { type: 'integer', minimum: 1, maximum: count } },
+      required: ['point', 'importance', 'category', 'source']
+    }
+  };
+}
+
+// Display names and icons for key point categories
+export const KEY_POINT_CATEGORY_LABELS = {
+  privacy: 'Privacy',
+  data: 'Data Collection',
+  rights: 'Your Rights',
+  legal: 'Legal Terms',
+  financial: 'Payment & Billing',
+  other: 'General'
+};
+
+export const KEY_POINT_CATEGORY_ICONS = {
+  privacy: '🔒',
+  data: '📊',
+  rights: '⚖️',
+  legal: '📜',
+  financial: '💰',
+  other: '📌'
+};
 
 /**
  * Extract key points from content with automatic chunking
+ * options.signal aborts every chunk's extraction.
+ * @returns {Promise<Array<Object>>} Key points (see createKeyPoint)
  */
-export async function extractKeyPoints(content) {
+export async function extractKeyPoints(content, options = {}) {
+  const { signal = null } = options;
+
   // Validate content
   const validation = validateContentLength(content);
   if (!validation.valid) {
@@ -18,22 +80,31 @@ export async function extractKeyPoints(content) {
   }
 
   try {
-    // Get chunks
-    const chunks = chunkContent(content);
+    // Get chunks sized to what fits the extraction prompt
+    const budget = await getFastPromptChunkBudget(
+      createJSONSystemPrompt(),
+      buildKeyPointsPrompt(getChunkContextTemplate()),
+      content,
+      { signal, task: AI_TASKS.KEY_POINTS }
+    );
+    const chunks = chunkContent(content, budget);
+    const sections = getSections(content);
 
     // Extract key points from all chunks IN PARALLEL (major performance boost!)
-    const chunkPromises = chunks.map(chunk => extractKeyPointsFromChunk(chunk));
+    const chunkPromises = chunks.map(chunk => extractKeyPointsFromChunk(chunk, content, sections, signal));
     const chunkResults = await Promise.all(chunkPromises);
 
     // Flatten results
     const allKeyPoints = chunkResults.flat();
 
     // If we have multiple chunks, deduplicate and rank
-    if (chunks.length > 1) {
-      return await deduplicateAndRankKeyPoints(allKeyPoints);
-    }
+    const keyPoints = chunks.length > 1
+      ? await deduplicateAndRankKeyPoints(allKeyPoints, signal)
+      : allKeyPoints;
 
-    return allKeyPoints;
+    // A chunk that failed leaves a placeholder: worth showing, not caching
+    const result = keyPoints.map(createKeyPoint);
+    return chunkResults.some(isDegraded) ? markDegraded(result) : result;
   } catch (error) {
     throw new Error(`Key points extraction failed: ${error.message}`);
   }
@@ -41,47 +112,100 @@ export async function extractKeyPoints(content) {
 
 /**
  * Extract key points from a single chunk
+ * Each point carries the supporting quote, its offsets in the full content
+ * and the section it comes from.
  */
-async function extractKeyPointsFromChunk(chunk) {
+async function extractKeyPointsFromChunk(chunk, content, sections, signal = null) {
   const context = getChunkContext(chunk);
   const contextText = context ? `${context}\n\n` : '';
+  const userPrompt = buildKeyPointsPrompt(contextText + chunk.text);
 
-  const userPrompt = `Analyze this terms of service/privacy policy and extract 3-7 MOST IMPORTANT points.
+  try {
+    // Schema-constrained FAST prompt (temperature: 0, topK: 1), repaired if invalid
+    const keyPoints = await promptStructured(userPrompt, KEY_POINTS_SCHEMA, {
+      name: 'keyPoints',
+      signal,
+      task: AI_TASKS.KEY_POINTS
+    });
+
+    return keyPoints.map(kp => attachCitation(kp, content, chunk, sections));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    console.error('Key points extraction failed:', error);
+    return markDegraded([{
+      point: 'Unable to extract key points. Please review the document manually.',
+      importance: 'high',
+      category: 'other'
+    }]);
+  }
+}
+
+/**
+ * Build the extraction prompt for a piece of the document
+ * @param {string} documentText - Chunk text, with its context line
+ * @returns {string}
+ */
+function buildKeyPointsPrompt(documentText) {
+  return `Analyze this terms of service/privacy policy and extract 3-7 MOST IMPORTANT points.
 
 Focus on: data collection, user rights, privacy, restrictions, legal terms, changes, termination, third-party sharing, payments.
 
 Return a JSON array:
-[{"point": "description", "importance": "high", "category": "privacy"}]
+[{"point": "description", "importance": "high", "category": "privacy", "quote": "exact sentence copied from the document"}]
 
-Valid importance: "high", "medium", "low"
-Valid category: "privacy", "data", "rights", "legal", "financial", "other"${createJSONInstructionFooter()}
+Valid importance: ${formatOptions(KEY_POINTS.IMPORTANCE)}
+Valid category: ${formatOptions(KEY_POINTS.CATEGORIES)}
+"quote" must be copied word for word from the document.${createJSONInstructionFooter()}
 
 Document:
-${contextText + chunk.text}`;
+${documentText}`;
+}
 
-  try {
-    // Use FAST API (temperature: 0, topK: 1) for JSON generation
-    const response = await fastPromptAPI(userPrompt, createJSONSystemPrompt());
-    const keyPoints = parseJSONResponse(response, 'array');
+/**
+ * List allowed values for a prompt, e.g. "high", "medium", "low"
+ * @param {Array<string>} options - Allowed values
+ * @returns {string}
+ */
+function formatOptions(options) {
+  return options.map(option => `"${option}"`).join(', ');
+}
 
-    return keyPoints.map(kp => ({ ...kp, chunkIndex: chunk.index }));
-  } catch (error) {
-    console.error('Key points extraction failed:', error);
-    return [{
-      point: 'Unable to extract key points. Please review the document manually.',
-      importance: 'high',
-      category: 'other',
-      chunkIndex: chunk.index
-    }];
-  }
+/**
+ * Replace a key point's model-written quote with the exact document text and offsets
+ * Quotes that can't be found in the document are dropped rather than shown unverified.
+ * The section is the one holding the quote, or the chunk's first section.
+ */
+function attachCitation(keyPoint, content, chunk, sections) {
+  const { quote, ...point } = keyPoint;
+  const located = locateQuote(content, quote, chunk);
+  const section = located ? getSectionAt(sections, located.start)?.label : chunk.section;
+  return {
+    ...point,
+    ...located,
+    ...(section && { section })
+  };
 }
 
 /**
  * Deduplicate and rank key points from multiple chunks
+ * Long documents yield more points than fit one prompt, so points are
+ * deduplicated in groups and the survivors deduplicated again.
  */
-async function deduplicateAndRankKeyPoints(keyPoints) {
+async function deduplicateAndRankKeyPoints(keyPoints, signal = null) {
   if (keyPoints.length === 0) return [];
 
+  return reduceHierarchically(
+    keyPoints,
+    group => deduplicateGroup(group, signal),
+    { size: kp => kp.point.length + 30, signal }
+  );
+}
+
+/**
+ * Deduplicate and rank one group of key points, keeping the top 10
+ */
+async function deduplicateGroup(keyPoints, signal = null) {
   const pointsText = keyPoints.map((kp, idx) =>
     `${idx + 1}. [${kp.importance}] [${kp.category}] ${kp.point}`
   ).join('\n');
@@ -89,19 +213,34 @@ async function deduplicateAndRankKeyPoints(keyPoints) {
   const userPrompt = `Deduplicate, merge related points, and keep TOP 10 most important.
 
 Return JSON array:
-[{"point": "description", "importance": "high", "category": "privacy"}]
+[{"point": "description", "importance": "high", "category": "privacy", "source": 1}]
 
-Valid importance: "high", "medium", "low"
-Valid category: "privacy", "data", "rights", "legal", "financial", "other"${createJSONInstructionFooter()}
+Valid importance: ${formatOptions(KEY_POINTS.IMPORTANCE)}
+Valid category: ${formatOptions(KEY_POINTS.CATEGORIES)}
+"source" is the number of the original point that best supports the merged point.${createJSONInstructionFooter()}
 
 Points:
 ${pointsText}`;
 
   try {
-    // Use FAST API for JSON deduplication task
-    const response = await fastPromptAPI(userPrompt, createJSONSystemPrompt());
-    return parseJSONResponse(response, 'array');
+    // Schema-constrained FAST prompt for the deduplication task
+    const merged = await promptStructured(userPrompt, getMergedKeyPointsSchema(keyPoints.length), {
+      name: 'keyPointsMerge',
+      signal,
+      task: AI_TASKS.KEY_POINTS
+    });
+
+    // Carry each merged point's citation and section over from its source point
+    return merged.map(({ source, ...kp }) => {
+      const original = keyPoints[source - 1];
+      return {
+        ...kp,
+        ...(original?.quote && { quote: original.quote, start: original.start, end: original.end }),
+        ...(original?.section && { section: original.section })
+      };
+    });
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Deduplication failed:', error);
     return deduplicateSimple(keyPoints);
   }
@@ -130,51 +269,44 @@ function deduplicateSimple(keyPoints) {
 
 /**
  * Format key points for display
+ * By default each point links to its source passage in the panel; with
+ * options.quotes (for exported reports) the passage is quoted instead.
  */
-export function formatKeyPoints(keyPoints) {
+export function formatKeyPoints(keyPoints, options = {}) {
+  const { quotes = false } = options;
+
   if (!keyPoints || keyPoints.length === 0) {
     return 'No key points found.';
   }
 
   const grouped = {};
-  for (const kp of keyPoints) {
+  keyPoints.forEach((kp, index) => {
     const category = kp.category || 'other';
     if (!grouped[category]) {
       grouped[category] = [];
     }
-    grouped[category].push(kp);
-  }
-
-  const categoryLabels = {
-    privacy: 'Privacy',
-    data: 'Data Collection',
-    rights: 'Your Rights',
-    legal: 'Legal Terms',
-    financial: 'Payment & Billing',
-    other: 'General'
-  };
-
-  const categoryIcons = {
-    privacy: '🔒',
-    data: '📊',
-    rights: '⚖️',
-    legal: '📜',
-    financial: '💰',
-    other: '📌'
-  };
+    grouped[category].push({ ...kp, index });
+  });
 
   let formatted = '';
 
   for (const [category, points] of Object.entries(grouped)) {
-    const label = categoryLabels[category] || category;
-    const icon = categoryIcons[category] || '•';
+    const label = KEY_POINT_CATEGORY_LABELS[category] || category;
+    const icon = KEY_POINT_CATEGORY_ICONS[category] || '•';
 
     // Category header with icon
     formatted += `### ${icon} ${label}\n\n`;
 
-    // Points - clean bullets without emojis
+    // Points - clean bullets without emojis, naming and linking to their source passage
     for (const point of points) {
-      formatted += `- ${point.point}\n\n`;
+      const section = point.section ? ` *(${point.section})*` : '';
+      let source = '';
+      if (point.quote) {
+        source = quotes
+          ? `\n\n  > ${point.quote.replace(/\s+/g, ' ').trim()}`
+          : ` [↗ Source](#cite-${point.index})`;
+      }
+      formatted += `- ${point.point}${section}${source}\n\n`;
     }
 
     // Add extra spacing between categories
@@ -186,5 +318,7 @@ export function formatKeyPoints(keyPoints) {
 
 export default {
   extractKeyPoints,
-  formatKeyPoints
+  formatKeyPoints,
+  KEY_POINT_CATEGORY_LABELS,
+  KEY_POINT_CATEGORY_ICONS
 };
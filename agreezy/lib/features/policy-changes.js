@@ -0,0 +1,101 @@
+/**
+ * Policy Change Explanation Feature for Agreezy
+ * Explains what materially changed between two versions of a policy
+ */
+
+import { promptAPI } from '../ai-apis.js';
+import { AI_TASKS } from '../constants.js';
+
+// Keep the changed text within a single prompt
+const MAX_CHANGES_LENGTH = 6000;
+
+/**
+ * Explain the changes found by diffParagraphs in plain language
+ * @param {Object} diff - Result of diffParagraphs
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the explanation
+ * @returns {Promise<string>} Markdown explanation
+ */
+export async function explainPolicyChanges(diff, options = {}) {
+  const { signal = null } = options;
+
+  if (!diff || diff.changes.length === 0) {
+    return 'No changes were detected.';
+  }
+
+  const systemPrompt = `You are comparing two versions of a terms of service or privacy policy document. You will receive the paragraphs that were added, removed or modified.
+
+Rules:
+- Explain what MATERIALLY changed for the user, in plain language
+- Focus on data collection and sharing, user rights, fees, arbitration, liability and termination
+- Ignore wording, formatting or ordering changes that do not change meaning
+- If nothing material changed, say so
+- Use a short markdown bullet list
+
+Respond **ONLY** with the explanation, nothing else.`;
+
+  try {
+    return await promptAPI(formatChangesForPrompt(diff), systemPrompt, { signal, task: AI_TASKS.POLICY_CHANGES });
+  } catch (error) {
+    throw new Error(`Change explanation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Render diff changes as prompt text, truncated to fit the context window
+ * @param {Object} diff - Result of diffParagraphs
+ * @returns {string}
+ */
+function formatChangesForPrompt(diff) {
+  let text = '';
+
+  for (const change of diff.changes) {
+    let entry;
+    if (change.type === 'added') {
+      entry = `ADDED:\n${change.after}`;
+    } else if (change.type === 'removed') {
+      entry = `REMOVED:\n${change.before}`;
+    } else {
+      entry = `BEFORE:\n${change.before}\nAFTER:\n${change.after}`;
+    }
+
+    if (text.length + entry.length > MAX_CHANGES_LENGTH) {
+      text += '\n\n[Further changes omitted]';
+      break;
+    }
+    text += `${entry}\n\n---\n\n`;
+  }
+
+  return text.trim();
+}
+
+/**
+ * Format a diff for display
+ * @param {Object} diff - Result of diffParagraphs
+ * @returns {string} Markdown
+ */
+export function formatPolicyChanges(diff) {
+  if (!diff || diff.changes.length === 0) {
+    return 'No changes found.';
+  }
+
+  const { added, removed, modified } = diff.stats;
+  let formatted = `**${modified}** modified, **${added}** added, **${removed}** removed paragraph${added + removed + modified === 1 ? '' : 's'}\n\n`;
+
+  for (const change of diff.changes) {
+    if (change.type === 'added') {
+      formatted += `#### ➕ Added\n\n> ${change.after}\n\n`;
+    } else if (change.type === 'removed') {
+      formatted += `#### ➖ Removed\n\n> ~~${change.before}~~\n\n`;
+    } else {
+      formatted += `#### ✏️ Modified\n\n> ~~${change.before}~~\n\n> ${change.after}\n\n`;
+    }
+  }
+
+  return formatted.trim();
+}
+
+export default {
+  explainPolicyChanges,
+  formatPolicyChanges
+};
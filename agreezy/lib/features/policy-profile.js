@@ -0,0 +1,152 @@
+/**
+ * Acceptable-Terms Profile Check for Agreezy
+ * Checks a document against each requirement of the organization's profile
+ * (see lib/policy-profile.js) and returns a pass/fail checklist. Passages are
+ * found the same way as for watch-list rules; every pass or fail is backed by
+ * a quote from the document, or by the document not mentioning the topic.
+ */
+
+import { validateContentLength } from '../chunker.js';
+import { AI_TASKS } from '../constants.js';
+import { createJSONInstructionFooter } from '../utils.js';
+import { locateQuote } from '../citations.js';
+import { promptStructured } from '../structured-output.js';
+import { createRequirementResult, createProfileCheck, markDegraded, isDegraded } from '../analysis-schema.js';
+import { buildRuleIndex, findRulePassages, formatPassages } from './watch-list.js';
+
+export const REQUIREMENT_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  UNCLEAR: 'unclear'
+};
+
+export const REQUIREMENT_STATUS_LABELS = {
+  [REQUIREMENT_STATUS.PASS]: 'Pass',
+  [REQUIREMENT_STATUS.FAIL]: 'Fail',
+  [REQUIREMENT_STATUS.UNCLEAR]: 'Unclear'
+};
+
+const REQUIREMENT_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: Object.values(REQUIREMENT_STATUS) },
+    quote: { type: 'string' },
+    reason: { type: 'string', minLength: 1 }
+  },
+  required: ['status', 'quote', 'reason']
+};
+
+/**
+ * Check a document against an acceptable-terms profile
+ * The profile passes only if every requirement does; any failed requirement fails it.
+ * If a requirement could not be checked, the checklist is marked degraded so it isn't cached.
+ * @param {string} content - Document text
+ * @param {{name: string, requirements: Array<Object>}} profile - From getPolicyProfile
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the checks
+ * @returns {Promise<Object>} Checklist (see createProfileCheck)
+ */
+export async function checkPolicyProfile(content, profile, options = {}) {
+  const { signal = null } = options;
+
+  const validation = validateContentLength(content);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  try {
+    const index = buildRuleIndex(content);
+
+    // Requirements are independent: the verdict needs every result, so check them all at once
+    const results = await Promise.all(
+      profile.requirements.map(requirement => checkRequirement(content, index, requirement, signal))
+    );
+    const check = createProfileCheck({ profile, verdict: getVerdict(results), results });
+    return results.some(isDegraded) ? markDegraded(check) : check;
+  } catch (error) {
+    throw new Error(`Policy profile check failed: ${error.message}`);
+  }
+}
+
+/**
+ * Overall verdict of a checklist
+ * @param {Array<{status: string}>} results - Requirement results
+ * @returns {string} One of REQUIREMENT_STATUS
+ */
+function getVerdict(results) {
+  if (results.some(result => result.status === REQUIREMENT_STATUS.FAIL)) return REQUIREMENT_STATUS.FAIL;
+  if (results.every(result => result.status === REQUIREMENT_STATUS.PASS)) return REQUIREMENT_STATUS.PASS;
+  return REQUIREMENT_STATUS.UNCLEAR;
+}
+
+/**
+ * Check a document against one requirement
+ * A requirement the document never mentions is still asked about, since not
+ * mentioning e.g. a perpetual license passes while missing GDPR terms fails.
+ * Evidence that isn't in the document makes the result unclear.
+ * @param {string} content - Document text
+ * @param {Object|null} index - From buildRuleIndex
+ * @param {Object} requirement - Profile requirement
+ * @param {AbortSignal} signal - Aborts the check
+ * @returns {Promise<Object>} Requirement result
+ */
+async function checkRequirement(content, index, requirement, signal) {
+  const passages = findRulePassages(content, index, requirement);
+
+  try {
+    const result = await promptStructured(buildRequirementPrompt(requirement, passages), REQUIREMENT_RESULT_SCHEMA, {
+      name: 'policyProfile',
+      signal,
+      task: AI_TASKS.POLICY_PROFILE
+    });
+
+    const quote = result.quote.trim();
+    const located = quote ? locateQuote(content, quote, { start: passages[0]?.start }) : null;
+    const status = quote && !located ? REQUIREMENT_STATUS.UNCLEAR : result.status;
+    return createRequirementResult({ requirement, status, reason: result.reason, ...located });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    console.error(`Policy profile requirement "${requirement.name}" failed:`, error);
+    return markDegraded(createRequirementResult({
+      requirement,
+      status: REQUIREMENT_STATUS.UNCLEAR,
+      reason: 'This requirement could not be checked. Please review the document manually.'
+    }));
+  }
+}
+
+/**
+ * Build the prompt checking one requirement against document passages
+ * @param {Object} requirement - Profile requirement
+ * @param {Array<{text: string, section: string|null}>} passages - Passages in document order (may be empty)
+ * @returns {string}
+ */
+function buildRequirementPrompt(requirement, passages) {
+  const details = [
+    `Requirement: ${requirement.name}`,
+    requirement.description && `Details: ${requirement.description}`
+  ].filter(Boolean).join('\n');
+
+  const excerpts = passages.length > 0
+    ? `Document excerpts:\n${formatPassages(passages)}`
+    : 'No part of the document mentions this topic.';
+
+  return `Check whether this terms of service/privacy policy meets a requirement of the user's organization.
+
+${details}
+
+Return a JSON object:
+{"status": "pass", "quote": "exact sentence copied from the document", "reason": "one short sentence"}
+
+Valid status: "pass" (the document meets the requirement), "fail" (the document breaks it, or lacks terms it requires), "unclear" (the document is too vague to tell)
+"quote" must be copied word for word from the document as evidence, or "" if the document says nothing about it.${createJSONInstructionFooter()}
+
+${excerpts}`;
+}
+
+export default {
+  checkPolicyProfile,
+  REQUIREMENT_STATUS,
+  REQUIREMENT_STATUS_LABELS
+};
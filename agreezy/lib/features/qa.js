@@ -1,110 +1,184 @@
 /**
  * Q&A Feature for Agreezy
- * Answer questions about terms/policy content with chunk-aware context
+ * Finds the passages a local retrieval index ranks highest for a question and
+ * suggests questions to ask. Questions are answered by the Conversation class
+ * (conversation.js).
  */
 
-import { chunkContent, validateContentLength } from '../chunker.js';
-import { promptAPI, fastPromptAPI } from '../ai-apis.js';
-import { parseJSONResponse, createJSONSystemPrompt, createJSONInstructionFooter } from '../utils.js';
-
-/**
- * Answer a question about the content
- */
-export async function answerQuestion(content, question) {
-  if (!question || question.trim().length === 0) {
-    throw new Error('Please provide a question');
-  }
-
-  // Validate content
-  const validation = validateContentLength(content);
-  if (!validation.valid) {
-    throw new Error(validation.error);
-  }
+import { AI_TASKS } from '../constants.js';
+import { createJSONInstructionFooter } from '../utils.js';
+import { buildRetrievalIndex, searchIndex } from '../retrieval.js';
+import { promptStructured } from '../structured-output.js';
+import { markDegraded } from '../analysis-schema.js';
+
+const MAX_PASSAGES = 30; // Passages taken from the index before the context budget applies
+const RERANK_CANDIDATES = 8; // Best passages the model re-ranks, when enabled
+const MIN_CONTEXT_PASSAGES = 3; // Best re-ranked passages always kept
+const HIGH_RELEVANCE_SCORE = 7; // Re-ranked passages scoring this or more are always kept too
+const MAX_ANSWER_CONTEXT = 12000; // Characters of document text per answering prompt
+export const NOT_FOUND_ANSWER = "I couldn't find relevant information in the document to answer this question.";
+
+const RELEVANCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: 10 },
+    reasoning: { type: 'string' }
+  },
+  required: ['score', 'reasoning']
+};
 
-  try {
-    // Get chunks
-    const chunks = chunkContent(content);
+const SUGGESTED_QUESTIONS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 5,
+  items: { type: 'string', minLength: 1 }
+};
 
-    // If single chunk, answer directly
-    if (chunks.length === 1) {
-      return await answerFromChunk(chunks[0].text, question);
-    }
-
-    // Multiple chunks: find relevant chunks first, then answer
-    return await answerFromMultipleChunks(chunks, question);
-  } catch (error) {
-    throw new Error(`Q&A failed: ${error.message}`);
-  }
-}
+// Index of the last document asked about
+let cachedIndex = null;
 
 /**
- * Answer question from a single chunk
+ * System prompt for answering questions about a document
+ * @returns {string}
  */
-async function answerFromChunk(text, question) {
-  const systemPrompt = `You are analyzing a terms of service or privacy policy document. Answer the user's question based ONLY on the provided document content.
+export function getQASystemPrompt() {
+  return `You are analyzing a terms of service or privacy policy document. Answer the user's question based ONLY on the provided document content.
 
 Rules:
 - If the answer is in the document, provide a clear, concise answer
-- Quote relevant sections when helpful
+- Support the answer with 1-3 short quotes copied word for word from the document, each on its own line as a markdown blockquote starting with "> "
+- If the document is divided into labelled sections (e.g. "Section 14 – Dispute Resolution"), say which section the answer comes from
 - If the information is not in the document, say "This information is not found in the document"
 - Be honest if you're uncertain
 - Keep answers focused and relevant
 
 Answer the question clearly and helpfully.`;
+}
+
+/**
+ * Get the document text to answer a question from
+ * Short documents are used whole. Otherwise passages are ranked locally
+ * (BM25), optionally re-ranked by the model, and the best that fit one
+ * prompt are returned labelled with their sections.
+ * @param {string} content - Document text
+ * @param {string} query - Text to retrieve passages for (the question, plus earlier turns for follow-ups)
+ * @param {Object} options
+ * @param {string} options.question - Question the re-ranker scores against (defaults to query)
+ * @param {boolean} options.rerank - Re-rank the retrieved passages with the model
+ * @param {AbortSignal} options.signal - Aborts re-ranking
+ * @returns {Promise<string|null>} Context, or null when no passage is relevant
+ */
+export async function getAnswerContext(content, query, options = {}) {
+  const { question = query, signal = null, rerank = false } = options;
+
+  if (content.length <= MAX_ANSWER_CONTEXT) {
+    return content;
+  }
+
+  // Step 1: Rank passages locally, in milliseconds
+  const index = getRetrievalIndex(content);
+  let passages = searchIndex(index, query, { limit: MAX_PASSAGES });
 
-  const userPrompt = `Document:\n\n${text}\n\n---\n\nQuestion: ${question}`;
+  // Questions with no matching terms ("what is this?") get the start of the document
+  if (passages.length === 0) {
+    passages = index.passages;
+  }
+
+  // Step 2: Optionally let the model re-rank the best candidates
+  if (rerank && passages.length > 1) {
+    passages = await rerankPassages(passages, question, signal);
+  }
 
-  const answer = await promptAPI(userPrompt, systemPrompt);
-  return answer;
+  if (passages.length === 0) {
+    return null;
+  }
+
+  // Step 3: Keep the best passages that fit, labelled with their sections
+  return combineContexts(selectContexts(passages));
 }
 
 /**
- * Answer question from multiple chunks (chunk-aware)
+ * Get the retrieval index for a document, reusing it for follow-up questions
+ * @param {string} content - Document text
+ * @returns {Object} Retrieval index
  */
-async function answerFromMultipleChunks(chunks, question) {
-  // Step 1: Find relevant chunks
-  const relevantChunks = await findRelevantChunks(chunks, question);
+function getRetrievalIndex(content) {
+  if (cachedIndex?.content !== content) {
+    cachedIndex = { content, index: buildRetrievalIndex(content) };
+  }
+  return cachedIndex.index;
+}
 
-  if (relevantChunks.length === 0) {
-    return "I couldn't find relevant information in the document to answer this question.";
+/**
+ * Take ranked passages up to the answer context budget, in document order
+ * Adjacent passages of the same section are joined into one context block.
+ * @param {Array<{text: string, start: number, section: string|null}>} passages - Best first
+ * @returns {Array<{label: string, text: string}>} Context blocks
+ */
+function selectContexts(passages) {
+  const selected = [];
+  let used = 0;
+  for (const passage of passages) {
+    if (selected.length > 0 && used + passage.text.length > MAX_ANSWER_CONTEXT) break;
+    selected.push(passage);
+    used += passage.text.length;
   }
 
-  // Step 2: Combine relevant chunks and answer
-  const combinedContext = relevantChunks
-    .map(rc => `[Part ${rc.index + 1}]\n${rc.text}`)
-    .join('\n\n---\n\n');
+  const contexts = [];
+  for (const passage of selected.sort((a, b) => a.start - b.start)) {
+    const label = passage.section || 'Document';
+    const last = contexts[contexts.length - 1];
+    if (last?.label === label) {
+      last.text += `\n\n${passage.text}`;
+    } else {
+      contexts.push({ label, text: passage.text });
+    }
+  }
+
+  return contexts;
+}
 
-  return await answerFromChunk(combinedContext, question);
+/**
+ * Join labelled context blocks into one prompt context
+ * @param {Array<{label: string, text: string}>} contexts - Context blocks
+ * @returns {string}
+ */
+function combineContexts(contexts) {
+  return contexts
+    .map(context => `[${context.label}]\n${context.text}`)
+    .join('\n\n---\n\n');
 }
 
 /**
- * Find chunks relevant to the question
+ * Re-rank the best passages with the model
+ * Keeps the best few passages plus every highly relevant one, best first.
+ * Passages the model can't score keep their retrieval rank.
  */
-async function findRelevantChunks(chunks, question) {
-  // Check relevance for all chunks IN PARALLEL (major performance boost!)
-  const relevancePromises = chunks.map(async (chunk) => {
-    const relevance = await assessChunkRelevance(chunk, question);
-    return {
-      chunk: chunk,
-      score: relevance.score,
-      reasoning: relevance.reasoning
-    };
-  });
-
-  const chunkRelevance = await Promise.all(relevancePromises);
-
-  // Sort by relevance and take top 3 chunks
-  chunkRelevance.sort((a, b) => b.score - a.score);
-  const topChunks = chunkRelevance.slice(0, 3).filter(cr => cr.score > 0);
-
-  return topChunks.map(cr => cr.chunk);
+async function rerankPassages(passages, question, signal = null) {
+  const candidates = passages.slice(0, RERANK_CANDIDATES);
+
+  // Each candidate is scored on its own, so all are scored at once
+  const scored = await Promise.all(candidates.map(async (passage, rank) => {
+    const relevance = await assessPassageRelevance(passage, question, signal);
+    return { passage, rank, score: relevance?.score ?? null };
+  }));
+
+  const ranked = scored
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.rank - b.rank)
+    .filter((candidate, rank) =>
+      candidate.score === null || (candidate.score > 0 && (rank < MIN_CONTEXT_PASSAGES || candidate.score >= HIGH_RELEVANCE_SCORE))
+    )
+    .map(candidate => candidate.passage);
+
+  return [...ranked, ...passages.slice(RERANK_CANDIDATES)];
 }
 
 /**
- * Assess if a chunk is relevant to the question
+ * Assess if a passage is relevant to the question
+ * @returns {Promise<{score: number, reasoning: string}|null>} Null if scoring failed
  */
-async function assessChunkRelevance(chunk, question) {
-  const userPrompt = `Rate relevance (0-10) of this chunk for answering the question.
+async function assessPassageRelevance(passage, question, signal = null) {
+  const userPrompt = `Rate relevance (0-10) of this passage for answering the question.
 
 Return JSON: {"score": 7, "reasoning": "brief explanation"}
 
@@ -112,33 +186,29 @@ Score: 0-3: Not relevant, 4-6: Somewhat relevant, 7-10: Highly relevant${createJ
 
 Question: ${question}
 
-Chunk (Part ${chunk.index + 1} of ${chunk.total}):
-${chunk.text.substring(0, 1000)}...`;
+Passage (${passage.section || 'Document'}):
+${passage.text}`;
 
   try {
-    // Use FAST API for JSON relevance scoring
-    const response = await fastPromptAPI(userPrompt, createJSONSystemPrompt());
-    const result = parseJSONResponse(response, 'object');
-    return { score: result.score || 0, reasoning: result.reasoning || '' };
+    // Schema-constrained FAST prompt for relevance scoring
+    const result = await promptStructured(userPrompt, RELEVANCE_SCHEMA, {
+      name: 'relevance',
+      signal,
+      task: AI_TASKS.QA
+    });
+    return { score: result.score, reasoning: result.reasoning };
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Relevance assessment failed:', error);
-    return keywordMatchScore(question, chunk.text);
+    return null;
   }
 }
 
-/**
- * Fallback keyword matching for relevance
- */
-function keywordMatchScore(question, text) {
-  const keywords = question.toLowerCase().split(/\s+/).filter(w => w.length > 3);
-  const matches = keywords.filter(kw => text.toLowerCase().includes(kw)).length;
-  return { score: Math.min(10, matches * 2), reasoning: 'Keyword matching fallback' };
-}
-
 /**
  * Get suggested questions based on content
  */
-export async function getSuggestedQuestions(content) {
+export async function getSuggestedQuestions(content, options = {}) {
+  const { signal = null } = options;
   const preview = content.substring(0, 2000);
 
   const userPrompt = `Generate 5 helpful questions users commonly want to know about this terms/privacy document.
@@ -151,22 +221,27 @@ Document preview:
 ${preview}`;
 
   try {
-    // Use FAST API for JSON array generation
-    const response = await fastPromptAPI(userPrompt, createJSONSystemPrompt());
-    return parseJSONResponse(response, 'array');
+    // Schema-constrained FAST prompt for the question list
+    return await promptStructured(userPrompt, SUGGESTED_QUESTIONS_SCHEMA, {
+      name: 'suggestedQuestions',
+      signal,
+      task: AI_TASKS.SUGGESTED_QUESTIONS
+    });
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Suggested questions generation failed:', error);
-    return [
+    return markDegraded([
       'What personal data is collected?',
       'How is my data shared with third parties?',
       'Can I delete my account and data?',
       'What are my privacy rights?',
       'Are there any important restrictions I should know about?'
-    ];
+    ]);
   }
 }
 
 export default {
-  answerQuestion,
+  getAnswerContext,
+  getQASystemPrompt,
   getSuggestedQuestions
 };
@@ -0,0 +1,256 @@
+/**
+ * Risk Scoring Feature for Agreezy
+ * Classifies clauses against a fixed taxonomy and grades the document A-F
+ */
+
+import { chunkContent, getChunkContext, getChunkContextTemplate, validateContentLength } from '../chunker.js';
+import { getFastPromptChunkBudget } from '../ai-apis.js';
+import { AI_TASKS } from '../constants.js';
+import { createJSONSystemPrompt, createJSONInstructionFooter } from '../utils.js';
+import { promptStructured } from '../structured-output.js';
+import { markDegraded, isDegraded } from '../analysis-schema.js';
+
+/**
+ * Clause taxonomy. Weight reflects how much a clause hurts the user (1-10);
+ * keywords drive the fallback classifier when the model output is unusable.
+ */
+export const RISK_TAXONOMY = [
+  { id: 'forced_arbitration', label: 'Forced arbitration', category: 'legal', weight: 10, keywords: ['binding arbitration', 'arbitration agreement', 'waive your right to a jury', 'individual arbitration'] },
+  { id: 'class_action_waiver', label: 'Class-action waiver', category: 'legal', weight: 9, keywords: ['class action', 'class-action', 'representative action', 'collective action'] },
+  { id: 'broad_indemnification', label: 'Broad indemnification', category: 'legal', weight: 7, keywords: ['indemnify', 'hold harmless', 'indemnification'] },
+  { id: 'liability_limitation', label: 'Limited liability', category: 'legal', weight: 5, keywords: ['limitation of liability', 'in no event shall', 'not be liable for'] },
+  { id: 'unilateral_changes', label: 'Unilateral changes', category: 'rights', weight: 6, keywords: ['modify these terms at any time', 'change these terms', 'sole discretion', 'without notice'] },
+  { id: 'perpetual_content_license', label: 'Perpetual content license', category: 'rights', weight: 8, keywords: ['perpetual', 'irrevocable', 'worldwide, royalty-free', 'sublicensable'] },
+  { id: 'termination_without_cause', label: 'Termination without cause', category: 'rights', weight: 4, keywords: ['terminate your account at any time', 'suspend or terminate', 'for any reason'] },
+  { id: 'data_selling', label: 'Data selling', category: 'data', weight: 10, keywords: ['sell your personal', 'sale of personal', 'sell personal information', 'sell your data'] },
+  { id: 'indefinite_retention', label: 'Indefinite data retention', category: 'data', weight: 5, keywords: ['retain indefinitely', 'as long as necessary', 'even after you delete'] },
+  { id: 'third_party_sharing', label: 'Third-party sharing', category: 'privacy', weight: 6, keywords: ['share with third parties', 'third-party partners', 'affiliates and partners'] },
+  { id: 'tracking_advertising', label: 'Tracking for advertising', category: 'privacy', weight: 5, keywords: ['targeted advertising', 'interest-based advertising', 'tracking technologies', 'cross-site'] },
+  { id: 'auto_renewal', label: 'Auto-renewal', category: 'financial', weight: 5, keywords: ['automatically renew', 'auto-renew', 'recurring billing', 'renews automatically'] },
+  { id: 'no_refunds', label: 'No refunds', category: 'financial', weight: 4, keywords: ['non-refundable', 'no refunds', 'not be refunded'] }
+];
+
+export const RISK_CATEGORY_LABELS = {
+  privacy: 'Privacy',
+  data: 'Data Collection',
+  rights: 'Your Rights',
+  legal: 'Legal Terms',
+  financial: 'Payment & Billing'
+};
+
+// How much of a clause's weight counts at each severity
+const SEVERITY_FACTORS = { high: 1, medium: 0.6, low: 0.3 };
+
+// Clauses found in one chunk
+const CLASSIFICATION_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      clause: { type: 'string', enum: RISK_TAXONOMY.map(t => t.id) },
+      severity: { type: 'string', enum: Object.keys(SEVERITY_FACTORS) },
+      evidence: { type: 'string' }
+    },
+    required: ['clause', 'severity', 'evidence']
+  }
+};
+
+// Overall score lost per weighted penalty point (two severe clauses push a document to F)
+const OVERALL_PENALTY_SCALE = 2.5;
+
+// Minimum score for each grade, best first
+const GRADE_THRESHOLDS = [
+  { grade: 'A', min: 90 },
+  { grade: 'B', min: 80 },
+  { grade: 'C', min: 70 },
+  { grade: 'D', min: 60 },
+  { grade: 'F', min: 0 }
+];
+
+/**
+ * Score a document's risk with automatic chunking
+ * @param {string} content - Document text
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts classification
+ * @returns {Promise<{grade: string, score: number, categories: Object, clauses: Array}>}
+ */
+export async function scoreRisk(content, options = {}) {
+  const { signal = null } = options;
+
+  // Validate content
+  const validation = validateContentLength(content);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  try {
+    const budget = await getFastPromptChunkBudget(
+      createJSONSystemPrompt(),
+      buildClassificationPrompt(getChunkContextTemplate()),
+      content,
+      { signal, task: AI_TASKS.RISK_SCORE }
+    );
+    const chunks = chunkContent(content, budget);
+
+    // Classify all chunks IN PARALLEL
+    const chunkResults = await Promise.all(chunks.map(chunk => classifyChunk(chunk, signal)));
+
+    // Keyword-matched chunks give a rougher grade, regraded next time
+    const risk = computeRiskScore(mergeClauses(chunkResults.flat()));
+    return chunkResults.some(isDegraded) ? markDegraded(risk) : risk;
+  } catch (error) {
+    throw new Error(`Risk scoring failed: ${error.message}`);
+  }
+}
+
+/**
+ * Classify the clauses found in a single chunk
+ * @param {Object} chunk - Chunk from chunkContent
+ * @param {AbortSignal} signal - Aborts the prompt
+ * @returns {Promise<Array<{id: string, severity: string, evidence: string}>>}
+ */
+async function classifyChunk(chunk, signal = null) {
+  const context = getChunkContext(chunk);
+  const contextText = context ? `${context}\n\n` : '';
+  const userPrompt = buildClassificationPrompt(contextText + chunk.text);
+
+  try {
+    const results = await promptStructured(userPrompt, CLASSIFICATION_SCHEMA, {
+      name: 'riskClauses',
+      signal,
+      task: AI_TASKS.RISK_SCORE
+    });
+
+    return results.map(r => ({ id: r.clause, severity: r.severity, evidence: r.evidence }));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('Risk classification failed, using keyword matching:', error);
+    return markDegraded(classifyByKeywords(chunk.text));
+  }
+}
+
+/**
+ * Build the classification prompt for a piece of the document
+ * @param {string} documentText - Chunk text, with its context line
+ * @returns {string}
+ */
+function buildClassificationPrompt(documentText) {
+  const taxonomyText = RISK_TAXONOMY.map(t => `- ${t.id}: ${t.label}`).join('\n');
+
+  return `Identify which of these clause types appear in this terms of service/privacy policy text.
+
+Clause types:
+${taxonomyText}
+
+Return a JSON array (empty if none apply):
+[{"clause": "forced_arbitration", "severity": "high", "evidence": "short quote from the text"}]
+
+Valid severity: "high" (clearly present and broad), "medium" (present with limits), "low" (mentioned but mild)
+Only use the clause types listed above.${createJSONInstructionFooter()}
+
+Document:
+${documentText}`;
+}
+
+/**
+ * Fallback keyword classifier
+ * @param {string} text - Chunk text
+ * @returns {Array<{id: string, severity: string, evidence: string}>}
+ */
+function classifyByKeywords(text) {
+  const lower = text.toLowerCase();
+  const found = [];
+
+  for (const clause of RISK_TAXONOMY) {
+    const keyword = clause.keywords.find(kw => lower.includes(kw));
+    if (keyword) {
+      const at = lower.indexOf(keyword);
+      found.push({
+        id: clause.id,
+        severity: 'medium',
+        evidence: text.substring(Math.max(0, at - 60), at + keyword.length + 60).trim()
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Keep the most severe finding for each clause type
+ * @param {Array} findings - Findings from all chunks
+ * @returns {Array} One finding per clause type
+ */
+function mergeClauses(findings) {
+  const byId = new Map();
+
+  for (const finding of findings) {
+    const existing = byId.get(finding.id);
+    if (!existing || SEVERITY_FACTORS[finding.severity] > SEVERITY_FACTORS[existing.severity]) {
+      byId.set(finding.id, finding);
+    }
+  }
+
+  return Array.from(byId.values());
+}
+
+/**
+ * Turn clause findings into per-category sub-scores and an overall grade
+ * Sub-scores are the share of the category's total weight that was NOT triggered;
+ * the overall score drops OVERALL_PENALTY_SCALE points per weighted penalty.
+ * @param {Array<{id: string, severity: string, evidence: string}>} findings - Merged findings
+ * @returns {{grade: string, score: number, categories: Object, clauses: Array}}
+ */
+export function computeRiskScore(findings) {
+  const clauses = findings.map(finding => {
+    const clause = RISK_TAXONOMY.find(t => t.id === finding.id);
+    return {
+      ...finding,
+      label: clause.label,
+      category: clause.category,
+      penalty: clause.weight * SEVERITY_FACTORS[finding.severity]
+    };
+  }).sort((a, b) => b.penalty - a.penalty);
+
+  const categories = {};
+  for (const [category, label] of Object.entries(RISK_CATEGORY_LABELS)) {
+    const maxPenalty = RISK_TAXONOMY
+      .filter(t => t.category === category)
+      .reduce((sum, t) => sum + t.weight, 0);
+    const found = clauses.filter(c => c.category === category);
+    const penalty = found.reduce((sum, c) => sum + c.penalty, 0);
+
+    categories[category] = {
+      label,
+      score: Math.round(100 * (1 - penalty / maxPenalty)),
+      clauses: found.map(c => c.id)
+    };
+  }
+
+  const totalPenalty = clauses.reduce((sum, c) => sum + c.penalty, 0);
+  const score = Math.max(0, Math.round(100 - totalPenalty * OVERALL_PENALTY_SCALE));
+
+  return {
+    grade: getGrade(score),
+    score,
+    categories,
+    clauses
+  };
+}
+
+/**
+ * Map a 0-100 score to a letter grade
+ * @param {number} score - Overall score
+ * @returns {string} Grade (A-F)
+ */
+export function getGrade(score) {
+  return GRADE_THRESHOLDS.find(t => score >= t.min).grade;
+}
+
+export default {
+  scoreRisk,
+  computeRiskScore,
+  getGrade,
+  RISK_TAXONOMY,
+  RISK_CATEGORY_LABELS
+};
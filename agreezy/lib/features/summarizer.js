@@ -2,11 +2,21 @@
  * Chunk-aware Summarization Feature for Agreezy
  */
 
-import { chunkContent, getChunkContext, validateContentLength } from '../chunker.js';
-import { createSummarizer, promptAPI } from '../ai-apis.js';
+import { chunkContent, getChunkContext, getChunkLabel, validateContentLength } from '../chunker.js';
+import { createSummarizer, scheduleAITask, promptAPI, promptStreamingAPI, readTextStream, getSummarizerChunkBudget } from '../ai-apis.js';
+import { AI_TASKS } from '../constants.js';
+import { reduceHierarchically } from '../map-reduce.js';
+import { createSummary, markDegraded } from '../analysis-schema.js';
+
+const SUMMARIZER_CONTEXT = { sharedContext: 'This is a terms of service or privacy policy document' };
 
 /**
  * Summarize content with automatic chunking for long documents
+ * Pass options.onUpdate to receive the summary markdown as it streams in;
+ * for long documents it first receives the part summaries as they finish.
+ * options.signal aborts all in-flight summarization. A summary whose parts
+ * could not be merged is marked degraded so it isn't cached.
+ * @returns {Promise<Object>} Summary (see createSummary)
  */
 export async function summarizeContent(content, options = {}) {
   // Validate content
@@ -18,20 +28,23 @@ export async function summarizeContent(content, options = {}) {
   const {
     type = 'key-points',
     format = 'markdown',
-    length = 'short'
+    length = 'short',
+    onUpdate = null,
+    signal = null
   } = options;
 
   try {
-    // Get chunks
-    const chunks = chunkContent(content);
+    // Get chunks sized to the Summarizer's input quota
+    const budget = await getSummarizerChunkBudget({ ...SUMMARIZER_CONTEXT, type, format, length, signal }, content);
+    const chunks = chunkContent(content, budget);
 
-    // If single chunk, summarize directly
-    if (chunks.length === 1) {
-      return await summarizeSingleChunk(chunks[0].text, { type, format, length });
-    }
+    // If single chunk, summarize directly; multiple chunks: summarize each then merge
+    const { text, degraded } = chunks.length === 1
+      ? { text: await summarizeSingleChunk(chunks[0].text, { type, format, length, signal }, onUpdate), degraded: false }
+      : await summarizeMultipleChunks(chunks, { type, format, length, signal }, onUpdate);
 
-    // Multiple chunks: summarize each then merge
-    return await summarizeMultipleChunks(chunks, { type, format, length });
+    const summary = createSummary(text, { type, length, format });
+    return degraded ? markDegraded(summary) : summary;
   } catch (error) {
     throw new Error(`Summarization failed: ${error.message}`);
   }
@@ -39,27 +52,38 @@ export async function summarizeContent(content, options = {}) {
 
 /**
  * Summarize a single chunk using Summarizer API
+ * Streams the summary when onUpdate is given.
  */
-async function summarizeSingleChunk(text, options) {
-  const summarizer = await createSummarizer({
-    sharedContext: 'This is a terms of service or privacy policy document',
-    type: options.type,
-    format: options.format,
-    length: options.length
-  });
-
-  try {
-    const summary = await summarizer.summarize(text);
-    return summary;
-  } finally {
-    summarizer.destroy();
-  }
+async function summarizeSingleChunk(text, options, onUpdate = null) {
+  return scheduleAITask(async () => {
+    const summarizer = await createSummarizer({
+      ...SUMMARIZER_CONTEXT,
+      type: options.type,
+      format: options.format,
+      length: options.length,
+      signal: options.signal
+    });
+
+    try {
+      if (onUpdate && summarizer.summarizeStreaming) {
+        return await readTextStream(summarizer.summarizeStreaming(text, { signal: options.signal }), onUpdate);
+      }
+      const summary = await summarizer.summarize(text, { signal: options.signal });
+      return summary;
+    } finally {
+      summarizer.destroy();
+    }
+  }, { task: AI_TASKS.SUMMARY, signal: options.signal });
 }
 
 /**
  * Summarize multiple chunks and merge the results
+ * Merges happen in groups, level by level, until the summaries fit one prompt.
+ * @returns {Promise<{text: string, degraded: boolean}>} Summary, degraded if any merge fell back
  */
-async function summarizeMultipleChunks(chunks, options) {
+async function summarizeMultipleChunks(chunks, options, onUpdate = null) {
+  const finished = [];
+
   // Summarize all chunks IN PARALLEL (major performance boost!)
   const summaryPromises = chunks.map(async (chunk) => {
     const context = getChunkContext(chunk);
@@ -67,24 +91,90 @@ async function summarizeMultipleChunks(chunks, options) {
     const textToSummarize = contextText + chunk.text;
 
     const summary = await summarizeSingleChunk(textToSummarize, options);
-    return {
+    const result = {
       index: chunk.index,
+      label: getChunkLabel(chunk),
+      first: chunk.index + 1,
+      last: chunk.index + 1,
       summary: summary
     };
+
+    // Show each part as soon as it's ready
+    finished.push(result);
+    onUpdate?.(formatPartialSummaries(finished, chunks.length));
+
+    return result;
   });
 
   const chunkSummaries = await Promise.all(summaryPromises);
 
-  // Merge summaries using Prompt API
-  return await mergeSummaries(chunkSummaries, options);
+  // Merge summaries using Prompt API, streaming only the final merge
+  return await reduceHierarchically(
+    chunkSummaries,
+    async (group, { final }) => {
+      if (!final) return mergeSummaryGroup(group, options);
+      const merged = await mergeSummaries(group, options, onUpdate);
+      return { text: merged.summary, degraded: merged.degraded || group.some(cs => cs.degraded) };
+    },
+    { size: cs => cs.summary.length, signal: options.signal }
+  );
+}
+
+/**
+ * Merge a group of summaries into one intermediate summary covering all their parts
+ * @param {Array<{first: number, last: number, summary: string}>} group - Adjacent summaries
+ * @param {Object} options - Summary options
+ * @returns {Promise<{first: number, last: number, summary: string, degraded: boolean}>}
+ */
+async function mergeSummaryGroup(group, options) {
+  const merged = await mergeSummaries(group, options);
+  return {
+    first: group[0].first,
+    last: group[group.length - 1].last,
+    summary: merged.summary,
+    degraded: merged.degraded || group.some(cs => cs.degraded)
+  };
+}
+
+/**
+ * Format the part summaries finished so far, in document order
+ * @param {Array<{index: number, label: string, summary: string}>} finished - Finished part summaries
+ * @param {number} total - Total number of parts
+ * @returns {string} Markdown
+ */
+function formatPartialSummaries(finished, total) {
+  const parts = [...finished]
+    .sort((a, b) => a.index - b.index)
+    .map(cs => `#### ${cs.label}\n\n${cs.summary}`)
+    .join('\n\n');
+
+  const status = finished.length < total
+    ? `Summarized ${finished.length} of ${total} parts...`
+    : 'Merging parts into one summary...';
+
+  return `*${status}*\n\n${parts}`;
+}
+
+/**
+ * Label a summary with the document parts it covers
+ * @param {{first: number, last: number}} summary - Chunk or merged summary
+ * @returns {string} e.g. "Part 3" or "Parts 1-4"
+ */
+function getPartLabel(summary) {
+  return summary.first === summary.last
+    ? `Part ${summary.first}`
+    : `Parts ${summary.first}-${summary.last}`;
 }
 
 /**
  * Merge multiple chunk summaries into a coherent final summary
+ * Streams the merged summary when onUpdate is given. If the merge prompt
+ * fails, the summaries are concatenated and the result marked degraded.
+ * @returns {Promise<{summary: string, degraded: boolean}>}
  */
-async function mergeSummaries(chunkSummaries, options) {
+async function mergeSummaries(chunkSummaries, options, onUpdate = null) {
   const combinedSummaries = chunkSummaries
-    .map(cs => `Part ${cs.index + 1}:\n${cs.summary}`)
+    .map(cs => `${getPartLabel(cs)}:\n${cs.summary}`)
     .join('\n\n---\n\n');
 
   const systemPrompt = `You are summarizing a terms of service or privacy policy document. You will receive summaries from different parts of the document. Your task is to merge them into one coherent, well-organized ${options.length} summary in ${options.format} format.
@@ -99,12 +189,17 @@ Rules:
 Respond **ONLY** with the merged summary, nothing else.`;
 
   try {
-    const mergedSummary = await promptAPI(combinedSummaries, systemPrompt);
-    return mergedSummary;
+    const promptOptions = { signal: options.signal, task: AI_TASKS.SUMMARY };
+    const mergedSummary = onUpdate
+      ? await promptStreamingAPI(combinedSummaries, systemPrompt, onUpdate, promptOptions)
+      : await promptAPI(combinedSummaries, systemPrompt, promptOptions);
+    return { summary: mergedSummary, degraded: false };
   } catch (error) {
+    if (options.signal?.aborted) throw error;
+
     // Fallback: just concatenate summaries if merge fails
     console.error('Summary merging failed, using concatenation:', error);
-    return chunkSummaries.map(cs => cs.summary).join('\n\n');
+    return { summary: chunkSummaries.map(cs => cs.summary).join('\n\n'), degraded: true };
   }
 }
 
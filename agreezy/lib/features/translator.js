@@ -5,11 +5,17 @@
 
 import { chunkContent, validateContentLength } from '../chunker.js';
 import { translateText, detectLanguage } from '../ai-apis.js';
+import { createTranslation } from '../analysis-schema.js';
 
 /**
  * Translate content to target language with automatic chunking
+ * Pass options.onUpdate to receive the translation text as it streams in;
+ * options.signal aborts the translation.
+ * @returns {Promise<Object>} Translation (see createTranslation)
  */
-export async function translateContent(content, targetLanguage = 'en', sourceLanguage = null) {
+export async function translateContent(content, targetLanguage = 'en', sourceLanguage = null, options = {}) {
+  const { onUpdate = null, signal = null } = options;
+
   // Validate content
   const validation = validateContentLength(content);
   if (!validation.valid) {
@@ -19,17 +25,17 @@ export async function translateContent(content, targetLanguage = 'en', sourceLan
   try {
     // Detect source language if not provided
     if (!sourceLanguage) {
-      sourceLanguage = await detectLanguage(content);
+      sourceLanguage = await detectLanguage(content, signal);
     }
 
     // If already in target language, no translation needed
     if (sourceLanguage === targetLanguage) {
-      return {
-        translatedText: content,
-        sourceLanguage: sourceLanguage,
-        targetLanguage: targetLanguage,
+      return createTranslation({
+        text: content,
+        sourceLanguage,
+        targetLanguage,
         note: 'Content is already in the target language'
-      };
+      });
     }
 
     // Get chunks
@@ -39,7 +45,16 @@ export async function translateContent(content, targetLanguage = 'en', sourceLan
     const translatedChunks = [];
 
     for (const chunk of chunks) {
-      const translated = await translateText(chunk.text, targetLanguage, sourceLanguage);
+      // Stream the chunk in progress after the ones already translated
+      const done = translatedChunks.map(tc => tc.translatedText).join('\n\n');
+      const prefix = done ? `${done}\n\n` : '';
+      const translated = await translateText(
+        chunk.text,
+        targetLanguage,
+        sourceLanguage,
+        onUpdate && (text => onUpdate(prefix + text)),
+        signal
+      );
       translatedChunks.push({
         index: chunk.index,
         translatedText: translated
@@ -52,12 +67,11 @@ export async function translateContent(content, targetLanguage = 'en', sourceLan
       .map(tc => tc.translatedText)
       .join('\n\n');
 
-    return {
-      translatedText: fullTranslation,
-      sourceLanguage: sourceLanguage,
-      targetLanguage: targetLanguage,
-      chunksProcessed: chunks.length
-    };
+    return createTranslation({
+      text: fullTranslation,
+      sourceLanguage,
+      targetLanguage
+    });
   } catch (error) {
     throw new Error(`Translation failed: ${error.message}`);
   }
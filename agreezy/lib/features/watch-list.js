@@ -0,0 +1,209 @@
+/**
+ * Watch List Feature for Agreezy
+ * Checks a document for each of the user's watch-list rules. The passages
+ * mentioning a rule's keywords or terms are found locally, then the model
+ * says whether the clause is there, backed by a quote from the document.
+ */
+
+import { validateContentLength } from '../chunker.js';
+import { AI_TASKS } from '../constants.js';
+import { createJSONInstructionFooter } from '../utils.js';
+import { locateQuote } from '../citations.js';
+import { buildRetrievalIndex, searchIndex } from '../retrieval.js';
+import { promptStructured } from '../structured-output.js';
+import { createWatchResult, markDegraded, isDegraded } from '../analysis-schema.js';
+
+export const WATCH_STATUS = {
+  FOUND: 'found',
+  NOT_FOUND: 'not_found',
+  UNCLEAR: 'unclear'
+};
+
+export const WATCH_STATUS_LABELS = {
+  [WATCH_STATUS.FOUND]: 'Found',
+  [WATCH_STATUS.NOT_FOUND]: 'Not found',
+  [WATCH_STATUS.UNCLEAR]: 'Unclear'
+};
+
+const MAX_RULE_CONTEXT = 6000; // Characters of document text per rule prompt
+const MAX_SEARCH_PASSAGES = 8; // Best-ranked passages considered per rule
+const MAX_KEYWORD_MATCHES = 3; // Passages taken for each keyword found verbatim
+
+const WATCH_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: Object.values(WATCH_STATUS) },
+    quote: { type: 'string' },
+    reason: { type: 'string', minLength: 1 }
+  },
+  required: ['status', 'quote', 'reason']
+};
+
+/**
+ * Check a document for each watch-list rule
+ * options.signal aborts every rule's check. If a rule could not be checked,
+ * the results are marked degraded so they aren't cached.
+ * @param {string} content - Document text
+ * @param {Array<{id: string, name: string, description: string, keywords: Array<string>}>} rules - Watch-list rules
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the checks
+ * @returns {Promise<Array<Object>>} One result per rule, in rule order (see createWatchResult)
+ */
+export async function checkWatchList(content, rules, options = {}) {
+  const { signal = null } = options;
+
+  const validation = validateContentLength(content);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+  if (rules.length === 0) return [];
+
+  try {
+    const index = buildRuleIndex(content);
+
+    // Rules are independent: check them all at once, results in rule order
+    const results = await Promise.all(rules.map(rule => checkRule(content, index, rule, signal)));
+    return results.some(isDegraded) ? markDegraded(results) : results;
+  } catch (error) {
+    throw new Error(`Watch list check failed: ${error.message}`);
+  }
+}
+
+/**
+ * Check a document for one rule
+ * A rule nothing in the document mentions is not found without asking the
+ * model; a "found" whose quote isn't in the document is only unclear.
+ * @param {string} content - Document text
+ * @param {Object|null} index - Retrieval index (null for short documents, sent whole)
+ * @param {Object} rule - Watch-list rule
+ * @param {AbortSignal} signal - Aborts the check
+ * @returns {Promise<Object>} Watch result
+ */
+async function checkRule(content, index, rule, signal) {
+  const passages = findRulePassages(content, index, rule);
+  if (passages.length === 0) {
+    return createWatchResult({ rule, status: WATCH_STATUS.NOT_FOUND, reason: 'Nothing in the document mentions it.' });
+  }
+
+  try {
+    const result = await promptStructured(buildRulePrompt(rule, passages), WATCH_RESULT_SCHEMA, {
+      name: 'watchList',
+      signal,
+      task: AI_TASKS.WATCH_LIST
+    });
+
+    if (result.status === WATCH_STATUS.NOT_FOUND) {
+      return createWatchResult({ rule, status: result.status, reason: result.reason });
+    }
+
+    const located = result.quote ? locateQuote(content, result.quote, { start: passages[0].start }) : null;
+    const status = result.status === WATCH_STATUS.FOUND && !located ? WATCH_STATUS.UNCLEAR : result.status;
+    return createWatchResult({ rule, status, reason: result.reason, ...located });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    console.error(`Watch list rule "${rule.name}" failed:`, error);
+    return markDegraded(createWatchResult({
+      rule,
+      status: WATCH_STATUS.UNCLEAR,
+      reason: 'This rule could not be checked. Please review the document manually.'
+    }));
+  }
+}
+
+/**
+ * Build the index rules' passages are found in
+ * Also used for the requirements of acceptable-terms profiles.
+ * @param {string} content - Document text
+ * @returns {Object|null} Retrieval index, or null if the document fits one prompt whole
+ */
+export function buildRuleIndex(content) {
+  return content.length > MAX_RULE_CONTEXT ? buildRetrievalIndex(content) : null;
+}
+
+/**
+ * Find the passages a rule could be about
+ * Passages containing one of its keywords come first, then those ranking
+ * highest for its name, description and keywords; the best that fit one
+ * prompt are returned in document order.
+ * @param {string} content - Document text
+ * @param {Object|null} index - From buildRuleIndex
+ * @param {{name: string, description: string, keywords: Array<string>}} rule - Watch-list rule or profile requirement
+ * @returns {Array<{text: string, start: number, section: string|null}>}
+ */
+export function findRulePassages(content, index, rule) {
+  if (!index) return [{ text: content, start: 0, section: null }];
+
+  const lowerContent = content.toLowerCase();
+  const keywordPassages = rule.keywords.flatMap((keyword) => {
+    const matches = [];
+    let at = lowerContent.indexOf(keyword.toLowerCase());
+    while (at !== -1 && matches.length < MAX_KEYWORD_MATCHES) {
+      const passage = index.passages.find(p => p.start <= at && at < p.end);
+      if (passage && !matches.includes(passage)) matches.push(passage);
+      at = lowerContent.indexOf(keyword.toLowerCase(), at + keyword.length);
+    }
+    return matches;
+  });
+
+  const query = [rule.name, rule.description, ...rule.keywords].join(' ');
+  const ranked = searchIndex(index, query, { limit: MAX_SEARCH_PASSAGES });
+
+  const selected = [];
+  let used = 0;
+  for (const passage of [...keywordPassages, ...ranked]) {
+    if (selected.some(p => p.start === passage.start)) continue;
+    if (used + passage.text.length > MAX_RULE_CONTEXT) break;
+    selected.push(passage);
+    used += passage.text.length;
+  }
+
+  return selected.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the prompt checking one rule against document passages
+ * @param {Object} rule - Watch-list rule
+ * @param {Array<{text: string, section: string|null}>} passages - Passages in document order
+ * @returns {string}
+ */
+function buildRulePrompt(rule, passages) {
+  const details = [
+    `Watch item: ${rule.name}`,
+    rule.description && `Description: ${rule.description}`,
+    rule.keywords.length > 0 && `Related words: ${rule.keywords.join(', ')}`
+  ].filter(Boolean).join('\n');
+
+  return `Check whether this terms of service/privacy policy contains a clause the user is watching for.
+
+${details}
+
+Return a JSON object:
+{"status": "found", "quote": "exact sentence copied from the document", "reason": "one short sentence"}
+
+Valid status: "found" (the document clearly contains it), "not_found" (the document does not contain it), "unclear" (the document is vague or only partly covers it)
+"quote" must be copied word for word from the document, or "" if no sentence supports the status.${createJSONInstructionFooter()}
+
+Document excerpts:
+${formatPassages(passages)}`;
+}
+
+/**
+ * Join passages into prompt excerpts, each under its section title
+ * @param {Array<{text: string, section: string|null}>} passages - Passages in document order
+ * @returns {string}
+ */
+export function formatPassages(passages) {
+  return passages
+    .map(passage => (passage.section ? `[${passage.section}]\n${passage.text}` : passage.text))
+    .join('\n\n---\n\n');
+}
+
+export default {
+  checkWatchList,
+  buildRuleIndex,
+  findRulePassages,
+  formatPassages,
+  WATCH_STATUS,
+  WATCH_STATUS_LABELS
+};
@@ -0,0 +1,95 @@
+/**
+ * Hierarchical Map-Reduce for Agreezy
+ * Reduces any number of partial results in context-sized groups, level by
+ * level, until what is left fits a single prompt
+ */
+
+export const MAX_REDUCE_INPUT = 6000; // Characters of partial results per reduce prompt
+
+/**
+ * Split items into consecutive groups whose combined size fits the budget
+ * Every group but a trailing one takes at least two items, so every level has
+ * fewer groups than items even when single items are oversized.
+ * @param {Array} items - Items to group
+ * @param {Function} size - Returns an item's size in characters
+ * @param {number} maxInput - Size budget per group
+ * @returns {Array<Array>} Groups, in order
+ */
+export function groupBySize(items, size, maxInput) {
+  const groups = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const item of items) {
+    const itemSize = size(item);
+    if (current.length >= 2 && currentSize + itemSize > maxInput) {
+      groups.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(item);
+    currentSize += itemSize;
+  }
+
+  if (current.length > 0) {
+    // Don't leave a lone item to be carried up a level on its own
+    if (current.length === 1 && groups.length > 0 && currentSize <= maxInput / 2) {
+      groups[groups.length - 1].push(current[0]);
+    } else {
+      groups.push(current);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Reduce items level by level until they fit one prompt
+ * reduce(group, { level, final }) returns one item or an array of items; the
+ * final call (final: true) gets everything that is left and its result is returned.
+ * @param {Array} items - Mapped partial results (e.g. chunk summaries)
+ * @param {Function} reduce - Async reducer for one group
+ * @param {Object} options
+ * @param {Function} options.size - Returns an item's size in characters
+ * @param {number} options.maxInput - Size budget per reduce prompt
+ * @param {AbortSignal} options.signal - Stops between levels once aborted
+ * @returns {Promise<*>} Result of the final reduce
+ */
+export async function reduceHierarchically(items, reduce, options = {}) {
+  const {
+    size = item => String(item).length,
+    maxInput = MAX_REDUCE_INPUT,
+    signal = null
+  } = options;
+
+  let level = 0;
+
+  for (;;) {
+    signal?.throwIfAborted();
+
+    const total = items.reduce((sum, item) => sum + size(item), 0);
+    if (items.length <= 1 || total <= maxInput) {
+      return reduce(items, { level, final: true });
+    }
+
+    // Groups at one level don't depend on each other: reduce them all at once
+    const groups = groupBySize(items, size, maxInput);
+    const reduced = (await Promise.all(
+      groups.map(group => reduce(group, { level, final: false }))
+    )).flat();
+
+    // A level that didn't shrink anything would loop forever: finish with what we have
+    if (reduced.length >= items.length) {
+      return reduce(reduced, { level: level + 1, final: true });
+    }
+
+    items = reduced;
+    level++;
+  }
+}
+
+export default {
+  groupBySize,
+  reduceHierarchically,
+  MAX_REDUCE_INPUT
+};
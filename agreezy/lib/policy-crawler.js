@@ -0,0 +1,234 @@
+/**
+ * Linked Policy Crawler for Agreezy
+ * Fetches the terms/privacy documents a signup or checkout page links to, so
+ * they can be analyzed without the user leaving the form. Only same-site
+ * links are followed, within a budget of documents, bytes and time.
+ */
+
+import { POLICY_CRAWL } from './constants.js';
+import { normalizePolicyUrl } from './policy-history.js';
+
+// Why a linked document was not fetched or could not be used
+export const CRAWL_SKIP_REASONS = {
+  OTHER_SITE: 'other-site',
+  INSECURE: 'insecure',
+  BUDGET: 'budget',
+  NOT_HTML: 'not-html',
+  TOO_LARGE: 'too-large',
+  UNREADABLE: 'unreadable',
+  FAILED: 'failed'
+};
+
+// Two-label public suffixes common enough to matter for same-site checks
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp',
+  'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.za', 'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.tr',
+  'com.sg', 'com.hk', 'com.tw'
+]);
+
+// Documents to fetch first when there are more links than the budget allows
+const LINK_PRIORITY = ['terms', 'privacy', 'conditions', 'agreement', 'eula', 'cookie'];
+
+/**
+ * Registrable domain of a host ("accounts.example.co.uk" -> "example.co.uk")
+ * @param {string} hostname - URL hostname
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (/^[\d.]+$/.test(host) || host.includes(':')) {
+    return host; // IP address
+  }
+
+  const labels = host.split('.');
+  const suffixLength = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-suffixLength).join('.');
+}
+
+/**
+ * Check whether a link may be fetched on behalf of a page
+ * Same-site means the same registrable domain; https pages never link down to http.
+ * @param {URL} page - Page the link was found on
+ * @param {URL} link - Linked document
+ * @returns {string|null} A CRAWL_SKIP_REASONS value, or null if the link is allowed
+ */
+export function checkSameSite(page, link) {
+  if (link.protocol !== 'https:' && link.protocol !== 'http:') {
+    return CRAWL_SKIP_REASONS.OTHER_SITE;
+  }
+  if (page.protocol === 'https:' && link.protocol !== 'https:') {
+    return CRAWL_SKIP_REASONS.INSECURE;
+  }
+  if (getRegistrableDomain(page.hostname) !== getRegistrableDomain(link.hostname)) {
+    return CRAWL_SKIP_REASONS.OTHER_SITE;
+  }
+  return null;
+}
+
+/**
+ * Rank a link by how likely it is to matter when signing up
+ * @param {{title: string, url: string}} link - Policy link
+ * @returns {number} Lower is more important
+ */
+function getLinkPriority(link) {
+  const text = `${link.title} ${link.url}`.toLowerCase();
+  const index = LINK_PRIORITY.findIndex(keyword => text.includes(keyword));
+  return index >= 0 ? index : LINK_PRIORITY.length;
+}
+
+/**
+ * Read a response body as text, giving up beyond a size limit
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<string|null>} Text, or null if the body is too large
+ */
+async function readLimitedText(response, maxBytes) {
+  const declared = parseInt(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+
+  return text + decoder.decode();
+}
+
+/**
+ * Fetch one linked document and turn it into readable text
+ * @param {string} url - Document URL (already checked as same-site)
+ * @param {URL} page - Page the link was found on
+ * @param {Function} parseHTML - async (html, url) => {title, content}|null
+ * @returns {Promise<{title: string, content: string}|{skipped: string}>}
+ */
+async function fetchDocument(url, page, parseHTML) {
+  const response = await fetch(url, {
+    credentials: 'omit',
+    redirect: 'follow',
+    signal: AbortSignal.timeout(POLICY_CRAWL.FETCH_TIMEOUT_MS)
+  });
+
+  // A redirect must not take the crawl off-site either
+  const redirectSkip = checkSameSite(page, new URL(response.url || url));
+  if (redirectSkip) {
+    await response.body?.cancel();
+    return { skipped: redirectSkip };
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    return { skipped: CRAWL_SKIP_REASONS.FAILED };
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!/text\/html|application\/xhtml\+xml|text\/plain/.test(contentType)) {
+    await response.body?.cancel();
+    return { skipped: CRAWL_SKIP_REASONS.NOT_HTML };
+  }
+
+  const body = await readLimitedText(response, POLICY_CRAWL.MAX_RESPONSE_BYTES);
+  if (body === null) {
+    return { skipped: CRAWL_SKIP_REASONS.TOO_LARGE };
+  }
+
+  const article = contentType.includes('text/plain')
+    ? { title: '', content: body.trim() }
+    : await parseHTML(body, response.url || url);
+
+  if (!article?.content) {
+    return { skipped: CRAWL_SKIP_REASONS.UNREADABLE };
+  }
+  return article;
+}
+
+/**
+ * Fetch the policy documents a page links to
+ * Links are fetched one at a time, most important first, until the budget
+ * of documents, characters or time runs out.
+ * @param {string} pageUrl - Page the links were found on
+ * @param {Array<{title: string, url: string}>} links - Links from findPolicyLinks
+ * @param {Object} options
+ * @param {Function} options.parseHTML - async (html, url) => {title, content}|null
+ * @returns {Promise<{documents: Array<{title: string, url: string, pageTitle: string, content: string}>, skipped: Array<{title: string, url: string, reason: string}>}>}
+ *   title is the link text, pageTitle the fetched document's own title
+ */
+export async function crawlLinkedPolicies(pageUrl, links, options) {
+  const { parseHTML } = options;
+  const page = new URL(pageUrl);
+  const documents = [];
+  const skipped = [];
+  const seen = new Set([normalizePolicyUrl(pageUrl)]);
+  const deadline = Date.now() + POLICY_CRAWL.MAX_CRAWL_MS;
+  let totalChars = 0;
+
+  const candidates = links
+    .map((link, index) => ({ ...link, index }))
+    .sort((a, b) => getLinkPriority(a) - getLinkPriority(b) || a.index - b.index);
+
+  for (const link of candidates) {
+    let url;
+    try {
+      url = new URL(link.url);
+    } catch (error) {
+      continue;
+    }
+
+    const normalized = normalizePolicyUrl(url.href);
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    const entry = { title: link.title, url: normalized };
+
+    const siteSkip = checkSameSite(page, url);
+    if (siteSkip) {
+      skipped.push({ ...entry, reason: siteSkip });
+      continue;
+    }
+
+    const overBudget = documents.length >= POLICY_CRAWL.MAX_DOCUMENTS ||
+      totalChars >= POLICY_CRAWL.MAX_TOTAL_CHARS ||
+      Date.now() >= deadline;
+    if (overBudget) {
+      skipped.push({ ...entry, reason: CRAWL_SKIP_REASONS.BUDGET });
+      continue;
+    }
+
+    try {
+      const result = await fetchDocument(url.href, page, parseHTML);
+      if (result.skipped) {
+        skipped.push({ ...entry, reason: result.skipped });
+        continue;
+      }
+
+      const content = result.content.substring(0, POLICY_CRAWL.MAX_TOTAL_CHARS - totalChars);
+      totalChars += content.length;
+      documents.push({ ...entry, pageTitle: result.title || link.title, content });
+    } catch (error) {
+      console.error('[Policy Crawler] Failed to fetch', url.href, error);
+      skipped.push({ ...entry, reason: CRAWL_SKIP_REASONS.FAILED });
+    }
+  }
+
+  return { documents, skipped };
+}
+
+export default {
+  crawlLinkedPolicies,
+  checkSameSite,
+  getRegistrableDomain,
+  CRAWL_SKIP_REASONS
+};
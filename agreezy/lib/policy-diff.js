@@ -0,0 +1,110 @@
+/**
+ * Paragraph-level Diff for Agreezy
+ * Compares two versions of a policy document and reports what changed
+ */
+
+/**
+ * Split document text into comparable paragraphs
+ * The "#" markers extraction adds to headings are dropped: headings still
+ * compare as paragraphs, and changed ones show as plain text in the quoted
+ * changes instead of turning into markdown headings.
+ * @param {string} text - Document text
+ * @returns {Array<string>} Paragraphs
+ */
+export function splitParagraphs(text) {
+  return (text || '')
+    .split(/\r?\n+/)
+    .map(p => p.replace(/^\s*#{1,4}\s+/, '').replace(/\s+/g, ' ').trim())
+    .filter(p => p.length > 0);
+}
+
+/**
+ * Compute the longest common subsequence table for two paragraph lists
+ * @param {Array<string>} a - Old paragraphs
+ * @param {Array<string>} b - New paragraphs
+ * @returns {Function} Lookup function (i, j) -> LCS length of a[i:] and b[j:]
+ */
+function buildLCSTable(a, b) {
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  return (i, j) => table[i * width + j];
+}
+
+/**
+ * Diff two document versions paragraph by paragraph
+ * Adjacent removals and additions are paired up as modifications.
+ * @param {string} oldText - Previous version
+ * @param {string} newText - Current version
+ * @returns {{changes: Array<{type: string, before?: string, after?: string}>, stats: Object}}
+ */
+export function diffParagraphs(oldText, newText) {
+  const a = splitParagraphs(oldText);
+  const b = splitParagraphs(newText);
+  const lcs = buildLCSTable(a, b);
+
+  const changes = [];
+  const stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  let removedRun = [];
+  let addedRun = [];
+
+  // Flush a run of removals/additions, pairing them into modifications
+  const flush = () => {
+    const paired = Math.min(removedRun.length, addedRun.length);
+    for (let k = 0; k < paired; k++) {
+      changes.push({ type: 'modified', before: removedRun[k], after: addedRun[k] });
+      stats.modified++;
+    }
+    for (const before of removedRun.slice(paired)) {
+      changes.push({ type: 'removed', before });
+      stats.removed++;
+    }
+    for (const after of addedRun.slice(paired)) {
+      changes.push({ type: 'added', after });
+      stats.added++;
+    }
+    removedRun = [];
+    addedRun = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      flush();
+      stats.unchanged++;
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs(i, j + 1) >= lcs(i + 1, j))) {
+      addedRun.push(b[j++]);
+    } else {
+      removedRun.push(a[i++]);
+    }
+  }
+  flush();
+
+  return { changes, stats };
+}
+
+/**
+ * Check whether a diff contains any changes
+ * @param {Object} diff - Result of diffParagraphs
+ * @returns {boolean}
+ */
+export function hasChanges(diff) {
+  return Boolean(diff && diff.changes.length > 0);
+}
+
+export default {
+  splitParagraphs,
+  diffParagraphs,
+  hasChanges
+};
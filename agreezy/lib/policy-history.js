@@ -0,0 +1,256 @@
+/**
+ * Policy History Store for Agreezy
+ * Tracks analyzed policy pages per URL and detects when their text changes
+ */
+
+import { POLICY_HISTORY, DETECTION } from './constants.js';
+import { getFromStorage, setInStorage, removeFromStorage } from './storage-helper.js';
+import { hashContent } from './analysis-cache.js';
+import { diffParagraphs, hasChanges } from './policy-diff.js';
+
+// Serialize record updates so concurrent writes don't drop each other's index entries
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a task after all previously queued history writes
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function enqueue(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// URL patterns that identify policy documents (not checkout/signup flows)
+const POLICY_URL_PATTERNS = DETECTION.URL_PATTERNS.filter(pattern =>
+  !['/checkout', '/cart', '/signup', '/register'].includes(pattern)
+);
+
+/**
+ * Normalize a URL so the same policy maps to one record
+ * (drops the fragment and trailing slash)
+ * @param {string} url - Page URL
+ * @returns {string} Normalized URL
+ */
+export function normalizePolicyUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Check whether a page looks like a policy document worth tracking
+ * @param {string} url - Page URL
+ * @param {string} content - Extracted page text
+ * @returns {boolean}
+ */
+export function isPolicyDocument(url, content) {
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  if (POLICY_URL_PATTERNS.some(pattern => pathname.includes(pattern))) {
+    return true;
+  }
+
+  const preview = (content || '').substring(0, 5000).toLowerCase();
+  return DETECTION.CONTENT_KEYWORDS.some(keyword => preview.includes(keyword));
+}
+
+/**
+ * Storage key for a URL's history record
+ * @param {string} url - Normalized URL
+ * @returns {string}
+ */
+function getRecordKey(url) {
+  return `${POLICY_HISTORY.RECORD_KEY_PREFIX}${url}`;
+}
+
+/**
+ * Get the history record for a URL
+ * @param {string} url - Page URL
+ * @returns {Promise<Object|null>} Record, or null if the page isn't tracked
+ */
+export async function getPolicyRecord(url) {
+  if (!url) return null;
+
+  const key = getRecordKey(normalizePolicyUrl(url));
+  const stored = await getFromStorage(key);
+  return stored[key] || null;
+}
+
+/**
+ * Save a record, keeping the tracked policies within their count and size limits
+ * Only call from a queued task: the index ({ [url]: { lastSeen, size } }) is read, then rewritten.
+ * Records hold a policy's full text and last diff, so the least recently seen
+ * ones are dropped before chrome.storage.local's quota fills up.
+ * @param {Object} record - History record
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveRecord(record) {
+  const size = JSON.stringify(record).length;
+
+  // A single policy larger than the whole budget is not worth tracking
+  if (size > POLICY_HISTORY.MAX_TOTAL_BYTES) {
+    return false;
+  }
+
+  const stored = await getFromStorage(POLICY_HISTORY.INDEX_KEY);
+  const index = stored[POLICY_HISTORY.INDEX_KEY] || {};
+  index[record.url] = { lastSeen: Date.now(), size };
+
+  const stale = selectStale(index, record.url);
+  for (const url of stale) {
+    delete index[url];
+  }
+  if (stale.length > 0) {
+    await removeFromStorage(stale.map(getRecordKey));
+  }
+
+  return setInStorage({
+    [getRecordKey(record.url)]: record,
+    [POLICY_HISTORY.INDEX_KEY]: index
+  });
+}
+
+/**
+ * Pick policies to stop tracking (least recently seen first) until the
+ * records are within their count and size limits
+ * @param {Object} index - Tracking index
+ * @param {string} keepUrl - URL that must not be dropped
+ * @returns {Array<string>} URLs to drop
+ */
+function selectStale(index, keepUrl) {
+  const entries = Object.entries(index)
+    .filter(([url]) => url !== keepUrl)
+    .sort((a, b) => a[1].lastSeen - b[1].lastSeen);
+
+  let count = Object.keys(index).length;
+  let totalBytes = Object.values(index).reduce((sum, meta) => sum + meta.size, 0);
+  const stale = [];
+
+  for (const [url, meta] of entries) {
+    if (count <= POLICY_HISTORY.MAX_TRACKED_POLICIES && totalBytes <= POLICY_HISTORY.MAX_TOTAL_BYTES) {
+      break;
+    }
+    stale.push(url);
+    count--;
+    totalBytes -= meta.size;
+  }
+
+  return stale;
+}
+
+/**
+ * Start (or refresh) tracking a policy page once it has been analyzed
+ * @param {{url: string, title: string}} pageInfo - Page URL and title
+ * @param {string} content - Extracted page text
+ * @returns {Promise<Object|null>} Updated record
+ */
+export async function markPolicyAnalyzed(pageInfo, content) {
+  return enqueue(async () => {
+    if (!pageInfo?.url || !content) return null;
+
+    const url = normalizePolicyUrl(pageInfo.url);
+    const hash = await hashContent(content);
+    const now = Date.now();
+    const record = (await getPolicyRecord(url)) || {
+      url,
+      versions: [],
+      latest: null,
+      lastChange: null
+    };
+
+    record.title = pageInfo.title || record.title || url;
+    record.analyzedAt = now;
+
+    if (!record.latest || record.latest.hash !== hash) {
+      record.latest = { hash, text: content, capturedAt: now };
+      record.versions = [{ hash, capturedAt: now }, ...record.versions]
+        .slice(0, POLICY_HISTORY.MAX_VERSIONS);
+    }
+
+    await saveRecord(record);
+    return record;
+  });
+}
+
+/**
+ * Snapshot a visit to a tracked policy page and diff it against the last snapshot
+ * Untracked pages are ignored.
+ * @param {string} pageUrl - Page URL
+ * @param {string} content - Extracted page text
+ * @returns {Promise<{changed: boolean, record: Object|null}>}
+ */
+export async function recordPolicySnapshot(pageUrl, content) {
+  return enqueue(async () => {
+    const record = await getPolicyRecord(pageUrl);
+    if (!record || !content) {
+      return { changed: false, record };
+    }
+
+    const hash = await hashContent(content);
+    if (record.latest?.hash === hash) {
+      return { changed: false, record };
+    }
+
+    const now = Date.now();
+    const diff = diffParagraphs(record.latest?.text || '', content);
+
+    record.latest = { hash, text: content, capturedAt: now };
+    record.versions = [{ hash, capturedAt: now }, ...record.versions]
+      .slice(0, POLICY_HISTORY.MAX_VERSIONS);
+
+    // Whitespace-only edits change the hash but not the paragraphs
+    if (!hasChanges(diff)) {
+      await saveRecord(record);
+      return { changed: false, record };
+    }
+
+    record.lastChange = {
+      detectedAt: now,
+      fromHash: record.versions[1]?.hash || null,
+      toHash: hash,
+      diff,
+      explanation: null,
+      seen: false
+    };
+
+    await saveRecord(record);
+    return { changed: true, record };
+  });
+}
+
+/**
+ * Update the last detected change of a tracked policy
+ * @param {string} pageUrl - Page URL
+ * @param {Object} updates - Fields to merge into lastChange (explanation, seen)
+ * @returns {Promise<Object|null>} Updated record
+ */
+export async function updateLastChange(pageUrl, updates) {
+  return enqueue(async () => {
+    const record = await getPolicyRecord(pageUrl);
+    if (!record?.lastChange) return record;
+
+    record.lastChange = { ...record.lastChange, ...updates };
+    await saveRecord(record);
+    return record;
+  });
+}
+
+export default {
+  normalizePolicyUrl,
+  isPolicyDocument,
+  getPolicyRecord,
+  markPolicyAnalyzed,
+  recordPolicySnapshot,
+  updateLastChange
+};
@@ -0,0 +1,134 @@
+/**
+ * Acceptable-Terms Profiles for Agreezy
+ * An organization's requirements for the terms its people accept (e.g. "No
+ * perpetual license to uploaded content", "Data retention ≤ 2 years"), which
+ * every analyzed document is checked against. A profile set by an
+ * administrator through chrome.storage.managed takes precedence over one
+ * loaded from a JSON file.
+ */
+
+import { POLICY_PROFILE } from './constants.js';
+import { getFromStorage, setInStorage, removeFromStorage, getFromManaged } from './storage-helper.js';
+
+export const PROFILE_SOURCES = {
+  MANAGED: 'managed',
+  FILE: 'file'
+};
+
+/**
+ * Clean up a requirement, trimming its fields to the allowed lengths
+ * @param {Object} requirement - Requirement as written in the profile
+ * @param {string} requirement.id - Stable ID (defaults to its position)
+ * @param {string} requirement.name - What the document must satisfy, e.g. "Data retention ≤ 2 years"
+ * @param {string} requirement.description - What passes and what fails, in the team's words
+ * @param {Array<string>} requirement.keywords - Words the relevant clauses use
+ * @param {number} index - Position in the profile
+ * @returns {{id: string, name: string, description: string, keywords: Array<string>}}
+ * @throws {Error} If the requirement has no name
+ */
+function normalizeRequirement(requirement, index) {
+  const name = String(requirement?.name || '').trim().substring(0, POLICY_PROFILE.MAX_NAME_LENGTH);
+  if (!name) {
+    throw new Error(`Requirement ${index + 1} of the profile needs a name`);
+  }
+
+  const keywords = (Array.isArray(requirement.keywords) ? requirement.keywords : [])
+    .map(keyword => String(keyword).trim().substring(0, POLICY_PROFILE.MAX_KEYWORD_LENGTH))
+    .filter(Boolean);
+
+  return {
+    id: String(requirement.id || `requirement-${index + 1}`),
+    name,
+    description: String(requirement.description || '').trim().substring(0, POLICY_PROFILE.MAX_DESCRIPTION_LENGTH),
+    keywords: [...new Set(keywords)].slice(0, POLICY_PROFILE.MAX_KEYWORDS)
+  };
+}
+
+/**
+ * Check and clean up a profile
+ * IDs are kept stable, so cached results stay valid until the profile changes.
+ * @param {Object} data - Profile from a file or managed storage
+ * @returns {{name: string, requirements: Array<Object>}}
+ * @throws {Error} If the profile has no requirements or too many
+ */
+export function normalizeProfile(data) {
+  if (!Array.isArray(data?.requirements) || data.requirements.length === 0) {
+    throw new Error('This profile has no requirements');
+  }
+  if (data.requirements.length > POLICY_PROFILE.MAX_REQUIREMENTS) {
+    throw new Error(`A profile can have up to ${POLICY_PROFILE.MAX_REQUIREMENTS} requirements`);
+  }
+
+  return {
+    name: String(data.name || '').trim().substring(0, POLICY_PROFILE.MAX_NAME_LENGTH) || 'Acceptable terms',
+    requirements: data.requirements.map(normalizeRequirement)
+  };
+}
+
+/**
+ * Get the profile documents are checked against
+ * @returns {Promise<{profile: Object, source: string}|null>} The profile and one of PROFILE_SOURCES, or null if none is set
+ */
+export async function getPolicyProfile() {
+  const managed = await getFromManaged(POLICY_PROFILE.MANAGED_KEY);
+  if (managed[POLICY_PROFILE.MANAGED_KEY]) {
+    try {
+      return { profile: normalizeProfile(managed[POLICY_PROFILE.MANAGED_KEY]), source: PROFILE_SOURCES.MANAGED };
+    } catch (error) {
+      console.error('[Policy Profile] Ignoring invalid managed profile:', error);
+    }
+  }
+
+  const stored = await getFromStorage(POLICY_PROFILE.STORAGE_KEY);
+  const profile = stored[POLICY_PROFILE.STORAGE_KEY];
+  return profile ? { profile, source: PROFILE_SOURCES.FILE } : null;
+}
+
+/**
+ * Read a profile from a JSON file
+ * @param {string} json - File contents
+ * @returns {{name: string, requirements: Array<Object>}}
+ * @throws {Error} If the file is not a valid profile
+ */
+export function importPolicyProfile(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('This file is not valid JSON');
+  }
+
+  if (data?.format && data.format !== POLICY_PROFILE.FORMAT) {
+    throw new Error('This file is not an Agreezy policy profile');
+  }
+  if (data?.version > POLICY_PROFILE.VERSION) {
+    throw new Error('This profile is from a newer version of Agreezy. Update Agreezy to load it');
+  }
+  return normalizeProfile(data);
+}
+
+/**
+ * Keep a profile loaded from a file
+ * @param {Object} profile - From importPolicyProfile
+ * @returns {Promise<boolean>} Success status
+ */
+export async function savePolicyProfile(profile) {
+  return setInStorage({ [POLICY_PROFILE.STORAGE_KEY]: profile });
+}
+
+/**
+ * Forget the profile loaded from a file (a managed profile stays)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removePolicyProfile() {
+  return removeFromStorage(POLICY_PROFILE.STORAGE_KEY);
+}
+
+export default {
+  normalizeProfile,
+  getPolicyProfile,
+  importPolicyProfile,
+  savePolicyProfile,
+  removePolicyProfile,
+  PROFILE_SOURCES
+};
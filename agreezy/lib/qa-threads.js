@@ -0,0 +1,95 @@
+/**
+ * Q&A Thread Store for Agreezy
+ * Saves each document's conversation per URL so reopening the panel restores it
+ */
+
+import { QA_THREADS } from './constants.js';
+import { getFromStorage, setInStorage, removeFromStorage } from './storage-helper.js';
+import { normalizePolicyUrl } from './policy-history.js';
+
+/**
+ * Storage key for a URL's thread
+ * @param {string} url - Normalized URL
+ * @returns {string}
+ */
+function getThreadKey(url) {
+  return `${QA_THREADS.THREAD_KEY_PREFIX}${url}`;
+}
+
+/**
+ * Get the saved thread for a URL
+ * @param {string} url - Page URL
+ * @returns {Promise<{url: string, turns: Array, memory: string, summarizedTurns: number, updatedAt: number}|null>}
+ */
+export async function getQAThread(url) {
+  if (!url) return null;
+
+  const key = getThreadKey(normalizePolicyUrl(url));
+  const stored = await getFromStorage(key);
+  return stored[key] || null;
+}
+
+/**
+ * Save a URL's thread and keep the number of saved threads bounded
+ * @param {string} url - Page URL
+ * @param {{turns: Array, memory: string, summarizedTurns: number}} thread - Conversation state (Conversation#getState)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveQAThread(url, thread) {
+  if (!url) return false;
+
+  const normalized = normalizePolicyUrl(url);
+  const stored = await getFromStorage(QA_THREADS.INDEX_KEY);
+  const index = stored[QA_THREADS.INDEX_KEY] || {};
+  index[normalized] = Date.now();
+
+  // Drop the least recently used threads beyond the limit
+  const stale = Object.entries(index)
+    .sort((a, b) => b[1] - a[1])
+    .slice(QA_THREADS.MAX_THREADS)
+    .map(([threadUrl]) => threadUrl);
+
+  for (const threadUrl of stale) {
+    delete index[threadUrl];
+  }
+  if (stale.length > 0) {
+    await removeFromStorage(stale.map(getThreadKey));
+  }
+
+  // Only the latest turns are kept; the notes still cover the dropped ones
+  const dropped = Math.max(0, thread.turns.length - QA_THREADS.MAX_STORED_TURNS);
+
+  return setInStorage({
+    [getThreadKey(normalized)]: {
+      url: normalized,
+      turns: thread.turns.slice(dropped),
+      memory: thread.memory || '',
+      summarizedTurns: Math.max(0, (thread.summarizedTurns || 0) - dropped),
+      updatedAt: Date.now()
+    },
+    [QA_THREADS.INDEX_KEY]: index
+  });
+}
+
+/**
+ * Delete a URL's thread
+ * @param {string} url - Page URL
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearQAThread(url) {
+  if (!url) return false;
+
+  const normalized = normalizePolicyUrl(url);
+  const stored = await getFromStorage(QA_THREADS.INDEX_KEY);
+  const index = stored[QA_THREADS.INDEX_KEY] || {};
+  delete index[normalized];
+
+  await setInStorage({ [QA_THREADS.INDEX_KEY]: index });
+  return removeFromStorage(getThreadKey(normalized));
+}
+
+export default {
+  getQAThread,
+  saveQAThread,
+  clearQAThread
+};
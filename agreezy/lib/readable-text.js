@@ -0,0 +1,99 @@
+/**
+ * Readable Text Extraction for Agreezy
+ * Turns a page into the article text the features analyze, with Readability.
+ * Used by the extraction content script and the offscreen document.
+ */
+
+import { isProbablyReaderable, Readability } from '@mozilla/readability';
+
+// Elements that start a new paragraph in the extracted text
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+// h1-h4 become markdown-style "#" headings so the chunker can follow sections
+const HEADING_LEVELS = { H1: 1, H2: 2, H3: 3, H4: 4 };
+
+function canBeParsed(document) {
+  return isProbablyReaderable(document, {
+    minContentLength: 100
+  });
+}
+
+/**
+ * Convert article HTML to text, one paragraph per block, keeping headings
+ * @param {Element} root - Article root element
+ * @returns {string} Paragraphs separated by blank lines
+ */
+function toStructuredText(root) {
+  const blocks = [];
+  let current = '';
+
+  // Source whitespace is collapsed as text is read, so only <br> line breaks
+  // survive; two in a row start a new paragraph
+  const flush = () => {
+    const text = current
+      .replace(/ +/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    if (text) blocks.push(text);
+    current = '';
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      current += node.textContent.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const level = HEADING_LEVELS[node.tagName];
+    if (level) {
+      flush();
+      const title = node.textContent.replace(/\s+/g, ' ').trim();
+      if (title) blocks.push(`${'#'.repeat(level)} ${title}`);
+      return;
+    }
+
+    if (node.tagName === 'BR') {
+      current += '\n';
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(node.tagName);
+    if (isBlock) flush();
+    node.childNodes.forEach(walk);
+    if (isBlock) flush();
+  };
+
+  walk(root);
+  flush();
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Extract the readable article of a document
+ * The document is cloned, so a live page is left untouched.
+ * @param {Document} document - Page or parsed HTML document
+ * @returns {{title: string, content: string}|null} Null if the page has no readable article
+ */
+export function parseReadableArticle(document) {
+  if (!canBeParsed(document)) {
+    return null;
+  }
+  const documentClone = document.cloneNode(true);
+  const article = new Readability(documentClone).parse();
+  if (!article) {
+    return null;
+  }
+
+  const articleBody = new DOMParser().parseFromString(article.content, 'text/html').body;
+  return {
+    title: article.title || document.title || '',
+    content: toStructuredText(articleBody) || article.textContent
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Analysis Report Export for Agreezy
+ * Renders an analysis document (see lib/analysis-schema.js) as Markdown,
+ * standalone HTML (also used for printing to PDF) or versioned JSON.
+ * Everything is generated locally.
+ */
+
+import DOMPurify from 'dompurify';
+import { marked } from 'marked';
+import { formatKeyPoints } from './features/key-points.js';
+import { WATCH_STATUS_LABELS } from './features/watch-list.js';
+import { REQUIREMENT_STATUS_LABELS } from './features/policy-profile.js';
+
+export const REPORT_FORMATS = {
+  MARKDOWN: 'markdown',
+  HTML: 'html',
+  JSON: 'json',
+  PDF: 'pdf'
+};
+
+// Styles of the standalone HTML report, including its printed layout
+const REPORT_STYLES = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.55; }
+  h1 { font-size: 1.6rem; border-bottom: 2px solid #667eea; padding-bottom: 0.4rem; }
+  h2 { font-size: 1.25rem; margin-top: 2rem; color: #4c51bf; }
+  h3 { font-size: 1.05rem; margin-top: 1.25rem; }
+  blockquote { margin: 0.5rem 0; padding: 0.25rem 0.75rem; border-left: 3px solid #c3dafe; color: #4b5563; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.35rem 0.6rem; text-align: left; }
+  a { color: #4c51bf; word-break: break-all; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    h2 { break-after: avoid; }
+    li, blockquote, tr { break-inside: avoid; }
+  }
+`;
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - Analysis document (see createAnalysis)
+ * @returns {string}
+ */
+export function formatReportMarkdown(report) {
+  const { document: doc, risk, watchList, profileCheck, keyPoints, explanation, summary, qa, translation } = report;
+  const isSelection = doc.scope === 'selection';
+  const sections = [`# Agreezy Report: ${doc.title}`];
+
+  const metadata = [
+    doc.url && `- **URL:** ${doc.url}`,
+    `- **Scope:** ${isSelection ? 'Selected passage' : 'Whole document'}`,
+    `- **Generated:** ${new Date(report.generatedAt).toLocaleString()}`,
+    risk && `- **Risk grade:** ${risk.grade} (score ${risk.score}/100)`,
+    profileCheck && `- **Acceptable terms:** ${REQUIREMENT_STATUS_LABELS[profileCheck.verdict]} (${profileCheck.profileName})`
+  ];
+  sections.push(metadata.filter(Boolean).join('\n'));
+
+  if (isSelection && doc.content) {
+    sections.push(`## Selected Passage\n\n> ${doc.content.replace(/\s+/g, ' ').trim()}`);
+  }
+  if (explanation?.text) {
+    sections.push(`## What It Means\n\n${explanation.text}`);
+  }
+
+  if (risk) {
+    const categories = Object.values(risk.categories || {})
+      .map(({ label, score, clauses }) => `| ${label} | ${score}/100 | ${clauses.length} |`);
+    const clauses = (risk.clauses || [])
+      .map(clause => `- **${clause.label}** (${clause.severity})${clause.evidence ? `: "${clause.evidence}"` : ''}`);
+    sections.push([
+      '## Risk',
+      categories.length > 0 && `| Category | Score | Flagged clauses |\n| --- | --- | --- |\n${categories.join('\n')}`,
+      clauses.length > 0 && `### Flagged Clauses\n\n${clauses.join('\n')}`
+    ].filter(Boolean).join('\n\n'));
+  }
+
+  if (watchList.length > 0) {
+    const results = watchList.map((result) => {
+      const reason = result.reason ? `: ${result.reason}` : '';
+      const quote = result.quote ? `\n  > ${result.quote.replace(/\s+/g, ' ').trim()}` : '';
+      return `- **${result.name}** (${WATCH_STATUS_LABELS[result.status]})${reason}${quote}`;
+    });
+    sections.push(`## Watch List\n\n${results.join('\n')}`);
+  }
+
+  if (profileCheck) {
+    const results = profileCheck.results.map((result) => {
+      const reason = result.reason ? `: ${result.reason}` : '';
+      const quote = result.quote ? `\n  > ${result.quote.replace(/\s+/g, ' ').trim()}` : '';
+      return `- **${REQUIREMENT_STATUS_LABELS[result.status]}:** ${result.name}${reason}${quote}`;
+    });
+    sections.push(`## Acceptable Terms: ${profileCheck.profileName}\n\n${results.join('\n')}`);
+  }
+
+  if (keyPoints.length > 0) {
+    sections.push(`## Key Points\n\n${formatKeyPoints(keyPoints, { quotes: true })}`);
+  }
+  if (summary?.text) {
+    sections.push(`## Summary\n\n${summary.text}`);
+  }
+
+  if (qa.turns.length > 0) {
+    const transcript = qa.turns.map(turn => `### Q: ${turn.question}\n\n${turn.answer}`);
+    sections.push(`## Questions & Answers\n\n${transcript.join('\n\n')}`);
+  }
+
+  if (translation?.text) {
+    const languages = translation.sourceLanguage
+      ? ` (${translation.sourceLanguage} → ${translation.targetLanguage})`
+      : ` (${translation.targetLanguage})`;
+    const note = translation.note ? `*${translation.note}*\n\n` : '';
+    sections.push(`## Translation${languages}\n\n${note}${translation.text}`);
+  }
+
+  sections.push('---\n\n*Generated locally by Agreezy with on-device AI. Not legal advice.*');
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - Analysis document (see createAnalysis)
+ * @returns {string}
+ */
+export function formatReportHTML(report) {
+  const body = DOMPurify.sanitize(marked.parse(formatReportMarkdown(report)));
+  const title = `Agreezy Report: ${report.document.title}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report as JSON, the analysis document itself (importable with importAnalysis)
+ * @param {Object} report - Analysis document (see createAnalysis)
+ * @returns {string}
+ */
+export function formatReportJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * File name for a downloaded report
+ * @param {Object} report - Analysis document (see createAnalysis)
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. "agreezy-example-com-terms-2024-05-01.md"
+ */
+export function getReportFileName(report, extension) {
+  const slug = report.document.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'document';
+  return `agreezy-${slug}-${report.generatedAt.substring(0, 10)}.${extension}`;
+}
+
+export default {
+  formatReportMarkdown,
+  formatReportHTML,
+  formatReportJSON,
+  getReportFileName,
+  REPORT_FORMATS
+};
@@ -0,0 +1,284 @@
+/**
+ * Local Retrieval Index for Agreezy
+ * Ranks document passages for a question without calling a model: BM25 over
+ * sentence-aligned passages, boosted by the score of the section they sit in,
+ * with stemming and expansion of common legal synonyms.
+ */
+
+import { getSections, getSectionAt, splitIntoSentences } from './chunker.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PASSAGE_MAX_CHARS = 600; // Passages are whole sentences up to about this long
+const SECTION_WEIGHT = 0.3; // Share of the section's score added to each of its passages
+const SYNONYM_WEIGHT = 0.5; // Query terms added by synonym expansion count for less
+
+const STOPWORDS = new Set([
+  'a', 'about', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'such', 'than', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'us', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Words a question and a policy use for the same thing
+const LEGAL_SYNONYMS = [
+  ['terminate', 'cancel', 'end', 'close', 'suspend', 'deactivate'],
+  ['delete', 'erase', 'remove', 'destroy'],
+  ['data', 'information', 'details', 'content'],
+  ['share', 'disclose', 'sell', 'transfer', 'provide'],
+  ['partner', 'affiliate', 'vendor', 'advertiser', 'processor'],
+  ['refund', 'reimburse', 'chargeback', 'money'],
+  ['fee', 'charge', 'price', 'payment', 'cost', 'billing', 'subscription', 'renewal'],
+  ['dispute', 'arbitration', 'lawsuit', 'court', 'litigation', 'claim'],
+  ['liability', 'liable', 'damages', 'responsible', 'indemnify', 'warranty'],
+  ['cookie', 'tracking', 'tracker', 'pixel', 'beacon'],
+  ['child', 'children', 'minor', 'age', 'parent'],
+  ['retain', 'retention', 'keep', 'store', 'storage'],
+  ['location', 'geolocation', 'gps'],
+  ['consent', 'agree', 'permission', 'authorize', 'opt'],
+  ['change', 'modify', 'update', 'amend', 'revise'],
+  ['license', 'licence', 'permit'],
+  ['account', 'profile', 'registration'],
+  ['contact', 'email', 'notify', 'notice']
+];
+
+// Stemming suffix rules, tried in order on words of 4+ letters; the first that
+// leaves a stem of 3+ letters wins
+const SUFFIX_RULES = [
+  ['ational', 'at'], ['ization', 'iz'], ['fulness', 'ful'], ['iveness', 'iv'], ['ation', 'at'],
+  ['ition', 'it'], ['ments', ''], ['ment', ''], ['ness', ''], ['ings', ''], ['ing', ''], ['ion', ''],
+  ['ies', 'i'], ['ied', 'i'], ['able', ''], ['ible', ''], ['ers', ''], ['er', ''], ['ed', ''],
+  ['ly', ''], ['es', ''], ['s', '']
+];
+
+/**
+ * Reduce a word to a stem, so "terminated", "terminates" and "termination" match
+ * The final e/y rewrite also applies to short words, whose plurals reach it
+ * through suffix stripping ("fee" and "fees" both stem to "fe").
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (/\d/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+  if (word.length > 3) {
+    for (const [suffix, replacement] of SUFFIX_RULES) {
+      if (word.endsWith(suffix) && !word.endsWith('ss') && word.length - suffix.length + replacement.length >= 3) {
+        result = word.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
+  }
+
+  return result.replace(/e$/, '').replace(/y$/, 'i');
+}
+
+/**
+ * Split text into stemmed terms, without stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Stemmed term -> stemmed synonyms
+const SYNONYMS = new Map();
+for (const group of LEGAL_SYNONYMS) {
+  const stems = group.map(stem);
+  for (const term of stems) {
+    const others = stems.filter(other => other !== term);
+    SYNONYMS.set(term, [...(SYNONYMS.get(term) || []), ...others]);
+  }
+}
+
+/**
+ * Turn a question into weighted query terms, adding legal synonyms
+ * @param {string} query - Question text
+ * @returns {Map<string, number>} Term -> weight
+ */
+function expandQuery(query) {
+  const weights = new Map();
+
+  for (const term of tokenize(query)) {
+    weights.set(term, 1);
+  }
+  for (const term of [...weights.keys()]) {
+    for (const synonym of SYNONYMS.get(term) || []) {
+      if (!weights.has(synonym)) {
+        weights.set(synonym, SYNONYM_WEIGHT);
+      }
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Count each term of a token list
+ * @param {Array<string>} terms
+ * @returns {Map<string, number>}
+ */
+function countTerms(terms) {
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Build BM25 statistics over a set of documents
+ * @param {Array<Array<string>>} termLists - Each document's terms
+ * @returns {{docs: Array<{counts: Map, length: number}>, idf: Function, avgLength: number}}
+ */
+function buildBM25(termLists) {
+  const docs = termLists.map(terms => ({ counts: countTerms(terms), length: terms.length }));
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const term of doc.counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const total = docs.length;
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / Math.max(total, 1);
+
+  return {
+    docs,
+    avgLength: avgLength || 1,
+    idf: term => {
+      const df = documentFrequency.get(term) || 0;
+      return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+    }
+  };
+}
+
+/**
+ * BM25 score of one document for weighted query terms
+ * @param {Object} bm25 - From buildBM25
+ * @param {number} docIndex - Document to score
+ * @param {Map<string, number>} query - Term -> weight
+ * @returns {number}
+ */
+function scoreBM25(bm25, docIndex, query) {
+  const doc = bm25.docs[docIndex];
+  let score = 0;
+
+  for (const [term, weight] of query) {
+    const frequency = doc.counts.get(term);
+    if (!frequency) continue;
+    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / bm25.avgLength);
+    score += weight * bm25.idf(term) * (frequency * (BM25_K1 + 1)) / norm;
+  }
+
+  return score;
+}
+
+/**
+ * Group a range's sentences into passages of about PASSAGE_MAX_CHARS
+ * @param {string} content - Document text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitIntoPassages(content, start, end) {
+  const passages = [];
+  let current = null;
+
+  for (const sentence of splitIntoSentences(content, start, end)) {
+    if (current && sentence.end - current.start > PASSAGE_MAX_CHARS) {
+      passages.push(current);
+      current = null;
+    }
+    current = current ? { start: current.start, end: sentence.end } : { ...sentence };
+  }
+  if (current) passages.push(current);
+
+  return passages;
+}
+
+/**
+ * Build a retrieval index over a document
+ * Building takes milliseconds, so indexes are not persisted.
+ * @param {string} content - Document text
+ * @returns {Object} Index for searchIndex
+ */
+export function buildRetrievalIndex(content) {
+  const sections = getSections(content);
+
+  // Passages never cross a section boundary
+  const boundaries = [0, ...sections.map(section => section.start), content.length];
+  const passages = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    if (boundaries[i + 1] > boundaries[i]) {
+      passages.push(...splitIntoPassages(content, boundaries[i], boundaries[i + 1]));
+    }
+  }
+
+  const indexedPassages = passages.map(passage => {
+    const section = getSectionAt(sections, passage.start);
+    return {
+      ...passage,
+      text: content.substring(passage.start, passage.end),
+      section: section?.label || null,
+      sectionIndex: section ? sections.indexOf(section) : -1
+    };
+  });
+
+  return {
+    passages: indexedPassages,
+    passageBM25: buildBM25(indexedPassages.map(passage => tokenize(passage.text))),
+    sectionBM25: buildBM25(sections.map(section =>
+      tokenize(`${section.path.join(' ')} ${content.substring(section.start, section.end)}`)
+    ))
+  };
+}
+
+/**
+ * Rank passages for a question
+ * @param {Object} index - From buildRetrievalIndex
+ * @param {string} query - Question text
+ * @param {Object} options
+ * @param {number} options.limit - Maximum passages returned
+ * @returns {Array<{text: string, start: number, end: number, section: string|null, score: number}>}
+ *   Passages with a positive score, best first
+ */
+export function searchIndex(index, query, options = {}) {
+  const { limit = 10 } = options;
+  const terms = expandQuery(query);
+  if (terms.size === 0) {
+    return [];
+  }
+
+  const sectionScores = index.sectionBM25.docs.map((doc, i) => scoreBM25(index.sectionBM25, i, terms));
+
+  return index.passages
+    .map((passage, i) => {
+      const ownScore = scoreBM25(index.passageBM25, i, terms);
+      const sectionScore = passage.sectionIndex >= 0 ? sectionScores[passage.sectionIndex] : 0;
+      return {
+        text: passage.text,
+        start: passage.start,
+        end: passage.end,
+        section: passage.section,
+        score: ownScore > 0 ? ownScore + SECTION_WEIGHT * sectionScore : 0
+      };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+export default {
+  buildRetrievalIndex,
+  searchIndex,
+  tokenize,
+  stem
+};
@@ -0,0 +1,75 @@
+/**
+ * Risk Grade Store for Agreezy
+ * Remembers the last grade per URL and shows it on the action badge
+ */
+
+import { RISK_GRADES } from './constants.js';
+import { getFromStorage, setInStorage } from './storage-helper.js';
+import { normalizePolicyUrl } from './policy-history.js';
+
+/**
+ * Load all stored grades ({ [url]: { grade, score, gradedAt } })
+ * @returns {Promise<Object>}
+ */
+async function loadGrades() {
+  const stored = await getFromStorage(RISK_GRADES.STORAGE_KEY);
+  return stored[RISK_GRADES.STORAGE_KEY] || {};
+}
+
+/**
+ * Get the stored grade for a URL
+ * @param {string} url - Page URL
+ * @returns {Promise<{grade: string, score: number, gradedAt: number}|null>}
+ */
+export async function getRiskGrade(url) {
+  if (!url) return null;
+
+  const grades = await loadGrades();
+  return grades[normalizePolicyUrl(url)] || null;
+}
+
+/**
+ * Store the grade for a URL, keeping only the most recent ones
+ * @param {string} url - Page URL
+ * @param {{grade: string, score: number}} risk - Risk score result
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveRiskGrade(url, risk) {
+  if (!url || !risk) return false;
+
+  const grades = await loadGrades();
+  grades[normalizePolicyUrl(url)] = { grade: risk.grade, score: risk.score, gradedAt: Date.now() };
+
+  const trimmed = Object.fromEntries(
+    Object.entries(grades)
+      .sort((a, b) => b[1].gradedAt - a[1].gradedAt)
+      .slice(0, RISK_GRADES.MAX_STORED)
+  );
+
+  return setInStorage({ [RISK_GRADES.STORAGE_KEY]: trimmed });
+}
+
+/**
+ * Show a grade on the extension's action badge for a tab
+ * @param {number} tabId - Tab ID
+ * @param {string} grade - Grade (A-F)
+ */
+export async function showGradeBadge(tabId, grade) {
+  if (!tabId || !grade) return;
+
+  try {
+    await chrome.action.setBadgeText({ tabId, text: grade });
+    await chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: RISK_GRADES.COLORS[grade] || RISK_GRADES.COLORS.F
+    });
+  } catch (error) {
+    console.error('[Risk Grades] Failed to set badge:', error);
+  }
+}
+
+export default {
+  getRiskGrade,
+  saveRiskGrade,
+  showGradeBadge
+};
@@ -62,6 +62,65 @@ export async function setInSession(items) {
   }
 }
 
+/**
+ * Safely get items from chrome.storage.sync
+ * @param {string|string[]|Object} keys - Keys to retrieve
+ * @returns {Promise<Object>} Retrieved values
+ */
+export async function getFromSync(keys) {
+  try {
+    return await chrome.storage.sync.get(keys);
+  } catch (error) {
+    console.error('[Storage] Failed to get synced items:', error);
+    return typeof keys === 'string' ? { [keys]: undefined } : {};
+  }
+}
+
+/**
+ * Safely set items in chrome.storage.sync
+ * @param {Object} items - Items to store
+ * @returns {Promise<boolean>} Success status (false e.g. over the sync quota)
+ */
+export async function setInSync(items) {
+  try {
+    await chrome.storage.sync.set(items);
+    return true;
+  } catch (error) {
+    console.error('[Storage] Failed to set synced items:', error);
+    return false;
+  }
+}
+
+/**
+ * Safely remove items from chrome.storage.sync
+ * @param {string|string[]} keys - Keys to remove
+ * @returns {Promise<boolean>} Success status
+ */
+export async function removeFromSync(keys) {
+  try {
+    await chrome.storage.sync.remove(keys);
+    return true;
+  } catch (error) {
+    console.error('[Storage] Failed to remove synced items:', error);
+    return false;
+  }
+}
+
+/**
+ * Safely get items an administrator set through chrome.storage.managed
+ * Read-only; empty unless the browser is managed by an enterprise policy.
+ * @param {string|string[]|Object} keys - Keys to retrieve
+ * @returns {Promise<Object>} Retrieved values
+ */
+export async function getFromManaged(keys) {
+  try {
+    return await chrome.storage.managed.get(keys);
+  } catch (error) {
+    console.error('[Storage] Failed to get managed items:', error);
+    return typeof keys === 'string' ? { [keys]: undefined } : {};
+  }
+}
+
 /**
  * Safely remove items from chrome.storage.local
  * @param {string|string[]} keys - Keys to remove
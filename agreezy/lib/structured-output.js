@@ -0,0 +1,210 @@
+/**
+ * Structured Output for Agreezy
+ * Prompts for JSON constrained by a JSON Schema (Prompt API responseConstraint),
+ * validates the result and re-prompts with the validation errors when it
+ * doesn't match. How often each path is taken is counted per schema.
+ */
+
+import { fastPromptAPI } from './ai-apis.js';
+import { STRUCTURED_OUTPUT } from './constants.js';
+import { getFromStorage, setInStorage } from './storage-helper.js';
+import { parseJSONResponse, createJSONSystemPrompt } from './utils.js';
+
+// Outcome of a structured prompt, counted per schema name
+export const STRUCTURED_OUTPUT_PATHS = {
+  VALID: 'valid', // Valid on the first response
+  REPAIRED: 'repaired', // Valid after one or more repair prompts
+  FAILED: 'failed' // Still invalid when the repair attempts ran out
+};
+
+let statsWrite = Promise.resolve();
+
+/**
+ * Check whether a value has a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against the subset of JSON Schema the Prompt API schemas use
+ * (type, enum, properties, required, items, minItems, maxItems, minimum,
+ * maximum, minLength)
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a model response
+ * @param {string} response - Raw model output
+ * @param {Object} schema - JSON Schema
+ * @returns {{value: *, errors: Array<string>}}
+ */
+function checkResponse(response, schema) {
+  let value;
+  try {
+    value = parseJSONResponse(response, schema.type === 'object' ? 'object' : 'array');
+  } catch (error) {
+    return { value: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+  return { value, errors: validateSchema(value, schema) };
+}
+
+/**
+ * Build the prompt asking the model to fix an invalid response
+ * @param {string} userPrompt - Original prompt
+ * @param {string} response - Invalid response
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string}
+ */
+function buildRepairPrompt(userPrompt, response, errors) {
+  return `${userPrompt}
+
+---
+
+Your previous response did not match the required JSON format.
+
+Previous response:
+${response.substring(0, STRUCTURED_OUTPUT.MAX_REPAIR_ECHO)}
+
+Problems:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON only.`;
+}
+
+/**
+ * Count one structured prompt outcome
+ * Writes are chained so parallel chunks don't overwrite each other's counts.
+ * @param {string} name - Schema name (e.g. "keyPoints")
+ * @param {string} path - One of STRUCTURED_OUTPUT_PATHS
+ * @param {number} repairs - Repair prompts used
+ */
+function recordOutcome(name, path, repairs) {
+  // The offscreen document has no storage access; its outcomes aren't counted
+  if (!chrome.storage) return;
+
+  statsWrite = statsWrite.then(async () => {
+    const stored = await getFromStorage(STRUCTURED_OUTPUT.STATS_KEY);
+    const stats = stored[STRUCTURED_OUTPUT.STATS_KEY] || {};
+    const entry = stats[name] || { valid: 0, repaired: 0, failed: 0, repairPrompts: 0 };
+    entry[path]++;
+    entry.repairPrompts += repairs;
+    stats[name] = entry;
+    await setInStorage({ [STRUCTURED_OUTPUT.STATS_KEY]: stats });
+  });
+}
+
+/**
+ * Get how often each structured output path has been taken, per schema
+ * Shown in the About section of the settings page.
+ * @returns {Promise<Object<string, {valid: number, repaired: number, failed: number, repairPrompts: number}>>}
+ */
+export async function getStructuredOutputStats() {
+  await statsWrite;
+  const stored = await getFromStorage(STRUCTURED_OUTPUT.STATS_KEY);
+  return stored[STRUCTURED_OUTPUT.STATS_KEY] || {};
+}
+
+/**
+ * Prompt for JSON that matches a schema
+ * Uses the fast session with the schema as responseConstraint, validates the
+ * response and, when it doesn't match, re-prompts with the problems up to
+ * STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS times.
+ * @param {string} userPrompt - Prompt text
+ * @param {Object} schema - JSON Schema for the response
+ * @param {Object} options
+ * @param {string} options.name - Schema name for telemetry
+ * @param {string} options.task - Scheduler task
+ * @param {AbortSignal} options.signal - Aborts the prompts
+ * @returns {Promise<*>} Parsed, valid response
+ * @throws {Error} When no valid response was produced
+ */
+export async function promptStructured(userPrompt, schema, options = {}) {
+  const { name = 'json', task, signal = null } = options;
+  const promptOptions = { signal, task, responseConstraint: schema };
+
+  let response = await fastPromptAPI(userPrompt, createJSONSystemPrompt(), promptOptions);
+  let { value, errors } = checkResponse(response, schema);
+  let repairs = 0;
+
+  while (errors.length > 0 && repairs < STRUCTURED_OUTPUT.MAX_REPAIR_ATTEMPTS) {
+    repairs++;
+    response = await fastPromptAPI(buildRepairPrompt(userPrompt, response, errors), createJSONSystemPrompt(), promptOptions);
+    ({ value, errors } = checkResponse(response, schema));
+  }
+
+  if (errors.length > 0) {
+    recordOutcome(name, STRUCTURED_OUTPUT_PATHS.FAILED, repairs);
+    throw new Error(`Invalid ${name} response: ${errors.slice(0, 3).join('; ')}`);
+  }
+
+  recordOutcome(name, repairs ? STRUCTURED_OUTPUT_PATHS.REPAIRED : STRUCTURED_OUTPUT_PATHS.VALID, repairs);
+  return value;
+}
+
+export default {
+  promptStructured,
+  validateSchema,
+  getStructuredOutputStats,
+  STRUCTURED_OUTPUT_PATHS
+};
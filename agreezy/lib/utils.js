@@ -47,9 +47,25 @@ export function handleError(error, fallback, context = '') {
   return fallback;
 }
 
+/**
+ * Save text as a file through the browser's downloads
+ * @param {string} fileName - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 export default {
   parseJSONResponse,
   createJSONSystemPrompt,
   createJSONInstructionFooter,
-  handleError
+  handleError,
+  downloadFile
 };
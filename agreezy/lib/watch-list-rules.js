@@ -0,0 +1,157 @@
+/**
+ * Watch-List Rules for Agreezy
+ * Named clauses the user wants every analysis to check for (e.g. "AI training
+ * on my content"), each with a description and keywords. Rules live in
+ * chrome.storage.sync so they follow the user to other browsers, one item per
+ * rule to stay within sync's per-item quota, and can be shared as JSON files.
+ */
+
+import { WATCH_LIST } from './constants.js';
+import { getFromSync, setInSync, removeFromSync } from './storage-helper.js';
+
+/**
+ * Sync storage key of a rule
+ * @param {string} id - Rule ID
+ * @returns {string}
+ */
+function getRuleKey(id) {
+  return `${WATCH_LIST.RULE_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Clean up a rule, trimming its fields to the allowed lengths
+ * @param {Object} rule - Rule as edited or imported
+ * @param {string} rule.id - Rule ID (a new one is assigned when missing)
+ * @param {string} rule.name - What to watch for, e.g. "Data sold to advertisers"
+ * @param {string} rule.description - What counts, in the user's words
+ * @param {Array<string>|string} rule.keywords - Keywords (or a comma-separated list)
+ * @returns {{id: string, name: string, description: string, keywords: Array<string>}}
+ * @throws {Error} If the rule has no name
+ */
+export function normalizeRule(rule) {
+  const name = String(rule?.name || '').trim().substring(0, WATCH_LIST.MAX_NAME_LENGTH);
+  if (!name) {
+    throw new Error('Every watch-list rule needs a name');
+  }
+
+  const keywords = (Array.isArray(rule.keywords) ? rule.keywords : String(rule.keywords || '').split(','))
+    .map(keyword => String(keyword).trim().substring(0, WATCH_LIST.MAX_KEYWORD_LENGTH))
+    .filter(Boolean);
+
+  return {
+    id: rule.id || crypto.randomUUID(),
+    name,
+    description: String(rule.description || '').trim().substring(0, WATCH_LIST.MAX_DESCRIPTION_LENGTH),
+    keywords: [...new Set(keywords)].slice(0, WATCH_LIST.MAX_KEYWORDS)
+  };
+}
+
+/**
+ * Get the watch-list rules, in the user's order
+ * @returns {Promise<Array<{id: string, name: string, description: string, keywords: Array<string>}>>}
+ */
+export async function getWatchListRules() {
+  const stored = await getFromSync(WATCH_LIST.INDEX_KEY);
+  const ids = stored[WATCH_LIST.INDEX_KEY] || [];
+  if (ids.length === 0) return [];
+
+  const rules = await getFromSync(ids.map(getRuleKey));
+  return ids.map(id => rules[getRuleKey(id)]).filter(Boolean);
+}
+
+/**
+ * Replace the watch-list rules
+ * @param {Array<Object>} rules - Rules, in order
+ * @returns {Promise<boolean>} Success status (false e.g. over the sync quota)
+ * @throws {Error} If a rule has no name or there are too many rules
+ */
+export async function saveWatchListRules(rules) {
+  if (rules.length > WATCH_LIST.MAX_RULES) {
+    throw new Error(`You can watch for up to ${WATCH_LIST.MAX_RULES} clauses`);
+  }
+
+  const normalized = rules.map(normalizeRule);
+  const stored = await getFromSync(WATCH_LIST.INDEX_KEY);
+  const previousIds = stored[WATCH_LIST.INDEX_KEY] || [];
+  const ids = normalized.map(rule => rule.id);
+
+  const saved = await setInSync({
+    ...Object.fromEntries(normalized.map(rule => [getRuleKey(rule.id), rule])),
+    [WATCH_LIST.INDEX_KEY]: ids
+  });
+  if (!saved) return false;
+
+  const removed = previousIds.filter(id => !ids.includes(id));
+  if (removed.length > 0) {
+    await removeFromSync(removed.map(getRuleKey));
+  }
+  return true;
+}
+
+/**
+ * Write rules as a JSON file to share
+ * @param {Array<Object>} rules - Rules
+ * @returns {string} JSON
+ */
+export function exportWatchListRules(rules) {
+  return JSON.stringify({
+    format: WATCH_LIST.FORMAT,
+    version: WATCH_LIST.VERSION,
+    rules: rules.map(({ name, description, keywords }) => ({ name, description, keywords }))
+  }, null, 2);
+}
+
+/**
+ * Read rules from a shared JSON file (or a plain array of rules)
+ * Imported rules get new IDs.
+ * @param {string} json - File contents
+ * @returns {Array<Object>} Rules
+ * @throws {Error} If the file is not a rule list
+ */
+export function importWatchListRules(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('This file is not valid JSON');
+  }
+
+  const rules = Array.isArray(data) ? data : data?.format === WATCH_LIST.FORMAT && data.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('This file is not an Agreezy watch list');
+  }
+  if (data.version > WATCH_LIST.VERSION) {
+    throw new Error('This watch list is from a newer version of Agreezy. Update Agreezy to import it');
+  }
+
+  return rules.map(({ id, ...rule }) => normalizeRule(rule));
+}
+
+/**
+ * Add imported rules to existing ones
+ * A rule with the same name (ignoring case) as an existing one replaces it in place.
+ * @param {Array<Object>} existing - Current rules
+ * @param {Array<Object>} imported - Rules from importWatchListRules
+ * @returns {Array<Object>} Combined rules
+ */
+export function mergeWatchListRules(existing, imported) {
+  const merged = [...existing];
+  for (const rule of imported) {
+    const index = merged.findIndex(current => current.name.toLowerCase() === rule.name.toLowerCase());
+    if (index === -1) {
+      merged.push(rule);
+    } else {
+      merged[index] = { ...rule, id: merged[index].id };
+    }
+  }
+  return merged;
+}
+
+export default {
+  normalizeRule,
+  getWatchListRules,
+  saveWatchListRules,
+  exportWatchListRules,
+  importWatchListRules,
+  mergeWatchListRules
+};
@@ -0,0 +1,89 @@
+/**
+ * Agreezy Offscreen Document
+ * Gives the service worker a DOM and the built-in AI APIs: parses fetched
+ * policy pages with Readability and analyzes detected policies before the
+ * side panel is opened. Offscreen documents can't use chrome.storage, so
+ * results go back to the worker, which caches them.
+ */
+
+import { extractKeyPoints } from '../lib/features/key-points.js';
+import { scoreRisk } from '../lib/features/risk-score.js';
+import { parseReadableArticle } from '../lib/readable-text.js';
+import { MESSAGE_TYPES, MESSAGE_TARGETS } from '../lib/constants.js';
+import { isDegraded } from '../lib/analysis-schema.js';
+
+// Analyses in progress: content hash -> AbortController
+const analyses = new Map();
+
+/**
+ * Parse a fetched HTML page into readable text
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL, so relative links resolve
+ * @returns {{title: string, content: string}|null}
+ */
+function parsePolicyHTML(html, url) {
+  const document = new DOMParser().parseFromString(html, 'text/html');
+
+  if (!document.querySelector('base')) {
+    const base = document.createElement('base');
+    base.href = url;
+    document.head.prepend(base);
+  }
+
+  return parseReadableArticle(document);
+}
+
+/**
+ * Extract key points and grade a document, then report back to the worker
+ * Results the worker already had cached are not computed again.
+ * @param {Object} request - ANALYZE_DOCUMENT message
+ * @param {string} request.hash - Content hash
+ * @param {string} request.content - Document text
+ * @param {{keyPoints: Array|undefined, risk: Object|undefined}} request.cached - Cached results
+ * @param {{id: number, url: string, title: string}} request.tab - Tab the document is in
+ * @param {string} request.detectionType - Detection that triggered the analysis
+ */
+async function analyzeDocument({ hash, content, cached = {}, tab, detectionType }) {
+  if (analyses.has(hash)) return; // Already running
+
+  const controller = new AbortController();
+  analyses.set(hash, controller);
+  const { signal } = controller;
+
+  const result = { target: MESSAGE_TARGETS.WORKER, type: MESSAGE_TYPES.ANALYSIS_RESULT, hash, tab, detectionType };
+
+  try {
+    result.keyPoints = cached.keyPoints ?? await extractKeyPoints(content, { signal });
+    result.risk = cached.risk ?? await scoreRisk(content, { signal });
+    // The mark does not survive messaging, so the worker is told which to leave uncached
+    result.degraded = { keyPoints: isDegraded(result.keyPoints), risk: isDegraded(result.risk) };
+  } catch (error) {
+    console.error('[Offscreen] Analysis failed:', error);
+    result.error = signal.aborted ? null : error.message;
+    result.cancelled = signal.aborted;
+  } finally {
+    analyses.delete(hash);
+  }
+
+  chrome.runtime.sendMessage(result);
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== MESSAGE_TARGETS.OFFSCREEN) return;
+
+  if (message.type === MESSAGE_TYPES.PARSE_POLICY_HTML) {
+    try {
+      sendResponse({ article: parsePolicyHTML(message.html, message.url) });
+    } catch (error) {
+      console.error('[Offscreen] Failed to parse policy:', error);
+      sendResponse({ article: null });
+    }
+  } else if (message.type === MESSAGE_TYPES.ANALYZE_DOCUMENT) {
+    // Runs for minutes: acknowledge now, report with ANALYSIS_RESULT
+    analyzeDocument(message);
+    sendResponse({ accepted: true });
+  } else if (message.type === MESSAGE_TYPES.CANCEL_ANALYSIS) {
+    analyses.get(message.hash)?.abort();
+    sendResponse({ cancelled: analyses.has(message.hash) });
+  }
+});
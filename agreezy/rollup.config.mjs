@@ -15,13 +15,28 @@ export default [
       copy({
         targets: [
           {
-            src: ['manifest.json', 'background.js', 'sidepanel', 'images', 'lib'],
+            src: ['manifest.json', 'managed_schema.json', 'background.js', 'sidepanel', 'images', 'lib'],
             dest: 'dist'
+          },
+          {
+            src: 'offscreen/index.html',
+            dest: 'dist/offscreen'
           }
         ]
       })
     ]
   },
+  {
+    input: 'offscreen/index.js',
+    output: {
+      dir: 'dist/offscreen',
+      format: 'iife'
+    },
+    plugins: [
+      commonjs(),
+      nodeResolve(),
+    ]
+  },
   {
     input: 'scripts/extract-content.js',
     output: {
@@ -43,5 +58,27 @@ export default [
       commonjs(),
       nodeResolve(),
     ]
+  },
+  {
+    input: 'scripts/passage-locator.js',
+    output: {
+      dir: 'dist/scripts',
+      format: 'iife'
+    },
+    plugins: [
+      commonjs(),
+      nodeResolve(),
+    ]
+  },
+  {
+    input: 'scripts/clause-highlighter.js',
+    output: {
+      dir: 'dist/scripts',
+      format: 'iife'
+    },
+    plugins: [
+      commonjs(),
+      nodeResolve(),
+    ]
   }
 ];
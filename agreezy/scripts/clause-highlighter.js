@@ -0,0 +1,420 @@
+/**
+ * Agreezy Clause Highlighter Content Script
+ * Highlights risky clauses in the analyzed page by category, with hover
+ * explanations and a floating legend to toggle categories
+ */
+
+import { MESSAGE_TYPES } from '../lib/constants.js';
+import { findPassage } from './page-text.js';
+
+const CATEGORIES = {
+  privacy: { label: 'Privacy', color: '#ddd6fe' },
+  data: { label: 'Data Collection', color: '#bfdbfe' },
+  rights: { label: 'Your Rights', color: '#fde68a' },
+  legal: { label: 'Legal Terms', color: '#fecaca' },
+  financial: { label: 'Payment & Billing', color: '#bbf7d0' }
+};
+
+const MARK_CLASS = 'agreezy-clause';
+const OWN_ELEMENTS = '#agreezy-clause-legend, #agreezy-clause-tooltip';
+const REAPPLY_DELAY = 500; // Debounce for DOM mutations
+const MAX_MISSES = 3; // Searches for a clause that finds nothing before it is given up on
+
+let clauses = [];
+let marksByClause = new Map();
+let missesByClause = new Map(); // Clause id -> searches in a row that found nothing
+let observer = null;
+let reapplyTimer = null;
+
+// ============================================================================
+// HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Wrap the text of a range in <mark> elements (one per text node it spans)
+ * @param {Range} range - Passage range
+ * @param {Object} clause - Clause being highlighted
+ * @returns {Array<HTMLElement>} Created marks
+ */
+function wrapRange(range, clause) {
+  const root = range.commonAncestorContainer;
+  const walker = document.createTreeWalker(
+    root.nodeType === Node.TEXT_NODE ? root.parentNode : root,
+    NodeFilter.SHOW_TEXT
+  );
+
+  // Collect slices first: splitting nodes while walking would move the range
+  const slices = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!range.intersectsNode(node) || node.parentElement?.closest(`mark.${MARK_CLASS}`)) continue;
+
+    const start = node === range.startContainer ? range.startOffset : 0;
+    const end = node === range.endContainer ? range.endOffset : node.data.length;
+    if (start < end && node.data.substring(start, end).trim()) {
+      slices.push({ node, start, end });
+    }
+  }
+
+  return slices.map(({ node, start, end }) => {
+    const target = start > 0 ? node.splitText(start) : node;
+    if (end - start < target.data.length) {
+      target.splitText(end - start);
+    }
+
+    const mark = document.createElement('mark');
+    mark.className = MARK_CLASS;
+    mark.dataset.category = clause.category;
+    mark.dataset.clause = clause.id;
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+    return mark;
+  });
+}
+
+/**
+ * Remove marks, restoring the original text nodes
+ * @param {Array<HTMLElement>} marks - Marks to remove
+ */
+function unwrapMarks(marks) {
+  for (const mark of marks) {
+    const parent = mark.parentNode;
+    if (!parent) continue;
+
+    while (mark.firstChild) {
+      parent.insertBefore(mark.firstChild, mark);
+    }
+    parent.removeChild(mark);
+    parent.normalize();
+  }
+}
+
+/**
+ * Highlight every clause that isn't currently highlighted
+ * Clauses not found MAX_MISSES times in a row are skipped, so pages that keep
+ * changing don't search the whole page for them again on every change.
+ */
+function applyHighlights() {
+  let changed = false;
+
+  pauseObserver(() => {
+    for (const clause of clauses) {
+      const marks = marksByClause.get(clause.id) || [];
+      if (marks.length > 0 && marks.every(mark => mark.isConnected)) continue;
+
+      const misses = missesByClause.get(clause.id) || 0;
+      if (marks.length === 0 && misses >= MAX_MISSES) continue;
+
+      // The page re-rendered part of the clause: start over for it
+      unwrapMarks(marks.filter(mark => mark.isConnected));
+
+      const range = findPassage(clause.quote, clause.position);
+      const newMarks = range ? wrapRange(range, clause) : [];
+      marksByClause.set(clause.id, newMarks);
+      missesByClause.set(clause.id, newMarks.length > 0 ? 0 : misses + 1);
+      changed = changed || newMarks.length > 0 || marks.length > 0;
+    }
+  });
+
+  if (changed || !document.getElementById('agreezy-clause-legend')) {
+    renderLegend();
+  }
+}
+
+/**
+ * Remove all highlights, the legend and the tooltip
+ */
+function clearHighlights() {
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+  clearTimeout(reapplyTimer);
+
+  unwrapMarks(Array.from(marksByClause.values()).flat());
+  marksByClause = new Map();
+  missesByClause = new Map();
+  clauses = [];
+
+  document.getElementById('agreezy-clause-legend')?.remove();
+  document.getElementById('agreezy-clause-tooltip')?.remove();
+}
+
+// ============================================================================
+// DYNAMIC PAGES
+// ============================================================================
+
+/**
+ * Run DOM changes without reacting to them ourselves
+ * @param {Function} changeDom - Function that mutates the DOM
+ */
+function pauseObserver(changeDom) {
+  observer?.disconnect();
+  try {
+    changeDom();
+  } finally {
+    observer?.observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+}
+
+/**
+ * Check whether a node belongs to our legend or tooltip
+ * @param {Node} node - DOM node
+ * @returns {boolean}
+ */
+function isOwnNode(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return Boolean(element?.closest(OWN_ELEMENTS));
+}
+
+/**
+ * Check whether a mutation only touched our own UI
+ * @param {MutationRecord} mutation - DOM mutation
+ * @returns {boolean}
+ */
+function isOwnMutation(mutation) {
+  if (isOwnNode(mutation.target)) return true;
+
+  const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+  return nodes.length > 0 && nodes.every(node => node.id === 'agreezy-clause-tooltip' || node.id === 'agreezy-clause-legend');
+}
+
+/**
+ * Re-apply highlights after the page changes its DOM
+ */
+function watchForChanges() {
+  if (observer) return;
+
+  observer = new MutationObserver((mutations) => {
+    if (mutations.every(isOwnMutation)) return;
+
+    clearTimeout(reapplyTimer);
+    reapplyTimer = setTimeout(applyHighlights, REAPPLY_DELAY);
+  });
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+// ============================================================================
+// TOOLTIP & LEGEND
+// ============================================================================
+
+/**
+ * Inject highlight, tooltip and legend styles once
+ */
+function injectStyles() {
+  if (document.getElementById('agreezy-clause-style')) return;
+
+  const categoryRules = Object.entries(CATEGORIES).map(([category, { color }]) => `
+    mark.${MARK_CLASS}[data-category="${category}"] { background: ${color}; }
+    html.agreezy-hide-${category} mark.${MARK_CLASS}[data-category="${category}"] { background: transparent; cursor: inherit; }
+    #agreezy-clause-legend .agreezy-swatch-${category} { background: ${color}; }
+  `).join('');
+
+  const style = document.createElement('style');
+  style.id = 'agreezy-clause-style';
+  style.textContent = `
+    mark.${MARK_CLASS} {
+      color: inherit;
+      border-radius: 2px;
+      cursor: help;
+      padding: 0;
+    }
+
+    ${categoryRules}
+
+    #agreezy-clause-tooltip {
+      position: fixed;
+      max-width: 320px;
+      background: #1a1a1a;
+      color: white;
+      padding: 10px 12px;
+      border-radius: 6px;
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+      z-index: 1000000;
+      pointer-events: none;
+    }
+
+    #agreezy-clause-tooltip .agreezy-tooltip-category {
+      font-size: 11px;
+      font-weight: 700;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      opacity: 0.75;
+      margin-bottom: 4px;
+    }
+
+    #agreezy-clause-legend {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      background: white;
+      color: #1a1a1a;
+      border-radius: 8px;
+      padding: 12px 14px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+      z-index: 999999;
+      font: 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      min-width: 180px;
+    }
+
+    #agreezy-clause-legend .agreezy-legend-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      font-weight: 600;
+      color: #667eea;
+      margin-bottom: 8px;
+    }
+
+    #agreezy-clause-legend .agreezy-legend-close {
+      background: none;
+      border: none;
+      font-size: 18px;
+      cursor: pointer;
+      color: #666;
+      padding: 0 4px;
+    }
+
+    #agreezy-clause-legend label {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin: 4px 0;
+      cursor: pointer;
+    }
+
+    #agreezy-clause-legend .agreezy-swatch {
+      width: 14px;
+      height: 14px;
+      border-radius: 3px;
+      border: 1px solid rgba(0, 0, 0, 0.1);
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Show the clause explanation near a highlighted mark
+ * @param {HTMLElement} mark - Hovered mark
+ */
+function showTooltip(mark) {
+  const clause = clauses.find(c => c.id === mark.dataset.clause);
+  if (!clause || document.documentElement.classList.contains(`agreezy-hide-${clause.category}`)) return;
+
+  let tooltip = document.getElementById('agreezy-clause-tooltip');
+  if (!tooltip) {
+    tooltip = document.createElement('div');
+    tooltip.id = 'agreezy-clause-tooltip';
+    document.body.appendChild(tooltip);
+  }
+
+  tooltip.innerHTML = '';
+  const category = document.createElement('div');
+  category.className = 'agreezy-tooltip-category';
+  category.textContent = `${CATEGORIES[clause.category].label} · ${clause.importance} importance`;
+  const explanation = document.createElement('div');
+  explanation.textContent = clause.point;
+  tooltip.append(category, explanation);
+
+  const rect = mark.getBoundingClientRect();
+  const top = rect.bottom + 8 + tooltip.offsetHeight > window.innerHeight
+    ? rect.top - tooltip.offsetHeight - 8
+    : rect.bottom + 8;
+  tooltip.style.top = `${Math.max(8, top)}px`;
+  tooltip.style.left = `${Math.min(rect.left, window.innerWidth - tooltip.offsetWidth - 8)}px`;
+}
+
+/**
+ * Hide the clause explanation tooltip
+ */
+function hideTooltip() {
+  document.getElementById('agreezy-clause-tooltip')?.remove();
+}
+
+/**
+ * Render the floating legend with a toggle per highlighted category
+ */
+function renderLegend() {
+  const counts = {};
+  for (const clause of clauses) {
+    if ((marksByClause.get(clause.id) || []).length > 0) {
+      counts[clause.category] = (counts[clause.category] || 0) + 1;
+    }
+  }
+
+  pauseObserver(() => {
+    document.getElementById('agreezy-clause-legend')?.remove();
+    if (Object.keys(counts).length === 0) return;
+
+    const legend = document.createElement('div');
+    legend.id = 'agreezy-clause-legend';
+
+    const header = document.createElement('div');
+    header.className = 'agreezy-legend-header';
+    header.textContent = 'Agreezy highlights';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'agreezy-legend-close';
+    closeBtn.title = 'Remove highlights';
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', clearHighlights);
+    header.appendChild(closeBtn);
+    legend.appendChild(header);
+
+    for (const [category, count] of Object.entries(counts)) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !document.documentElement.classList.contains(`agreezy-hide-${category}`);
+      checkbox.addEventListener('change', () => {
+        document.documentElement.classList.toggle(`agreezy-hide-${category}`, !checkbox.checked);
+      });
+
+      const swatch = document.createElement('span');
+      swatch.className = `agreezy-swatch agreezy-swatch-${category}`;
+
+      label.append(checkbox, swatch, `${CATEGORIES[category].label} (${count})`);
+      legend.appendChild(label);
+    }
+
+    document.body.appendChild(legend);
+  });
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+// Register once, even if the script is injected after every analysis
+if (!window.agreezyClauseHighlighter) {
+  window.agreezyClauseHighlighter = true;
+
+  document.addEventListener('mouseover', (e) => {
+    const mark = e.target.closest?.(`mark.${MARK_CLASS}`);
+    if (mark) showTooltip(mark);
+  });
+  document.addEventListener('mouseout', (e) => {
+    if (e.target.closest?.(`mark.${MARK_CLASS}`)) hideTooltip();
+  });
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === MESSAGE_TYPES.HIGHLIGHT_CLAUSES) {
+      try {
+        clearHighlights();
+        clauses = (message.clauses || []).filter(c => CATEGORIES[c.category] && c.quote);
+        injectStyles();
+        applyHighlights();
+        watchForChanges();
+
+        const highlighted = clauses.filter(c => (marksByClause.get(c.id) || []).length > 0).length;
+        sendResponse({ highlighted });
+      } catch (error) {
+        console.error('[Agreezy Clause Highlighter] Failed to highlight clauses:', error);
+        sendResponse({ highlighted: 0 });
+      }
+    } else if (message.type === MESSAGE_TYPES.CLEAR_CLAUSE_HIGHLIGHTS) {
+      clearHighlights();
+      sendResponse({ cleared: true });
+    }
+  });
+}
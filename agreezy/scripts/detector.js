@@ -327,7 +327,7 @@ function showBanner(detections, context = 'direct', policyLinks = []) {
     // Indirect: User is on a page with links to policies
     const linkCount = policyLinks.length;
     message = `🔗 This page links to ${linkCount} policy document${linkCount > 1 ? 's' : ''}`;
-    description = 'Click a link below to review the policy document:';
+    description = 'See what you\'re agreeing to without leaving this page, or open a document below:';
 
     // Create links HTML
     const linksHTML = policyLinks.map(link => `
@@ -338,6 +338,9 @@ function showBanner(detections, context = 'direct', policyLinks = []) {
 
     actionButtons = `
       <div class="agreezy-links-container">
+        <button class="agreezy-btn" id="agreezy-analyze-links-btn">
+          🔍 Analyze All
+        </button>
         ${linksHTML}
       </div>
     `;
@@ -511,6 +514,7 @@ function showBanner(detections, context = 'direct', policyLinks = []) {
 
   // Add event listeners
   const analyzeBtn = banner.querySelector('#agreezy-analyze-btn');
+  const analyzeLinksBtn = banner.querySelector('#agreezy-analyze-links-btn');
   const closeBtn = banner.querySelector('#agreezy-close-banner');
 
   // Only add analyze button listener if it exists (direct context)
@@ -522,6 +526,14 @@ function showBanner(detections, context = 'direct', policyLinks = []) {
     });
   }
 
+  // Indirect context: fetch and analyze the linked documents in the background
+  if (analyzeLinksBtn) {
+    analyzeLinksBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'ANALYZE_LINKED_POLICIES', policyLinks });
+      banner.remove();
+    });
+  }
+
   closeBtn.addEventListener('click', () => {
     banner.style.animation = 'agreezy-slide-down 0.3s ease-out reverse';
     setTimeout(() => banner.remove(), 300);
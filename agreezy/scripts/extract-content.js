@@ -1,18 +1,7 @@
-import { isProbablyReaderable, Readability } from '@mozilla/readability';
-
-function canBeParsed(document) {
-  return isProbablyReaderable(document, {
-    minContentLength: 100
-  });
-}
+import { parseReadableArticle } from '../lib/readable-text.js';
 
 function parse(document) {
-  if (!canBeParsed(document)) {
-    return false;
-  }
-  const documentClone = document.cloneNode(true);
-  const article = new Readability(documentClone).parse();
-  return article.textContent;
+  return parseReadableArticle(document)?.content || false;
 }
 
 parse(window.document);
@@ -0,0 +1,80 @@
+/**
+ * Page Text Helpers for Agreezy Content Scripts
+ * Maps passages of analyzed text back to ranges in the live DOM
+ */
+
+import { findQuoteRange } from '../lib/citations.js';
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE']);
+
+/**
+ * Collect the page's visible text nodes and their offsets in the joined page text
+ * @returns {{text: string, segments: Array<{node: Text, start: number}>}}
+ */
+export function collectPageText() {
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || SKIPPED_TAGS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+      // Skip Agreezy's own UI
+      if (parent.closest('#agreezy-detection-banner, #agreezy-clause-legend, #agreezy-clause-tooltip')) return NodeFilter.FILTER_REJECT;
+      return node.data.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+    }
+  });
+
+  const segments = [];
+  let text = '';
+  while (walker.nextNode()) {
+    segments.push({ node: walker.currentNode, start: text.length });
+    // Separate nodes so words from adjacent elements don't merge
+    text += walker.currentNode.data + ' ';
+  }
+
+  return { text, segments };
+}
+
+/**
+ * Map an offset in the joined page text back to a text node position
+ * @param {Array<{node: Text, start: number}>} segments - Text node segments
+ * @param {number} offset - Offset in the joined text
+ * @returns {{node: Text, offset: number}}
+ */
+export function toNodePosition(segments, offset) {
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (segments[mid].start <= offset) low = mid;
+    else high = mid - 1;
+  }
+
+  const { node, start } = segments[low];
+  return { node, offset: Math.min(offset - start, node.data.length) };
+}
+
+/**
+ * Find a quote in the live page
+ * @param {string} quote - Passage text
+ * @param {number} position - Relative position of the passage in the document (0-1)
+ * @returns {Range|null}
+ */
+export function findPassage(quote, position) {
+  const { text, segments } = collectPageText();
+  if (segments.length === 0) return null;
+
+  const found = findQuoteRange(text, quote, Math.round((position || 0) * text.length));
+  if (!found) return null;
+
+  const start = toNodePosition(segments, found.start);
+  const end = toNodePosition(segments, found.end);
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+}
+
+export default {
+  collectPageText,
+  toNodePosition,
+  findPassage
+};
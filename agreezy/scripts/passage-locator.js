@@ -0,0 +1,53 @@
+/**
+ * Agreezy Passage Locator Content Script
+ * Scrolls to and highlights a cited passage in the live page
+ */
+
+import { MESSAGE_TYPES } from '../lib/constants.js';
+import { findPassage } from './page-text.js';
+
+const HIGHLIGHT_NAME = 'agreezy-citation';
+
+/**
+ * Highlight a range and scroll it into view
+ * @param {Range} range - Passage range
+ */
+function highlightPassage(range) {
+  if (!document.getElementById('agreezy-citation-style')) {
+    const style = document.createElement('style');
+    style.id = 'agreezy-citation-style';
+    style.textContent = `::highlight(${HIGHLIGHT_NAME}) { background-color: #fde68a; color: #1a1a1a; }`;
+    document.head.appendChild(style);
+  }
+
+  if (window.CSS?.highlights) {
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(range));
+  } else {
+    // Fall back to selecting the passage
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Register once, even if the script is injected for every citation click
+if (!window.agreezyPassageLocator) {
+  window.agreezyPassageLocator = true;
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== MESSAGE_TYPES.SCROLL_TO_PASSAGE) return;
+
+    try {
+      const range = findPassage(message.quote, message.position);
+      if (range) {
+        highlightPassage(range);
+      }
+      sendResponse({ found: Boolean(range) });
+    } catch (error) {
+      console.error('[Agreezy Passage Locator] Failed to locate passage:', error);
+      sendResponse({ found: false });
+    }
+  });
+}
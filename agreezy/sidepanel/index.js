@@ -5,25 +5,101 @@ import TicTacToe from './tictactoe.js';
 
 // Import feature modules
 import { summarizeContent } from '../lib/features/summarizer.js';
-import { extractKeyPoints, formatKeyPoints } from '../lib/features/key-points.js';
+import { extractKeyPoints, formatKeyPoints, KEY_POINT_CATEGORY_LABELS, KEY_POINT_CATEGORY_ICONS } from '../lib/features/key-points.js';
 import { translateContent } from '../lib/features/translator.js';
-import { answerQuestion, getSuggestedQuestions } from '../lib/features/qa.js';
-import { checkAllAPIsAvailability } from '../lib/ai-apis.js';
+import { getSuggestedQuestions } from '../lib/features/qa.js';
+import { Conversation } from '../lib/features/conversation.js';
+import { compareDocuments, groupKeyPointsByCategory, COMPARISON_VERDICTS } from '../lib/features/compare.js';
+import { explainClause } from '../lib/features/explain.js';
+import { explainPolicyChanges, formatPolicyChanges } from '../lib/features/policy-changes.js';
+import { scoreRisk, RISK_CATEGORY_LABELS } from '../lib/features/risk-score.js';
+import { checkWatchList, WATCH_STATUS_LABELS } from '../lib/features/watch-list.js';
+import { checkPolicyProfile, REQUIREMENT_STATUS, REQUIREMENT_STATUS_LABELS } from '../lib/features/policy-profile.js';
+import { checkAllAPIsAvailability, configureScheduler, aiScheduler } from '../lib/ai-apis.js';
+import { hashContent, getResultKey, getCachedResult, setCachedResult, clearDocumentCache } from '../lib/analysis-cache.js';
+import { isPolicyDocument, getPolicyRecord, markPolicyAnalyzed, updateLastChange } from '../lib/policy-history.js';
+import { saveRiskGrade, showGradeBadge } from '../lib/risk-grades.js';
+import { getQAThread, saveQAThread, clearQAThread } from '../lib/qa-threads.js';
+import {
+  recordAnalyzedDocument,
+  getAnalyzedDocuments,
+  filterAnalyzedDocuments,
+  getDocumentSites,
+  setDocumentPinned,
+  deleteAnalyzedDocument
+} from '../lib/document-history.js';
+import { CRAWL_SKIP_REASONS } from '../lib/policy-crawler.js';
+import { createAnalysis, importAnalysis, isDegraded } from '../lib/analysis-schema.js';
+import { getWatchListRules } from '../lib/watch-list-rules.js';
+import { getPolicyProfile } from '../lib/policy-profile.js';
+import {
+  formatReportMarkdown,
+  formatReportHTML,
+  formatReportJSON,
+  getReportFileName,
+  REPORT_FORMATS
+} from '../lib/report.js';
+import {
+  getBackgroundAnalysis,
+  waitForBackgroundAnalysis,
+  cancelBackgroundAnalysis,
+  ANALYSIS_STATUS
+} from '../lib/background-analysis.js';
+import {
+  getTabDocument,
+  getTabDocumentKey,
+  startExtraction,
+  saveExtractedContent,
+  updateTabDocument,
+  DOCUMENT_STATUS
+} from '../lib/document-store.js';
 
 // Import shared modules
-import { STORAGE_KEYS, DOM_IDS, CSS_CLASSES, ROUTES, MESSAGES } from '../lib/constants.js';
+import {
+  STORAGE_KEYS,
+  DOM_IDS,
+  CSS_CLASSES,
+  ROUTES,
+  MESSAGES,
+  CACHE_RESULTS,
+  ABORT_REASONS,
+  AI_TASKS,
+  SELECTION_ACTIONS,
+  MESSAGE_TYPES
+} from '../lib/constants.js';
 import { applyTheme } from '../lib/theme.js';
 import { appState } from '../lib/app-state.js';
-import { getFromStorage, setInSession } from '../lib/storage-helper.js';
+import { getFromStorage, getFromSession, setInSession } from '../lib/storage-helper.js';
+import { downloadFile } from '../lib/utils.js';
 
 // ============================================================================
 // STATE
 // ============================================================================
 
 let pageContent = '';
+let pageInfo = null; // {tabId, url, title} of the document shown
+let activeTabId = null; // Active tab in the panel's window
+let tabDocument = null; // The active tab's record in the document store
+let selection = null; // {tabId, url, text, action} while analyzing a selected passage instead of the page
+let importedAnalysis = null; // Analysis document opened from a file, shown instead of the active tab's
+let contentHash = null;
 let currentKeyPoints = [];
+let currentRisk = null;
+let currentWatchList = [];
+let currentProfileCheck = null;
+let currentExplanation = null; // Of a selection
+let currentSummary = null;
+let currentTranslation = null;
 let suggestedQuestions = [];
+let conversation = null;
+const comparisonVerdicts = new Map(); // Pinned documents (by hash) -> AI verdicts
+let historyDocuments = []; // Everything in the History tab, before filtering
+let linkedPolicies = null; // Documents fetched from a signup/checkout page's policy links
+let signupReportRun = 0;
 let game = null;
+let explainingChangeAt = null;
+let analysisController = null;
+let runningTasks = 0;
 
 // ============================================================================
 // DOM ELEMENTS - Cached for performance
@@ -31,10 +107,27 @@ let game = null;
 
 const warningElement = document.querySelector(`#${DOM_IDS.WARNING}`);
 const apiStatusElement = document.querySelector(`#${DOM_IDS.API_STATUS}`);
+const selectionScope = document.querySelector(`#${DOM_IDS.SELECTION_SCOPE}`);
+const scopeLabel = document.querySelector(`#${DOM_IDS.SCOPE_LABEL}`);
+const selectionScopeText = document.querySelector(`#${DOM_IDS.SELECTION_SCOPE_TEXT}`);
+const fullDocumentBtn = document.querySelector(`#${DOM_IDS.FULL_DOCUMENT_BTN}`);
 const reanalyzeBtn = document.querySelector(`#${DOM_IDS.REANALYZE_BTN}`);
+const cancelBtn = document.querySelector(`#${DOM_IDS.CANCEL_BTN}`);
+const exportBtn = document.querySelector(`#${DOM_IDS.EXPORT_BTN}`);
+const exportMenu = document.querySelector(`#${DOM_IDS.EXPORT_MENU}`);
+const importInput = document.querySelector(`#${DOM_IDS.IMPORT_INPUT}`);
 const tabButtons = document.querySelectorAll(`.${CSS_CLASSES.TAB_BTN}`);
 const tabContents = document.querySelectorAll(`.${CSS_CLASSES.TAB_CONTENT}`);
+const keypointsHeading = document.querySelector(`#${DOM_IDS.KEYPOINTS_HEADING}`);
 const keypointsContent = document.querySelector(`#${DOM_IDS.KEYPOINTS_CONTENT}`);
+const riskGradeElement = document.querySelector(`#${DOM_IDS.RISK_GRADE}`);
+const watchListCard = document.querySelector(`#${DOM_IDS.WATCH_LIST}`);
+const watchListContent = document.querySelector(`#${DOM_IDS.WATCH_LIST_CONTENT}`);
+const profileCard = document.querySelector(`#${DOM_IDS.POLICY_PROFILE}`);
+const profileHeading = document.querySelector(`#${DOM_IDS.POLICY_PROFILE_HEADING}`);
+const profileContent = document.querySelector(`#${DOM_IDS.POLICY_PROFILE_CONTENT}`);
+const signupReport = document.querySelector(`#${DOM_IDS.SIGNUP_REPORT}`);
+const signupReportContent = document.querySelector(`#${DOM_IDS.SIGNUP_REPORT_CONTENT}`);
 const summaryContent = document.querySelector(`#${DOM_IDS.SUMMARY_CONTENT}`);
 const summaryTypeSelect = document.querySelector(`#${DOM_IDS.SUMMARY_TYPE}`);
 const summaryFormatSelect = document.querySelector(`#${DOM_IDS.SUMMARY_FORMAT}`);
@@ -45,8 +138,18 @@ const translationContentDiv = document.querySelector(`#${DOM_IDS.TRANSLATION_CON
 const translationResult = document.querySelector(`#${DOM_IDS.TRANSLATION_RESULT}`);
 const questionInput = document.querySelector(`#${DOM_IDS.QUESTION_INPUT}`);
 const askBtn = document.querySelector(`#${DOM_IDS.ASK_BTN}`);
+const newConversationBtn = document.querySelector(`#${DOM_IDS.NEW_CONVERSATION_BTN}`);
 const suggestedList = document.querySelector(`#${DOM_IDS.SUGGESTED_LIST}`);
 const qaMessages = document.querySelector(`#${DOM_IDS.QA_MESSAGES}`);
+const changesContent = document.querySelector(`#${DOM_IDS.CHANGES_CONTENT}`);
+const compareDocumentsList = document.querySelector(`#${DOM_IDS.COMPARE_DOCUMENTS}`);
+const compareResults = document.querySelector(`#${DOM_IDS.COMPARE_RESULTS}`);
+const compareTable = document.querySelector(`#${DOM_IDS.COMPARE_TABLE}`);
+const compareBtn = document.querySelector(`#${DOM_IDS.COMPARE_BTN}`);
+const historySearchInput = document.querySelector(`#${DOM_IDS.HISTORY_SEARCH}`);
+const historySiteSelect = document.querySelector(`#${DOM_IDS.HISTORY_SITE}`);
+const historyCategorySelect = document.querySelector(`#${DOM_IDS.HISTORY_CATEGORY}`);
+const historyList = document.querySelector(`#${DOM_IDS.HISTORY_LIST}`);
 const gameContainer = document.querySelector(`#${DOM_IDS.GAME_CONTAINER}`);
 const closeGameBtn = document.querySelector(`#${DOM_IDS.CLOSE_GAME}`);
 const newGameBtn = document.querySelector(`#${DOM_IDS.NEW_GAME}`);
@@ -111,6 +214,9 @@ async function loadSettings() {
     summaryLengthSelect.value = appState.getDefaultSummaryLength();
   }
 
+  // Limit parallel model sessions
+  configureScheduler({ concurrency: appState.getAIConcurrency() });
+
   // Show/hide game based on setting
   if (!appState.shouldShowGame()) {
     hideGameFeature();
@@ -158,28 +264,95 @@ function setupEventListeners() {
     reanalyzeBtn.addEventListener('click', triggerReanalysis);
   }
 
+  // Cancel button
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => cancelAnalysis(ABORT_REASONS.USER));
+  }
+
+  // Export menu
+  if (exportBtn && exportMenu) {
+    exportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportMenu.hidden = !exportMenu.hidden;
+    });
+    exportMenu.addEventListener('click', (e) => {
+      const option = e.target.closest('button[data-format]');
+      if (option) exportReport(option.dataset.format);
+      if (e.target.closest('button[data-action="import"]')) importInput?.click();
+    });
+    document.addEventListener('click', () => {
+      exportMenu.hidden = true;
+    });
+  }
+  if (importInput) {
+    importInput.addEventListener('change', () => {
+      const [file] = importInput.files;
+      importInput.value = ''; // Opening the same file again still fires a change
+      if (file) openAnalysisFile(file);
+    });
+  }
+
+  // Back from a selection or an imported analysis to the whole page
+  if (fullDocumentBtn) {
+    fullDocumentBtn.addEventListener('click', showFullDocument);
+  }
+
   // Summary settings change
   [summaryTypeSelect, summaryFormatSelect, summaryLengthSelect].forEach(el => {
-    if (el) el.addEventListener('change', generateSummary);
+    if (el) el.addEventListener('change', () => runCancellable(generateSummary));
   });
 
   // Translation
   if (translateBtn) {
-    translateBtn.addEventListener('click', handleTranslation);
+    translateBtn.addEventListener('click', () => runCancellable(handleTranslation));
   }
 
   // Q&A
   if (askBtn) {
-    askBtn.addEventListener('click', handleQuestion);
+    askBtn.addEventListener('click', () => runCancellable(handleQuestion));
   }
   if (questionInput) {
     questionInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
-        handleQuestion();
+        runCancellable(handleQuestion);
       }
     });
   }
+  if (newConversationBtn) {
+    newConversationBtn.addEventListener('click', startNewConversation);
+  }
+
+  // Compare
+  if (compareDocumentsList) {
+    compareDocumentsList.addEventListener('click', (e) => {
+      const pinBtn = e.target.closest('.pin-btn');
+      if (pinBtn) togglePinned(pinBtn.dataset.url, !pinBtn.classList.contains('pinned'));
+    });
+  }
+  if (compareBtn) {
+    compareBtn.addEventListener('click', () => runCancellable(handleCompare));
+  }
+
+  // History
+  if (historyCategorySelect) {
+    for (const [category, label] of Object.entries(KEY_POINT_CATEGORY_LABELS)) {
+      historyCategorySelect.appendChild(new Option(label, category));
+    }
+  }
+  historySearchInput?.addEventListener('input', renderHistoryList);
+  [historySiteSelect, historyCategorySelect].forEach(el => {
+    if (el) el.addEventListener('change', renderHistoryList);
+  });
+  if (historyList) {
+    historyList.addEventListener('click', (e) => {
+      const pinBtn = e.target.closest('.pin-btn[data-url]');
+      if (pinBtn) togglePinned(pinBtn.dataset.url, !pinBtn.classList.contains('pinned'));
+
+      const deleteBtn = e.target.closest('.pin-btn[data-delete-url]');
+      if (deleteBtn) deleteDocument(deleteBtn.dataset.deleteUrl);
+    });
+  }
 
   // Game
   if (closeGameBtn) {
@@ -199,6 +372,31 @@ function setupEventListeners() {
     });
   }
 
+  // Citations: clicking a key point or a quoted answer passage shows it in the page
+  if (keypointsContent) {
+    keypointsContent.addEventListener('click', (e) => {
+      const link = e.target.closest('li')?.querySelector('a[href^="#cite-"]');
+      if (!link) return;
+
+      e.preventDefault();
+      const keyPoint = currentKeyPoints[parseInt(link.getAttribute('href').replace('#cite-', ''))];
+      scrollToPassage(keyPoint);
+    });
+  }
+  if (qaMessages) {
+    qaMessages.addEventListener('click', (e) => {
+      const blockquote = e.target.closest(`blockquote.${CSS_CLASSES.CITATION}`);
+      if (!blockquote || !pageContent) return;
+
+      const start = parseInt(blockquote.dataset.start);
+      const end = parseInt(blockquote.dataset.end);
+      scrollToPassage({ quote: pageContent.substring(start, end), start, end });
+    });
+  }
+
+  // Chunk progress under the spinner of the feature doing the work
+  aiScheduler.addEventListener('progress', (e) => showTaskProgress(e.detail));
+
   // Use event delegation for dynamic game buttons
   document.addEventListener('click', (e) => {
     if (e.target.classList.contains(CSS_CLASSES.PLAY_GAME_BTN)) {
@@ -258,12 +456,32 @@ function createSpinner(text) {
     <div class="spinner-container">
       <div class="spinner"></div>
       <p class="loading-text">${text}</p>
+      <p class="${CSS_CLASSES.LOADING_PROGRESS}"></p>
       <p class="loading-subtext">${MESSAGES.WAIT_MESSAGE}</p>
       ${gameButton}
     </div>
   `;
 }
 
+/**
+ * Show scheduler progress (e.g. "Chunk 4/12") under a feature's spinner
+ * @param {{task: string, completed: number, total: number}} progress - Progress event detail
+ */
+function showTaskProgress({ task, completed, total }) {
+  const containers = {
+    [AI_TASKS.KEY_POINTS]: keypointsContent,
+    [AI_TASKS.EXPLANATION]: keypointsContent,
+    [AI_TASKS.SUMMARY]: summaryContent,
+    [AI_TASKS.TRANSLATION]: translationResult,
+    [AI_TASKS.QA]: qaMessages
+  };
+
+  const progressElement = containers[task]?.querySelector(`.${CSS_CLASSES.LOADING_PROGRESS}`);
+  if (!progressElement) return;
+
+  progressElement.textContent = total > 1 ? `Chunk ${completed}/${total}` : '';
+}
+
 // ============================================================================
 // TAB MANAGEMENT
 // ============================================================================
@@ -283,6 +501,16 @@ function switchTab(tabName) {
     activeBtn.classList.add(CSS_CLASSES.ACTIVE);
     activeContent.classList.add(CSS_CLASSES.ACTIVE);
   }
+
+  if (tabName === 'changes') {
+    markPolicyChangeSeen();
+  }
+  if (tabName === 'compare') {
+    renderCompareTab();
+  }
+  if (tabName === 'history') {
+    renderHistoryTab();
+  }
 }
 
 // ============================================================================
@@ -318,22 +546,196 @@ async function checkAPIs() {
 // ============================================================================
 
 /**
- * Load page content from storage
+ * Load the active tab's document and follow tab switches in the panel's window
  */
-function loadPageContent() {
-  chrome.storage.session.get(STORAGE_KEYS.PAGE_CONTENT, ({ pageContent: content }) => {
-    if (content) {
-      onContentChange(content);
+async function loadPageContent() {
+  const currentWindow = await chrome.windows.getCurrent();
+
+  chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+    if (windowId === currentWindow.id) {
+      showTabDocument(tabId);
     }
   });
 
-  // Listen for content changes
+  // Listen for the active tab's document and linked policy changes
   chrome.storage.session.onChanged.addListener((changes) => {
-    const pageContentChange = changes[STORAGE_KEYS.PAGE_CONTENT];
-    if (pageContentChange) {
-      onContentChange(pageContentChange.newValue);
+    const linkedPoliciesChange = changes[STORAGE_KEYS.LINKED_POLICIES];
+    if (linkedPoliciesChange) {
+      linkedPolicies = linkedPoliciesChange.newValue || null;
+    }
+
+    const selectionChange = changes[STORAGE_KEYS.PENDING_SELECTION];
+    if (selectionChange?.newValue && takePendingSelection(selectionChange.newValue)) {
+      if (pageContent === selection.text) {
+        analyzeContent(); // Same text, another action
+      } else {
+        applyTabDocument(tabDocument);
+      }
+      return;
+    }
+
+    const documentChange = activeTabId !== null && changes[getTabDocumentKey(activeTabId)];
+    if (documentChange) {
+      applyTabDocument(documentChange.newValue || null);
+    } else if (linkedPoliciesChange) {
+      // Linked policies fetched (or a page they don't belong to)
+      refreshSignupReport();
     }
   });
+
+  const stored = await getFromSession([STORAGE_KEYS.LINKED_POLICIES, STORAGE_KEYS.PENDING_SELECTION]);
+  linkedPolicies = stored[STORAGE_KEYS.LINKED_POLICIES] || null;
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId: currentWindow.id });
+  activeTabId = tab?.id ?? null;
+
+  // Opened from the context menu with text selected
+  if (stored[STORAGE_KEYS.PENDING_SELECTION]) {
+    takePendingSelection(stored[STORAGE_KEYS.PENDING_SELECTION]);
+  }
+  await showTabDocument(activeTabId);
+}
+
+/**
+ * Switch the panel to a tab's document
+ * Other tabs keep their documents; a completed one renders from the cache.
+ * @param {number|null} tabId - Tab ID
+ */
+async function showTabDocument(tabId) {
+  activeTabId = tabId;
+  const doc = await getTabDocument(tabId);
+  if (activeTabId !== tabId) {
+    return; // Switched again while loading
+  }
+  await applyTabDocument(doc);
+}
+
+/**
+ * Render the active tab's document after it was loaded or changed
+ * @param {Object|null} doc - Document store record
+ */
+async function applyTabDocument(doc) {
+  tabDocument = doc;
+  if (importedAnalysis) {
+    return; // Shown until the user goes back to the page
+  }
+
+  const previousUrl = pageInfo?.url;
+  pageInfo = doc ? { tabId: doc.tabId, url: doc.url, title: doc.title } : null;
+
+  if (selection && (selection.tabId !== activeTabId || (doc && doc.url !== selection.url))) {
+    selection = null; // Left the page the selection was made on
+    renderScope();
+  }
+  if (selection) {
+    if (pageContent !== selection.text) {
+      await onContentChange(selection.text);
+    }
+    return;
+  }
+
+  if (doc?.status === DOCUMENT_STATUS.EXTRACTING && !doc.content) {
+    // A new page is loading: drop the previous one until its text arrives
+    cancelAnalysis(ABORT_REASONS.NEW_PAGE);
+    pageContent = null; // Not '' so an empty result still shows NO_CONTENT
+    contentHash = null;
+    clearError();
+    showContent(keypointsContent, MESSAGES.READING_PAGE, true);
+    showContent(summaryContent, MESSAGES.READING_PAGE, true);
+    return;
+  }
+
+  const content = doc?.content || '';
+  if (content !== pageContent) {
+    await onContentChange(content);
+  } else if (pageInfo?.url !== previousUrl) {
+    // Same text under a different URL - still refresh its change history
+    renderPolicyChanges();
+    refreshSignupReport();
+  }
+}
+
+// Panel tab each context menu action opens on
+const SELECTION_ACTION_TABS = {
+  [SELECTION_ACTIONS.ANALYZE]: 'keypoints',
+  [SELECTION_ACTIONS.EXPLAIN]: 'keypoints',
+  [SELECTION_ACTIONS.RISK]: 'keypoints',
+  [SELECTION_ACTIONS.TRANSLATE]: 'translate',
+  [SELECTION_ACTIONS.ASK]: 'qa'
+};
+
+/**
+ * Switch to a selection the service worker stored from the context menu
+ * Selections made in another window's tab are left for that window's panel.
+ * @param {{tabId: number, url: string, text: string, action: string}} pending - Stored selection
+ * @returns {boolean} True if the panel now analyzes the selection
+ */
+function takePendingSelection(pending) {
+  if (pending.tabId !== activeTabId || !pending.text?.trim()) return false;
+
+  chrome.storage.session.remove(STORAGE_KEYS.PENDING_SELECTION);
+  importedAnalysis = null;
+  const action = SELECTION_ACTION_TABS[pending.action] ? pending.action : SELECTION_ACTIONS.ANALYZE;
+  selection = { tabId: pending.tabId, url: pending.url, text: pending.text.trim(), action };
+  renderScope();
+
+  switchTab(SELECTION_ACTION_TABS[action]);
+  if (action === SELECTION_ACTIONS.ASK) {
+    questionInput?.focus();
+  }
+  return true;
+}
+
+/**
+ * Leave the selection or imported analysis and show the whole page's analysis again
+ * @returns {Promise<void>}
+ */
+function showFullDocument() {
+  if (importedAnalysis) {
+    importedAnalysis = null;
+    pageContent = null; // Re-render the page even if its text is the imported one
+  }
+  selection = null;
+  renderScope();
+  return applyTabDocument(tabDocument);
+}
+
+/**
+ * Show whether the panel is analyzing a selection, an imported analysis or the whole page
+ */
+function renderScope() {
+  const importedSelection = importedAnalysis?.document.scope === 'selection';
+
+  if (selectionScope) {
+    selectionScope.hidden = !selection && !importedAnalysis;
+  }
+  if (scopeLabel) {
+    scopeLabel.textContent = importedAnalysis ? 'Imported analysis' : 'Selection';
+  }
+  if (selectionScopeText) {
+    const text = importedAnalysis ? importedAnalysis.document.title : selection && `"${selection.text}"`;
+    selectionScopeText.textContent = text || '';
+    selectionScopeText.title = importedAnalysis?.document.url || selection?.text || '';
+  }
+  if (fullDocumentBtn) {
+    fullDocumentBtn.textContent = importedAnalysis ? '← Back to page' : '← Full document';
+  }
+  if (keypointsHeading) {
+    keypointsHeading.textContent = selection || importedSelection ? 'What This Selection Means' : 'Key Points You Should Know';
+  }
+  if ((selection || importedAnalysis) && signupReport) {
+    signupReport.hidden = true;
+  }
+}
+
+/**
+ * URL the per-page records (risk grade, Q&A thread, analysis state) are kept
+ * under; null while analyzing a selection or showing an imported analysis,
+ * whose results are not the page's
+ * @returns {string|null}
+ */
+function getPageRecordUrl() {
+  return selection || importedAnalysis ? null : pageInfo?.url || null;
 }
 
 /**
@@ -345,7 +747,26 @@ async function onContentChange(newContent) {
     return; // No change
   }
 
+  // Work on the previous page must not land in this one's panel
+  cancelAnalysis(ABORT_REASONS.NEW_PAGE);
+
   pageContent = newContent;
+  contentHash = null;
+  currentExplanation = null;
+  currentSummary = null;
+  currentTranslation = null;
+  currentWatchList = [];
+  currentProfileCheck = null;
+  if (translationContentDiv) {
+    translationContentDiv.hidden = true;
+  }
+  if (watchListCard) {
+    watchListCard.hidden = true;
+  }
+  if (profileCard) {
+    profileCard.hidden = true;
+  }
+  await restoreConversation();
 
   if (!newContent || newContent.trim().length === 0) {
     showError(MESSAGES.NO_CONTENT);
@@ -354,15 +775,89 @@ async function onContentChange(newContent) {
 
   clearError();
 
-  // Check if manual trigger or auto-analyze
-  if (appState.isManual() || appState.shouldAutoAnalyze()) {
+  const hash = await hashContent(newContent);
+  if (pageContent !== newContent) {
+    return; // Superseded by a newer page while hashing
+  }
+  contentHash = hash;
+
+  renderPolicyChanges();
+  await restoreTranslation();
+
+  // Check if manual trigger or auto-analyze; a completed document renders from the cache
+  const analyzed = tabDocument?.status === DOCUMENT_STATUS.DONE && tabDocument.hash === hash;
+  if (appState.isManual() || appState.shouldAutoAnalyze() || analyzed || selection) {
     appState.setManualTrigger(false); // Reset flag
     await analyzeContent();
   } else {
     // Show manual analyze message
     showContent(keypointsContent, MESSAGES.READY_TO_ANALYZE);
     showContent(summaryContent, MESSAGES.READY_TO_ANALYZE);
+    refreshSignupReport(); // Requested from the page's banner, so it runs regardless
+  }
+}
+
+// ============================================================================
+// CANCELLATION
+// ============================================================================
+
+/**
+ * Get the signal shared by all AI work on the current document
+ * A fresh controller replaces one that has been aborted.
+ * @returns {AbortSignal}
+ */
+function getAnalysisSignal() {
+  if (!analysisController) {
+    analysisController = new AbortController();
+  }
+  return analysisController.signal;
+}
+
+/**
+ * Abort all in-flight AI work on the current document
+ * Sessions are destroyed by the feature modules as their prompts reject.
+ * @param {string} reason - One of ABORT_REASONS
+ */
+function cancelAnalysis(reason) {
+  if (!analysisController) return;
+
+  analysisController.abort(reason);
+  analysisController = null;
+}
+
+/**
+ * Run AI work with the current analysis signal, showing the Cancel button meanwhile
+ * @param {Function} task - Async function receiving the AbortSignal
+ * @returns {Promise<*>} Task result
+ */
+async function runCancellable(task) {
+  runningTasks++;
+  if (cancelBtn) cancelBtn.hidden = false;
+
+  try {
+    return await task(getAnalysisSignal());
+  } finally {
+    runningTasks--;
+    if (cancelBtn) cancelBtn.hidden = runningTasks === 0;
+  }
+}
+
+/**
+ * Check whether failed work was aborted, telling the user if they cancelled it
+ * Work aborted by a new page or a re-analysis is silently dropped: its
+ * replacement renders into the same elements.
+ * @param {AbortSignal} signal - Signal the work ran with
+ * @param {HTMLElement} element - Element showing the work's progress
+ * @returns {boolean} True if the work was aborted
+ */
+function handleCancellation(signal, element) {
+  if (!signal.aborted) return false;
+
+  if (signal.reason === ABORT_REASONS.USER) {
+    showContent(element, MESSAGES.CANCELLED);
+    hideGame();
   }
+  return true;
 }
 
 // ============================================================================
@@ -371,51 +866,458 @@ async function onContentChange(newContent) {
 
 /**
  * Main analysis function
+ * Aborts any analysis still running for the previous page or an earlier click.
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ignore cached results and re-run the models
  */
-async function analyzeContent() {
+async function analyzeContent({ forceRefresh = false } = {}) {
   if (!pageContent) return;
 
-  try {
-    // Generate key points (primary feature - auto-run)
-    await generateKeyPoints();
+  cancelAnalysis(ABORT_REASONS.REANALYZE);
+
+  // Status updates go to the document the analysis started on
+  const tabId = pageInfo?.tabId;
+  const url = getPageRecordUrl();
+  const setStatus = (status, details = {}) => url && updateTabDocument(tabId, url, { status, ...details });
+
+  await runCancellable(async (signal) => {
+    try {
+      await setStatus(DOCUMENT_STATUS.ANALYZING);
+
+      if (forceRefresh) {
+        cancelBackgroundAnalysis(contentHash);
+        await clearDocumentCache(contentHash);
+      } else {
+        await finishBackgroundAnalysis(signal);
+      }
+
+      if (selection) {
+        clearSelectionResults();
+      }
+
+      const steps = selection ? getSelectionSteps(selection.action) : [
+        generateKeyPoints, // Primary feature - auto-run
+        generateRiskScore, // Grade the document's clauses
+        generateWatchList, // Clauses the user asked to be told about
+        generateProfileCheck, // The organization's acceptable-terms checklist
+        generateSignupReport, // Policies linked from a signup/checkout page
+        generateSummary,
+        generateSuggestedQuestions, // For Q&A
+        trackPolicy, // Start tracking policy pages so later edits can be detected
+        rememberDocument // Saved to the History tab, and for the Compare tab
+      ];
+
+      for (const step of steps) {
+        if (signal.aborted) break;
+        await step(signal);
+      }
+
+      await setStatus(signal.aborted ? DOCUMENT_STATUS.IDLE : DOCUMENT_STATUS.DONE);
+    } catch (error) {
+      if (signal.aborted) {
+        await setStatus(DOCUMENT_STATUS.IDLE);
+        return;
+      }
+      console.error('[Analysis] Failed:', error);
+      await setStatus(DOCUMENT_STATUS.ERROR, { error: error.message });
+      showError('Analysis failed. Please try again.');
+    }
+  });
+}
 
-    // Generate summary
-    await generateSummary();
+/**
+ * Wait for an analysis of this page that the service worker started before
+ * the panel opened; its results land in the analysis cache for the steps to reuse
+ * @param {AbortSignal} signal - Stops waiting (a user cancel also stops the analysis)
+ */
+async function finishBackgroundAnalysis(signal) {
+  const state = await getBackgroundAnalysis(contentHash);
+  if (state?.status !== ANALYSIS_STATUS.ANALYZING) return;
 
-    // Get suggested questions for Q&A
-    await generateSuggestedQuestions();
+  showContent(keypointsContent, MESSAGES.FINISHING_BACKGROUND_ANALYSIS, true);
+  try {
+    await waitForBackgroundAnalysis(contentHash, signal, ABORT_REASONS.USER);
   } catch (error) {
-    console.error('[Analysis] Failed:', error);
-    showError('Analysis failed. Please try again.');
+    if (!handleCancellation(signal, keypointsContent)) throw error;
   }
 }
 
 /**
  * Generate key points
+ * @param {AbortSignal} signal - Aborts extraction
  */
-async function generateKeyPoints() {
+async function generateKeyPoints(signal) {
   if (!keypointsContent) return;
 
   showContent(keypointsContent, MESSAGES.EXTRACTING_KEY_POINTS, true);
+  currentKeyPoints = [];
 
   try {
-    currentKeyPoints = await extractKeyPoints(pageContent);
+    currentKeyPoints = await withCache(
+      getResultKey(CACHE_RESULTS.KEY_POINTS),
+      () => extractKeyPoints(pageContent, { signal }),
+      signal
+    );
     const formatted = formatKeyPoints(currentKeyPoints);
     showMarkdown(keypointsContent, formatted);
+    highlightClausesInPage();
   } catch (error) {
+    if (handleCancellation(signal, keypointsContent)) return;
     console.error('[Key Points] Extraction failed:', error);
     showContent(keypointsContent, `Error: ${error.message}`);
     hideGame();
   }
 }
 
+/**
+ * Analysis steps for a selection, by the context menu action that opened it
+ * @param {string} action - One of SELECTION_ACTIONS
+ * @returns {Array<Function>}
+ */
+function getSelectionSteps(action) {
+  switch (action) {
+    case SELECTION_ACTIONS.EXPLAIN:
+      return [explainSelection, generateSummary];
+    case SELECTION_ACTIONS.RISK:
+      return [generateRiskScore, generateSummary];
+    case SELECTION_ACTIONS.TRANSLATE:
+      return [handleTranslation, generateSummary];
+    case SELECTION_ACTIONS.ASK:
+      return [generateSuggestedQuestions, generateSummary];
+    default:
+      return [
+        explainSelection, // In place of the key points
+        generateRiskScore,
+        generateSummary, // Points back to the full document
+        generateSuggestedQuestions
+      ];
+  }
+}
+
+/**
+ * Clear results left from the page, which a quick action may not replace
+ */
+function clearSelectionResults() {
+  showContent(keypointsContent, MESSAGES.SELECTION_NOT_EXPLAINED);
+  if (riskGradeElement) {
+    riskGradeElement.hidden = true;
+  }
+  if (watchListCard) {
+    watchListCard.hidden = true;
+  }
+  if (profileCard) {
+    profileCard.hidden = true;
+  }
+  currentKeyPoints = [];
+  currentRisk = null;
+  currentWatchList = [];
+  currentProfileCheck = null;
+  currentExplanation = null;
+  suggestedQuestions = [];
+  displaySuggestedQuestions();
+}
+
+/**
+ * Explain the selected passage in plain language
+ * @param {AbortSignal} signal - Aborts the explanation
+ */
+async function explainSelection(signal) {
+  if (!keypointsContent) return;
+
+  showContent(keypointsContent, MESSAGES.EXPLAINING_SELECTION, true);
+  currentKeyPoints = [];
+  currentExplanation = null;
+  const stream = createStreamRenderer(partial => showMarkdown(keypointsContent, partial));
+
+  try {
+    const explanation = await withCache(
+      getResultKey(CACHE_RESULTS.EXPLANATION),
+      () => explainClause(pageContent, { onUpdate: stream, signal }),
+      signal
+    );
+    stream.cancel();
+    currentExplanation = explanation;
+    showMarkdown(keypointsContent, explanation.text);
+  } catch (error) {
+    stream.cancel();
+    if (handleCancellation(signal, keypointsContent)) return;
+    console.error('[Explanation] Failed:', error);
+    showContent(keypointsContent, `Error: ${error.message}`);
+    hideGame();
+  }
+}
+
+/**
+ * Generate the risk grade shown above the key points
+ * @param {AbortSignal} signal - Aborts scoring
+ */
+async function generateRiskScore(signal) {
+  if (!riskGradeElement) return;
+
+  riskGradeElement.hidden = false;
+  showContent(riskGradeElement, MESSAGES.SCORING_RISK);
+  currentRisk = null;
+
+  try {
+    currentRisk = await withCache(
+      getResultKey(CACHE_RESULTS.RISK_SCORE),
+      () => scoreRisk(pageContent, { signal }),
+      signal
+    );
+    renderRiskScore(currentRisk);
+
+    if (getPageRecordUrl()) {
+      await saveRiskGrade(pageInfo.url, currentRisk);
+      await showGradeBadge(pageInfo.tabId, currentRisk.grade);
+    }
+  } catch (error) {
+    riskGradeElement.hidden = true;
+    if (signal.aborted) return;
+    console.error('[Risk Score] Scoring failed:', error);
+  }
+}
+
+/**
+ * Render the overall grade, per-category sub-scores and flagged clauses
+ * @param {Object} risk - Result of scoreRisk
+ */
+function renderRiskScore(risk) {
+  riskGradeElement.innerHTML = '';
+
+  // Overall grade
+  const summary = document.createElement('div');
+  summary.className = 'risk-summary';
+
+  const grade = document.createElement('div');
+  grade.className = `risk-grade grade-${risk.grade.toLowerCase()}`;
+  grade.textContent = risk.grade;
+
+  const overview = document.createElement('div');
+  overview.className = 'risk-overview';
+  const title = document.createElement('strong');
+  title.textContent = 'Risk Grade';
+  const detail = document.createElement('span');
+  const flagged = risk.clauses.length;
+  detail.textContent = `Score ${risk.score}/100 · ${flagged} concerning clause${flagged === 1 ? '' : 's'}`;
+  overview.append(title, detail);
+
+  summary.append(grade, overview);
+  riskGradeElement.appendChild(summary);
+
+  // Per-category sub-scores
+  const categories = document.createElement('div');
+  categories.className = 'risk-categories';
+
+  for (const category of Object.keys(RISK_CATEGORY_LABELS)) {
+    const { label, score } = risk.categories[category];
+    const row = document.createElement('div');
+    row.className = 'risk-category';
+
+    const name = document.createElement('span');
+    name.className = 'risk-category-label';
+    name.textContent = label;
+
+    const bar = document.createElement('div');
+    bar.className = 'risk-bar';
+    const fill = document.createElement('div');
+    fill.className = 'risk-bar-fill';
+    fill.style.width = `${score}%`;
+    bar.appendChild(fill);
+
+    const value = document.createElement('span');
+    value.className = 'risk-category-score';
+    value.textContent = score;
+
+    row.append(name, bar, value);
+    categories.appendChild(row);
+  }
+  riskGradeElement.appendChild(categories);
+
+  // Flagged clauses, most severe first
+  if (flagged > 0) {
+    const list = document.createElement('ul');
+    list.className = 'risk-clauses';
+
+    for (const clause of risk.clauses) {
+      const item = document.createElement('li');
+      const label = document.createElement('strong');
+      label.textContent = clause.label;
+      const severity = document.createElement('span');
+      severity.className = `risk-severity ${clause.severity}`;
+      severity.textContent = clause.severity;
+      item.append(label, ' ', severity);
+
+      if (clause.evidence) {
+        const evidence = document.createElement('q');
+        evidence.textContent = clause.evidence;
+        item.append(' ', evidence);
+      }
+      list.appendChild(item);
+    }
+    riskGradeElement.appendChild(list);
+  }
+}
+
+/**
+ * Check the document for the user's watch-list rules
+ * Results are cached per rule set, so editing the rules re-checks the document.
+ * @param {AbortSignal} signal - Aborts the checks
+ */
+async function generateWatchList(signal) {
+  if (!watchListCard || !watchListContent) return;
+
+  currentWatchList = [];
+  const rules = await getWatchListRules();
+  watchListCard.hidden = rules.length === 0;
+  if (rules.length === 0) return;
+
+  showContent(watchListContent, MESSAGES.CHECKING_WATCH_LIST);
+
+  try {
+    const rulesHash = await hashContent(JSON.stringify(rules));
+    currentWatchList = await withCache(
+      getResultKey(CACHE_RESULTS.WATCH_LIST, rulesHash),
+      () => checkWatchList(pageContent, rules, { signal }),
+      signal
+    );
+    renderWatchList(currentWatchList);
+  } catch (error) {
+    if (handleCancellation(signal, watchListContent)) return;
+    console.error('[Watch List] Check failed:', error);
+    showContent(watchListContent, `Error: ${error.message}`);
+  }
+}
+
+/**
+ * Render whether each watched clause was found, with its supporting quote
+ * @param {Array<Object>} results - Result of checkWatchList
+ */
+function renderWatchList(results) {
+  const list = document.createElement('ul');
+  list.className = 'watch-list-results';
+
+  for (const result of results) {
+    const item = document.createElement('li');
+    const status = document.createElement('span');
+    status.className = `watch-status ${result.status}`;
+    status.textContent = WATCH_STATUS_LABELS[result.status];
+    const name = document.createElement('strong');
+    name.textContent = result.name;
+    item.append(status, ' ', name);
+
+    if (result.reason) {
+      const reason = document.createElement('p');
+      reason.textContent = result.reason;
+      item.appendChild(reason);
+    }
+    if (result.quote) {
+      const quote = document.createElement('q');
+      quote.textContent = result.quote;
+      item.appendChild(quote);
+    }
+    list.appendChild(item);
+  }
+
+  watchListContent.replaceChildren(list);
+}
+
+/**
+ * Check the document against the acceptable-terms profile, if one is set
+ * Results are cached per profile, so a new profile re-checks the document.
+ * @param {AbortSignal} signal - Aborts the checks
+ */
+async function generateProfileCheck(signal) {
+  if (!profileCard || !profileContent) return;
+
+  currentProfileCheck = null;
+  const { profile } = await getPolicyProfile() || {};
+  profileCard.hidden = !profile;
+  if (!profile) return;
+
+  if (profileHeading) {
+    profileHeading.textContent = profile.name;
+  }
+  showContent(profileContent, MESSAGES.CHECKING_POLICY_PROFILE);
+
+  try {
+    const profileHash = await hashContent(JSON.stringify(profile));
+    currentProfileCheck = await withCache(
+      getResultKey(CACHE_RESULTS.POLICY_PROFILE, profileHash),
+      () => checkPolicyProfile(pageContent, profile, { signal }),
+      signal
+    );
+    renderProfileCheck(currentProfileCheck);
+  } catch (error) {
+    if (handleCancellation(signal, profileContent)) return;
+    console.error('[Policy Profile] Check failed:', error);
+    showContent(profileContent, `Error: ${error.message}`);
+  }
+}
+
+/**
+ * Render the profile's verdict and its pass/fail checklist with evidence
+ * @param {Object} check - Result of checkPolicyProfile
+ */
+function renderProfileCheck(check) {
+  if (profileHeading) {
+    profileHeading.textContent = check.profileName;
+  }
+
+  const failed = check.results.filter(result => result.status === REQUIREMENT_STATUS.FAIL).length;
+  const unclear = check.results.filter(result => result.status === REQUIREMENT_STATUS.UNCLEAR).length;
+  const verdict = document.createElement('p');
+  verdict.className = `profile-verdict ${check.verdict}`;
+  if (check.verdict === REQUIREMENT_STATUS.PASS) {
+    verdict.textContent = `Meets all ${check.results.length} requirements`;
+  } else if (check.verdict === REQUIREMENT_STATUS.FAIL) {
+    verdict.textContent = `Fails ${failed} of ${check.results.length} requirements`;
+  } else {
+    verdict.textContent = `${unclear} of ${check.results.length} requirements need a manual review`;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'profile-checklist';
+
+  for (const result of check.results) {
+    const item = document.createElement('li');
+    const status = document.createElement('span');
+    status.className = `requirement-status ${result.status}`;
+    status.textContent = REQUIREMENT_STATUS_LABELS[result.status];
+    const name = document.createElement('strong');
+    name.textContent = result.name;
+    item.append(status, ' ', name);
+
+    if (result.reason) {
+      const reason = document.createElement('p');
+      reason.textContent = result.reason;
+      item.appendChild(reason);
+    }
+    if (result.quote) {
+      const quote = document.createElement('q');
+      quote.textContent = result.quote;
+      item.appendChild(quote);
+    }
+    list.appendChild(item);
+  }
+
+  profileContent.replaceChildren(verdict, list);
+}
+
 /**
  * Generate summary
+ * @param {AbortSignal} signal - Aborts summarization
  */
-async function generateSummary() {
+async function generateSummary(signal) {
   if (!pageContent || !summaryContent) return;
 
+  if (selection) {
+    showContent(summaryContent, MESSAGES.SELECTION_NO_SUMMARY);
+    return;
+  }
+
   showContent(summaryContent, MESSAGES.GENERATING_SUMMARY, true);
+  currentSummary = null;
+  const stream = createStreamRenderer(partial => showMarkdown(summaryContent, partial));
 
   try {
     const options = {
@@ -424,9 +1326,17 @@ async function generateSummary() {
       length: summaryLengthSelect?.value || 'short'
     };
 
-    const summary = await summarizeContent(pageContent, options);
-    showMarkdown(summaryContent, summary);
+    const summary = await withCache(
+      getResultKey(CACHE_RESULTS.SUMMARY, options.type, options.length, options.format),
+      () => summarizeContent(pageContent, { ...options, onUpdate: stream, signal }),
+      signal
+    );
+    stream.cancel();
+    currentSummary = summary;
+    showMarkdown(summaryContent, summary.text);
   } catch (error) {
+    stream.cancel();
+    if (handleCancellation(signal, summaryContent)) return;
     console.error('[Summary] Generation failed:', error);
     showContent(summaryContent, `Error: ${error.message}`);
     hideGame();
@@ -435,8 +1345,9 @@ async function generateSummary() {
 
 /**
  * Handle translation
+ * @param {AbortSignal} signal - Aborts translation
  */
-async function handleTranslation() {
+async function handleTranslation(signal) {
   if (!pageContent) {
     showError(MESSAGES.NO_TRANSLATE_CONTENT);
     return;
@@ -452,18 +1363,36 @@ async function handleTranslation() {
     translationContentDiv.hidden = false;
   }
   showContent(translationResult, MESSAGES.TRANSLATING, true);
+  const stream = createStreamRenderer(partial => {
+    showMarkdown(translationResult, `Translating to ${targetLang}...\n\n---\n\n${partial}`);
+  });
 
   try {
-    const result = await translateContent(pageContent, targetLang);
-
+    const result = await withCache(
+      getResultKey(CACHE_RESULTS.TRANSLATION, targetLang),
+      () => translateContent(pageContent, targetLang, null, { onUpdate: stream, signal }),
+      signal
+    );
+    stream.cancel();
+
+    renderTranslation(result);
     if (result.note) {
-      showContent(translationResult, `Note: ${result.note}\n\n${result.translatedText}`);
       hideGame();
-    } else {
-      const header = `Translated from ${result.sourceLanguage} to ${result.targetLanguage}:\n\n---\n\n`;
-      showMarkdown(translationResult, header + result.translatedText);
+    }
+
+    // Shown again when the user comes back to this tab
+    if (getPageRecordUrl()) {
+      await updateTabDocument(pageInfo.tabId, pageInfo.url, { translatedTo: targetLang });
     }
   } catch (error) {
+    stream.cancel();
+    if (handleCancellation(signal, translationResult)) {
+      // A translation of the previous page has nothing left to show
+      if (signal.reason !== ABORT_REASONS.USER && translationContentDiv) {
+        translationContentDiv.hidden = true;
+      }
+      return;
+    }
     console.error('[Translation] Failed:', error);
     showContent(translationResult, `Error: ${error.message}`);
     hideGame();
@@ -473,16 +1402,49 @@ async function handleTranslation() {
   }
 }
 
-// ============================================================================
-// Q&A
-// ============================================================================
+/**
+ * Render a translation result
+ * @param {Object} result - Result of translateContent
+ */
+function renderTranslation(result) {
+  currentTranslation = result;
+  if (result.note) {
+    showContent(translationResult, `Note: ${result.note}\n\n${result.text}`);
+  } else {
+    const header = `Translated from ${result.sourceLanguage} to ${result.targetLanguage}:\n\n---\n\n`;
+    showMarkdown(translationResult, header + result.text);
+  }
+}
 
 /**
- * Handle question submission
+ * Show the translation the user last made of this tab's document, if it is cached
  */
-async function handleQuestion() {
-  const question = questionInput?.value.trim();
-  if (!question) return;
+async function restoreTranslation() {
+  const targetLang = tabDocument?.translatedTo;
+  if (!targetLang || !translationContentDiv || !translationResult) return;
+
+  const hash = contentHash;
+  const result = await getCachedResult(hash, getResultKey(CACHE_RESULTS.TRANSLATION, targetLang));
+  if (result === undefined || contentHash !== hash) return;
+
+  if (targetLanguageSelect) {
+    targetLanguageSelect.value = targetLang;
+  }
+  renderTranslation(result);
+  translationContentDiv.hidden = false;
+}
+
+// ============================================================================
+// Q&A
+// ============================================================================
+
+/**
+ * Handle question submission
+ * @param {AbortSignal} signal - Aborts answering
+ */
+async function handleQuestion(signal) {
+  const question = questionInput?.value.trim();
+  if (!question) return;
 
   if (!pageContent) {
     showError(MESSAGES.NO_QA_CONTENT);
@@ -500,14 +1462,37 @@ async function handleQuestion() {
   const spinnerHTML = createSpinner(MESSAGES.THINKING);
   addQAMessage(spinnerHTML, 'loading', loadingId);
 
-  // Disable ask button
+  // Disable ask button (and starting over) until the answer is in
   if (askBtn) {
     askBtn.disabled = true;
     askBtn.textContent = 'Thinking...';
   }
+  if (newConversationBtn) newConversationBtn.disabled = true;
+
+  // Swap the loading message for the answer once it starts streaming
+  let answerContent = null;
+  const stream = createStreamRenderer(partial => {
+    if (!answerContent) {
+      document.getElementById(loadingId)?.remove();
+      answerContent = addQAMessage('', 'answer');
+    }
+    renderQAAnswer(answerContent, partial);
+    qaMessages.scrollTop = qaMessages.scrollHeight;
+  });
 
   try {
-    const answer = await answerQuestion(pageContent, question);
+    const activeConversation = getConversation();
+    const { answer, citations } = await activeConversation.ask(question, {
+      onUpdate: stream,
+      signal,
+      rerank: appState.shouldRerankAnswers()
+    });
+    signal.throwIfAborted();
+    stream.cancel();
+
+    if (getPageRecordUrl() && activeConversation === conversation) {
+      await saveQAThread(pageInfo.url, activeConversation.getState());
+    }
 
     // Remove loading message
     const loadingElement = document.getElementById(loadingId);
@@ -515,10 +1500,14 @@ async function handleQuestion() {
       loadingElement.remove();
     }
 
-    addQAMessage(answer, 'answer');
+    if (answerContent) {
+      renderQAAnswer(answerContent, answer, citations);
+    } else {
+      addQAMessage(answer, 'answer', null, citations);
+    }
     hideGame();
   } catch (error) {
-    console.error('[Q&A] Failed:', error);
+    stream.cancel();
 
     // Remove loading message
     const loadingElement = document.getElementById(loadingId);
@@ -526,6 +1515,16 @@ async function handleQuestion() {
       loadingElement.remove();
     }
 
+    if (signal.aborted) {
+      if (signal.reason === ABORT_REASONS.USER) {
+        addQAMessage(MESSAGES.CANCELLED, 'answer');
+        hideGame();
+      }
+      return;
+    }
+
+    console.error('[Q&A] Failed:', error);
+
     addQAMessage(`Error: ${error.message}`, 'answer');
     hideGame();
   } finally {
@@ -533,19 +1532,75 @@ async function handleQuestion() {
       askBtn.disabled = false;
       askBtn.textContent = 'Ask';
     }
+    if (newConversationBtn) newConversationBtn.disabled = false;
+  }
+}
+
+/**
+ * Get the conversation for the current document, starting one if needed
+ * @returns {Conversation}
+ */
+function getConversation() {
+  if (!conversation || conversation.content !== pageContent) {
+    conversation?.destroy();
+    conversation = new Conversation(pageContent);
+  }
+  return conversation;
+}
+
+/**
+ * Show the saved conversation for the current page, if there is one
+ */
+async function restoreConversation() {
+  const content = pageContent;
+  conversation?.destroy();
+  conversation = null;
+  qaMessages?.replaceChildren();
+
+  const url = getPageRecordUrl();
+  if (!content || !url) return;
+
+  const thread = await getQAThread(url);
+  if (pageContent !== content || conversation) {
+    return; // Superseded while loading
+  }
+
+  conversation = new Conversation(content, thread || {});
+  for (const turn of conversation.turns) {
+    addQAMessage(turn.question, 'question');
+    addQAMessage(turn.answer, 'answer', null, turn.citations);
+  }
+}
+
+/**
+ * Forget the current page's conversation and clear the thread
+ */
+async function startNewConversation() {
+  conversation?.destroy();
+  conversation = null;
+  qaMessages?.replaceChildren();
+
+  if (getPageRecordUrl()) {
+    await clearQAThread(pageInfo.url);
   }
 }
 
 /**
  * Generate suggested questions
+ * @param {AbortSignal} signal - Aborts generation
  */
-async function generateSuggestedQuestions() {
+async function generateSuggestedQuestions(signal) {
   if (!pageContent || !suggestedList) return;
 
   try {
-    suggestedQuestions = await getSuggestedQuestions(pageContent);
+    suggestedQuestions = await withCache(
+      getResultKey(CACHE_RESULTS.SUGGESTED_QUESTIONS),
+      () => getSuggestedQuestions(pageContent, { signal }),
+      signal
+    );
     displaySuggestedQuestions();
   } catch (error) {
+    if (signal.aborted) return;
     console.error('[Suggested Questions] Failed:', error);
   }
 }
@@ -577,9 +1632,11 @@ function displaySuggestedQuestions() {
  * @param {string} text - Message text or HTML
  * @param {string} type - Message type (question|answer|loading)
  * @param {string} id - Optional ID for the message
+ * @param {Array<Object>} citations - Located supporting quotes (answers only)
+ * @returns {HTMLElement|null} The message's content element
  */
-function addQAMessage(text, type, id = null) {
-  if (!qaMessages) return;
+function addQAMessage(text, type, id = null, citations = []) {
+  if (!qaMessages) return null;
 
   const messageDiv = document.createElement('div');
   messageDiv.className = `${CSS_CLASSES.QA_MESSAGE} ${type}`;
@@ -599,7 +1656,7 @@ function addQAMessage(text, type, id = null) {
   if (type === 'loading') {
     content.innerHTML = text; // Already HTML from createSpinner
   } else {
-    content.innerHTML = DOMPurify.sanitize(marked.parse(text));
+    renderQAAnswer(content, text, citations);
   }
 
   messageDiv.appendChild(content);
@@ -607,6 +1664,894 @@ function addQAMessage(text, type, id = null) {
 
   // Scroll to bottom
   qaMessages.scrollTop = qaMessages.scrollHeight;
+
+  return content;
+}
+
+/**
+ * Render message markdown, making supporting quotes clickable
+ * @param {HTMLElement} content - Message content element
+ * @param {string} text - Markdown text
+ * @param {Array<Object>} citations - Located supporting quotes
+ */
+function renderQAAnswer(content, text, citations = []) {
+  content.innerHTML = DOMPurify.sanitize(marked.parse(text));
+
+  const blockquotes = content.querySelectorAll('blockquote');
+  for (const citation of citations) {
+    const blockquote = blockquotes[citation.quoteIndex];
+    if (blockquote) {
+      blockquote.classList.add(CSS_CLASSES.CITATION);
+      blockquote.dataset.start = citation.start;
+      blockquote.dataset.end = citation.end;
+      blockquote.title = 'Show in page';
+    }
+  }
+}
+
+// ============================================================================
+// CITATIONS
+// ============================================================================
+
+/**
+ * Scroll the analyzed page to a cited passage and highlight it
+ * @param {{quote: string, start: number, end: number}} citation - Located quote
+ */
+async function scrollToPassage(citation) {
+  const tabId = pageInfo?.tabId;
+  if (!tabId || !citation?.quote) return;
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['scripts/passage-locator.js']
+    });
+
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: MESSAGE_TYPES.SCROLL_TO_PASSAGE,
+      quote: citation.quote,
+      position: citation.start / pageContent.length
+    });
+
+    if (!response?.found) {
+      showError(MESSAGES.PASSAGE_NOT_FOUND);
+    }
+  } catch (error) {
+    console.error('[Citations] Failed to show passage:', error);
+    showError(MESSAGES.PASSAGE_NOT_FOUND);
+  }
+}
+
+/**
+ * Highlight risky key-point clauses in the analyzed page
+ */
+async function highlightClausesInPage() {
+  const tabId = pageInfo?.tabId;
+  if (!tabId || !appState.shouldHighlightClauses()) return;
+
+  const clauses = currentKeyPoints
+    .map((kp, index) => ({
+      id: `kp-${index}`,
+      point: kp.point,
+      category: kp.category,
+      importance: kp.importance,
+      quote: kp.quote,
+      position: kp.start / pageContent.length
+    }))
+    .filter(clause => clause.quote && clause.importance !== 'low');
+
+  if (clauses.length === 0) return;
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['scripts/clause-highlighter.js']
+    });
+    await chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.HIGHLIGHT_CLAUSES, clauses });
+  } catch (error) {
+    console.error('[Highlights] Failed to highlight clauses:', error);
+  }
+}
+
+// ============================================================================
+// POLICY CHANGES
+// ============================================================================
+
+/**
+ * Start tracking the current page if it is a policy document
+ */
+async function trackPolicy() {
+  if (!pageInfo?.url || !isPolicyDocument(pageInfo.url, pageContent)) return;
+
+  try {
+    await markPolicyAnalyzed(pageInfo, pageContent);
+    await renderPolicyChanges();
+  } catch (error) {
+    console.error('[Policy History] Failed to track policy:', error);
+  }
+}
+
+/**
+ * Render the change history of the current page in the Changes tab
+ * @param {Object} options
+ * @param {string|null} options.explanationError - Why explaining the last change just failed
+ */
+async function renderPolicyChanges({ explanationError = null } = {}) {
+  if (!changesContent) return;
+
+  const record = await getPolicyRecord(pageInfo?.url);
+
+  if (!record) {
+    showContent(changesContent, MESSAGES.NOT_TRACKED);
+    return;
+  }
+
+  const firstSeen = record.versions[record.versions.length - 1]?.capturedAt || record.analyzedAt;
+  const { lastChange } = record;
+
+  if (!lastChange) {
+    showContent(changesContent, `No changes detected since this policy was first analyzed on ${formatDate(firstSeen)}.`);
+    return;
+  }
+
+  const header = `**Changed on ${formatDate(lastChange.detectedAt)}** (tracked since ${formatDate(firstSeen)}, ${record.versions.length} version${record.versions.length === 1 ? '' : 's'} seen)`;
+  const changesMarkdown = `### Changed Paragraphs\n\n${formatPolicyChanges(lastChange.diff)}`;
+
+  if (lastChange.explanation) {
+    showMarkdown(changesContent, `${header}\n\n### What Changed\n\n${lastChange.explanation}\n\n${changesMarkdown}`);
+  } else if (explanationError) {
+    showMarkdown(changesContent, `${header}\n\n### What Changed\n\n_Could not explain the changes: ${explanationError}_\n\n${changesMarkdown}`);
+  } else {
+    showContent(changesContent, MESSAGES.EXPLAINING_CHANGES, true);
+    runCancellable(signal => explainLastChange(record, signal));
+  }
+
+  // Bring unseen changes to the user's attention
+  if (!lastChange.seen) {
+    switchTab('changes');
+  }
+}
+
+/**
+ * Generate and store an AI explanation of the last detected change
+ * Nothing is stored if the explanation fails or is aborted, so it is retried the next time the changes are shown.
+ * @param {Object} record - Policy history record
+ * @param {AbortSignal} signal - Aborts the explanation
+ */
+async function explainLastChange(record, signal) {
+  const { detectedAt } = record.lastChange;
+  if (explainingChangeAt === detectedAt) return; // Already in progress
+
+  let explanationError = null;
+  explainingChangeAt = detectedAt;
+  try {
+    const explanation = await explainPolicyChanges(record.lastChange.diff, { signal });
+    signal.throwIfAborted();
+    await updateLastChange(record.url, { explanation });
+  } catch (error) {
+    if (handleCancellation(signal, changesContent)) return;
+    console.error('[Policy Changes] Explanation failed:', error);
+    explanationError = error.message;
+  } finally {
+    explainingChangeAt = null;
+  }
+
+  // Only re-render if the user is still on the same page
+  if (pageInfo?.url && (await getPolicyRecord(pageInfo.url))?.url === record.url) {
+    renderPolicyChanges({ explanationError });
+  }
+}
+
+/**
+ * Mark the current page's last change as seen
+ */
+async function markPolicyChangeSeen() {
+  const record = await getPolicyRecord(pageInfo?.url);
+  if (record?.lastChange && !record.lastChange.seen) {
+    await updateLastChange(record.url, { seen: true });
+  }
+}
+
+// ============================================================================
+// SIGNUP REPORT
+// ============================================================================
+
+// How each skip reason from the crawler is explained to the user
+const SKIP_REASON_LABELS = {
+  [CRAWL_SKIP_REASONS.OTHER_SITE]: 'hosted on another site',
+  [CRAWL_SKIP_REASONS.INSECURE]: 'not served over HTTPS',
+  [CRAWL_SKIP_REASONS.BUDGET]: 'over the limit of documents fetched per page',
+  [CRAWL_SKIP_REASONS.NOT_HTML]: 'not a web page',
+  [CRAWL_SKIP_REASONS.TOO_LARGE]: 'too large to fetch',
+  [CRAWL_SKIP_REASONS.UNREADABLE]: 'no readable text',
+  [CRAWL_SKIP_REASONS.FAILED]: 'could not be fetched'
+};
+
+/**
+ * Get the linked policies if they were fetched for the current page
+ * @returns {Object|null}
+ */
+function getLinkedPolicies() {
+  if (!linkedPolicies || !getPageRecordUrl()) return null;
+
+  const current = linkedPolicies.tabId === pageInfo.tabId && linkedPolicies.pageUrl === pageInfo.url;
+  return current ? linkedPolicies : null;
+}
+
+/**
+ * Show or hide the signup report after the page or its linked policies changed
+ */
+function refreshSignupReport() {
+  if (getLinkedPolicies()) {
+    runCancellable(generateSignupReport);
+  } else if (signupReport) {
+    signupReport.hidden = true;
+  }
+}
+
+/**
+ * Analyze each linked policy and show the combined report
+ * Documents are analyzed one after another, updating the report as each finishes.
+ * @param {AbortSignal} signal - Aborts the analyses
+ */
+async function generateSignupReport(signal) {
+  if (!signupReport || !signupReportContent) return;
+
+  const run = ++signupReportRun;
+  const linked = getLinkedPolicies();
+  signupReport.hidden = !linked;
+  if (!linked) return;
+
+  if (linked.status === 'crawling') {
+    showContent(signupReportContent, MESSAGES.FETCHING_LINKED_POLICIES, true);
+    return;
+  }
+
+  const results = linked.documents.map(doc => ({ doc, keyPoints: null, risk: null, error: null }));
+  renderSignupReport(linked, results);
+
+  for (const result of results) {
+    try {
+      const { content, url, pageTitle } = result.doc;
+      const hash = await hashContent(content);
+
+      const keyPoints = await withCache(
+        getResultKey(CACHE_RESULTS.KEY_POINTS),
+        () => extractKeyPoints(content, { signal }),
+        signal,
+        hash
+      );
+      const risk = await withCache(
+        getResultKey(CACHE_RESULTS.RISK_SCORE),
+        () => scoreRisk(content, { signal }),
+        signal,
+        hash
+      ).catch(error => {
+        if (signal.aborted) throw error;
+        console.error('[Signup Report] Scoring failed:', error);
+        return null;
+      });
+
+      result.keyPoints = keyPoints;
+      result.risk = risk;
+      await recordAnalyzedDocument({ url, title: pageTitle }, { hash, keyPoints, risk });
+      if (risk) await saveRiskGrade(url, risk);
+    } catch (error) {
+      if (handleCancellation(signal, signupReportContent)) return;
+      console.error('[Signup Report] Analysis failed:', error);
+      result.error = error.message;
+    }
+
+    if (run !== signupReportRun) return; // Superseded by a newer report
+    renderSignupReport(linked, results);
+  }
+}
+
+/**
+ * Render the combined report: each document's grade, then the notable
+ * key points of all documents by category
+ * @param {Object} linked - Linked policies from the background crawl
+ * @param {Array<{doc: Object, keyPoints: Array|null, risk: Object|null, error: string|null}>} results - Per-document analyses
+ */
+function renderSignupReport(linked, results) {
+  signupReportContent.replaceChildren();
+  hideGame();
+
+  let host = linked.pageUrl;
+  try {
+    host = new URL(linked.pageUrl).hostname;
+  } catch (error) {
+    // Keep the raw URL
+  }
+
+  const intro = document.createElement('p');
+  intro.className = 'signup-report-intro';
+  intro.textContent = results.length > 0
+    ? `By signing up or checking out on ${host}, you accept ${results.length} linked document${results.length === 1 ? '' : 's'}:`
+    : MESSAGES.NO_LINKED_POLICIES;
+  signupReportContent.appendChild(intro);
+
+  // One line per document with its grade and progress
+  const list = document.createElement('ul');
+  list.className = 'linked-policies';
+  const pendingIndex = results.findIndex(result => !result.keyPoints && !result.error);
+
+  results.forEach((result, index) => {
+    const item = document.createElement('li');
+    item.className = 'linked-policy';
+
+    const grade = document.createElement('span');
+    grade.className = result.risk ? `risk-grade grade-${result.risk.grade.toLowerCase()}` : 'risk-grade pending';
+    grade.textContent = result.risk?.grade || '–';
+
+    const title = document.createElement('a');
+    title.className = 'linked-policy-title';
+    title.href = result.doc.url;
+    title.target = '_blank';
+    title.rel = 'noopener noreferrer';
+    title.textContent = result.doc.title;
+
+    const status = document.createElement('span');
+    status.className = 'linked-policy-status';
+    if (result.error) {
+      status.textContent = 'Could not analyze';
+      status.title = result.error;
+    } else if (!result.keyPoints) {
+      status.textContent = index === pendingIndex ? 'Analyzing...' : 'Waiting...';
+    } else {
+      const notable = result.keyPoints.filter(kp => kp.importance === 'high').length;
+      status.textContent = `${notable} high-importance point${notable === 1 ? '' : 's'}`;
+    }
+
+    item.append(grade, title, status);
+    list.appendChild(item);
+  });
+  if (results.length > 0) signupReportContent.appendChild(list);
+
+  // Notable points of all analyzed documents, by category
+  const analyzed = results
+    .filter(result => result.keyPoints)
+    .map(result => ({
+      title: result.doc.title,
+      keyPoints: result.keyPoints.filter(kp => kp.importance !== 'low')
+    }));
+
+  for (const row of groupKeyPointsByCategory(analyzed)) {
+    const category = document.createElement('div');
+    category.className = 'signup-report-category';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${KEY_POINT_CATEGORY_ICONS[row.category] || '•'} ${KEY_POINT_CATEGORY_LABELS[row.category] || row.category}`;
+
+    const points = document.createElement('ul');
+    row.points.forEach((docPoints, index) => {
+      for (const kp of docPoints) {
+        const item = document.createElement('li');
+        const source = document.createElement('span');
+        source.className = 'linked-policy-source';
+        source.textContent = ` (${analyzed[index].title})`;
+        item.append(kp.point, source);
+        points.appendChild(item);
+      }
+    });
+
+    category.append(heading, points);
+    signupReportContent.appendChild(category);
+  }
+
+  // Documents that were not fetched, so the user can still open them
+  if (linked.skipped.length > 0) {
+    const skipped = document.createElement('div');
+    skipped.className = 'linked-policy-skipped';
+    skipped.textContent = 'Not analyzed:';
+
+    const skippedList = document.createElement('ul');
+    for (const entry of linked.skipped) {
+      const item = document.createElement('li');
+      if (/^https?:/.test(entry.url)) {
+        const link = document.createElement('a');
+        link.href = entry.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = entry.title;
+        item.appendChild(link);
+      } else {
+        item.append(entry.title);
+      }
+      item.append(` (${SKIP_REASON_LABELS[entry.reason] || entry.reason})`);
+      skippedList.appendChild(item);
+    }
+
+    skipped.appendChild(skippedList);
+    signupReportContent.appendChild(skipped);
+  }
+}
+
+// ============================================================================
+// COMPARE
+// ============================================================================
+
+/**
+ * Save the analyzed document to the history, where it can be searched and
+ * pinned for comparison
+ */
+async function rememberDocument() {
+  if (!pageInfo?.url || currentKeyPoints.length === 0) return;
+
+  try {
+    await recordAnalyzedDocument(pageInfo, { hash: contentHash, keyPoints: currentKeyPoints, risk: currentRisk });
+  } catch (error) {
+    console.error('[History] Failed to save document:', error);
+  }
+}
+
+/**
+ * Render the analyzed documents and the comparison of the pinned ones
+ */
+async function renderCompareTab() {
+  if (!compareDocumentsList) return;
+
+  const documents = await getAnalyzedDocuments();
+  compareDocumentsList.replaceChildren();
+
+  if (documents.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'compare-hint';
+    empty.textContent = MESSAGES.NO_ANALYZED_DOCUMENTS;
+    compareDocumentsList.appendChild(empty);
+  }
+
+  for (const doc of documents) {
+    const item = document.createElement('li');
+    item.className = 'compare-document';
+
+    const title = document.createElement('span');
+    title.className = 'compare-document-title';
+    title.textContent = doc.title;
+    title.title = doc.url;
+
+    const meta = document.createElement('span');
+    meta.className = 'compare-document-meta';
+    meta.textContent = [doc.risk?.grade, formatDate(doc.analyzedAt)].filter(Boolean).join(' · ');
+
+    const pinBtn = document.createElement('button');
+    pinBtn.className = doc.pinned ? 'pin-btn pinned' : 'pin-btn';
+    pinBtn.dataset.url = doc.url;
+    pinBtn.textContent = doc.pinned ? '📌 Pinned' : 'Pin';
+
+    item.append(title, meta, pinBtn);
+    compareDocumentsList.appendChild(item);
+  }
+
+  renderComparison(documents.filter(doc => doc.pinned));
+}
+
+/**
+ * Pin or unpin a document and refresh the Compare tab
+ * @param {string} url - Document URL
+ * @param {boolean} pinned - New pin state
+ */
+async function togglePinned(url, pinned) {
+  const updated = await setDocumentPinned(url, pinned);
+  if (!updated && pinned) {
+    showError(MESSAGES.TOO_MANY_PINNED);
+    return;
+  }
+
+  clearError();
+  await renderCompareTab();
+  await renderHistoryTab();
+}
+
+/**
+ * Cache key for the AI verdicts on a set of pinned documents
+ * @param {Array<{hash: string}>} documents - Pinned documents
+ * @returns {string}
+ */
+function getComparisonKey(documents) {
+  return documents.map(doc => doc.hash).sort().join('|');
+}
+
+/**
+ * Render the side-by-side key points of the pinned documents, with AI verdicts if available
+ * @param {Array<Object>} pinned - Pinned document records
+ */
+function renderComparison(pinned) {
+  if (!compareResults || !compareTable) return;
+
+  compareResults.hidden = false;
+  if (pinned.length < 2) {
+    if (compareBtn) compareBtn.hidden = true;
+    showContent(compareTable, MESSAGES.PIN_TO_COMPARE);
+    return;
+  }
+  if (compareBtn) compareBtn.hidden = false;
+
+  const verdicts = comparisonVerdicts.get(getComparisonKey(pinned)) || [];
+  const table = document.createElement('table');
+  table.className = 'compare-table';
+
+  // Header: one column per document
+  const headerRow = table.createTHead().insertRow();
+  const corner = document.createElement('th');
+  corner.textContent = 'Clause type';
+  headerRow.appendChild(corner);
+  for (const doc of pinned) {
+    const th = document.createElement('th');
+    th.textContent = doc.risk ? `${doc.title} (${doc.risk.grade})` : doc.title;
+    th.title = doc.url;
+    headerRow.appendChild(th);
+  }
+
+  // One row of key points per category, followed by its verdict
+  const body = table.createTBody();
+  for (const row of groupKeyPointsByCategory(pinned)) {
+    const pointsRow = body.insertRow();
+    const label = document.createElement('th');
+    label.textContent = `${KEY_POINT_CATEGORY_ICONS[row.category] || '•'} ${KEY_POINT_CATEGORY_LABELS[row.category] || row.category}`;
+    pointsRow.appendChild(label);
+
+    for (const points of row.points) {
+      const cell = pointsRow.insertCell();
+      if (points.length === 0) {
+        cell.textContent = '—';
+        continue;
+      }
+      const list = document.createElement('ul');
+      for (const kp of points) {
+        const item = document.createElement('li');
+        item.textContent = kp.point;
+        list.appendChild(item);
+      }
+      cell.appendChild(list);
+    }
+
+    const verdict = verdicts.find(item => item.category === row.category);
+    if (verdict) {
+      const verdictCell = body.insertRow().insertCell();
+      verdictCell.colSpan = pinned.length + 1;
+      verdictCell.className = 'compare-verdict';
+      verdictCell.append(...formatVerdict(verdict, pinned));
+    }
+  }
+
+  compareTable.replaceChildren(table);
+}
+
+/**
+ * Build the verdict line for a category
+ * @param {{url: string|null, verdict: string|null, reason: string}} verdict - Stored verdict
+ * @param {Array<Object>} pinned - Pinned document records
+ * @returns {Array<Node|string>} Nodes to append
+ */
+function formatVerdict(verdict, pinned) {
+  const winner = pinned.find(doc => doc.url === verdict.url);
+  const outcome = document.createElement('strong');
+  if (winner) {
+    outcome.textContent = `More permissive: ${winner.title}`;
+  } else if (verdict.verdict === COMPARISON_VERDICTS.SIMILAR) {
+    outcome.textContent = 'About as permissive';
+  } else {
+    outcome.textContent = 'Unclear';
+  }
+  return verdict.reason ? [outcome, ` — ${verdict.reason}`] : [outcome];
+}
+
+/**
+ * Ask the AI which pinned document is more permissive per clause type
+ * @param {AbortSignal} signal - Aborts the comparison
+ */
+async function handleCompare(signal) {
+  const pinned = (await getAnalyzedDocuments()).filter(doc => doc.pinned);
+  if (pinned.length < 2 || !compareBtn) return;
+
+  const label = compareBtn.textContent;
+  compareBtn.disabled = true;
+  compareBtn.textContent = MESSAGES.COMPARING;
+
+  try {
+    const verdicts = await compareDocuments(pinned, { signal });
+    signal.throwIfAborted();
+
+    comparisonVerdicts.set(getComparisonKey(pinned), verdicts.map(verdict => ({
+      ...verdict,
+      url: verdict.morePermissive === null ? null : pinned[verdict.morePermissive].url
+    })));
+    renderComparison(pinned);
+  } catch (error) {
+    if (signal.aborted) return;
+    console.error('[Compare] Failed:', error);
+    showError(error.message);
+  } finally {
+    compareBtn.disabled = false;
+    compareBtn.textContent = label;
+  }
+}
+
+// ============================================================================
+// EXPORT & IMPORT
+// ============================================================================
+
+/**
+ * Export everything shown for the current document as a report
+ * PDF opens a print-styled page, where the print dialog can save it as PDF.
+ * @param {string} format - One of REPORT_FORMATS
+ */
+async function exportReport(format) {
+  if (exportMenu) exportMenu.hidden = true;
+
+  if (!contentHash) {
+    showError(MESSAGES.NOTHING_TO_EXPORT);
+    return;
+  }
+
+  const report = createAnalysis({
+    pageInfo,
+    hash: contentHash,
+    content: pageContent,
+    isSelection: Boolean(selection) || importedAnalysis?.document.scope === 'selection',
+    keyPoints: currentKeyPoints,
+    risk: currentRisk,
+    watchList: currentWatchList,
+    profileCheck: currentProfileCheck,
+    explanation: currentExplanation,
+    summary: currentSummary,
+    translation: translationContentDiv?.hidden ? null : currentTranslation,
+    suggestedQuestions,
+    thread: conversation?.getState() || {}
+  });
+
+  try {
+    switch (format) {
+      case REPORT_FORMATS.MARKDOWN:
+        downloadFile(getReportFileName(report, 'md'), formatReportMarkdown(report), 'text/markdown');
+        break;
+      case REPORT_FORMATS.HTML:
+        downloadFile(getReportFileName(report, 'html'), formatReportHTML(report), 'text/html');
+        break;
+      case REPORT_FORMATS.JSON:
+        downloadFile(getReportFileName(report, 'json'), formatReportJSON(report), 'application/json');
+        break;
+      case REPORT_FORMATS.PDF:
+        await setInSession({ [STORAGE_KEYS.PRINT_REPORT]: formatReportHTML(report) });
+        await chrome.tabs.create({ url: ROUTES.PRINT_REPORT });
+        break;
+    }
+    clearError();
+  } catch (error) {
+    console.error('[Export] Failed:', error);
+    showError('Export failed. Please try again.');
+  }
+}
+
+/**
+ * Open an exported analysis in the panel without re-running the models
+ * @param {File} file - Analysis JSON (see importAnalysis)
+ */
+async function openAnalysisFile(file) {
+  if (exportMenu) exportMenu.hidden = true;
+
+  try {
+    await showImportedAnalysis(importAnalysis(await file.text()));
+  } catch (error) {
+    console.error('[Import] Failed:', error);
+    showError(`Could not open the analysis: ${error.message}`);
+  }
+}
+
+/**
+ * Show an imported analysis in place of the active tab's document
+ * Questions are answered from its document text, continuing its Q&A thread;
+ * nothing is saved under the page's records.
+ * @param {Object} analysis - Current analysis document
+ */
+async function showImportedAnalysis(analysis) {
+  const { document: doc } = analysis;
+
+  cancelAnalysis(ABORT_REASONS.NEW_PAGE);
+  clearError();
+  importedAnalysis = analysis;
+  selection = null;
+  pageInfo = { tabId: null, url: doc.url, title: doc.title };
+  pageContent = doc.content || '';
+  contentHash = doc.content ? await hashContent(doc.content) : doc.contentHash;
+  renderScope();
+
+  currentKeyPoints = analysis.keyPoints;
+  currentExplanation = analysis.explanation;
+  if (currentExplanation) {
+    showMarkdown(keypointsContent, currentExplanation.text);
+  } else {
+    showMarkdown(keypointsContent, formatKeyPoints(currentKeyPoints));
+  }
+
+  currentRisk = analysis.risk;
+  if (riskGradeElement) {
+    riskGradeElement.hidden = !currentRisk;
+    if (currentRisk) renderRiskScore(currentRisk);
+  }
+
+  currentWatchList = analysis.watchList;
+  if (watchListCard) {
+    watchListCard.hidden = currentWatchList.length === 0;
+    if (currentWatchList.length > 0) renderWatchList(currentWatchList);
+  }
+
+  currentProfileCheck = analysis.profileCheck;
+  if (profileCard) {
+    profileCard.hidden = !currentProfileCheck;
+    if (currentProfileCheck) renderProfileCheck(currentProfileCheck);
+  }
+
+  currentSummary = analysis.summary;
+  if (currentSummary) {
+    showMarkdown(summaryContent, currentSummary.text);
+  } else {
+    showContent(summaryContent, MESSAGES.IMPORTED_NO_SUMMARY);
+  }
+
+  currentTranslation = null;
+  if (analysis.translation) {
+    renderTranslation(analysis.translation);
+  }
+  if (translationContentDiv) {
+    translationContentDiv.hidden = !analysis.translation;
+  }
+
+  suggestedQuestions = analysis.suggestedQuestions;
+  displaySuggestedQuestions();
+
+  conversation?.destroy();
+  conversation = new Conversation(pageContent, analysis.qa);
+  qaMessages?.replaceChildren();
+  for (const turn of conversation.turns) {
+    addQAMessage(turn.question, 'question');
+    addQAMessage(turn.answer, 'answer', null, turn.citations);
+  }
+
+  renderPolicyChanges();
+  switchTab('keypoints');
+  if (!pageContent) {
+    showError(MESSAGES.IMPORTED_WITHOUT_TEXT);
+  }
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Load the analyzed documents into the History tab
+ */
+async function renderHistoryTab() {
+  if (!historyList) return;
+
+  try {
+    historyDocuments = await getAnalyzedDocuments();
+  } catch (error) {
+    console.error('[History] Failed to load documents:', error);
+    historyDocuments = [];
+  }
+
+  if (historySiteSelect) {
+    const selected = historySiteSelect.value;
+    const sites = getDocumentSites(historyDocuments);
+    historySiteSelect.replaceChildren(new Option('All sites', ''), ...sites.map(site => new Option(site, site)));
+    historySiteSelect.value = sites.includes(selected) ? selected : '';
+  }
+
+  renderHistoryList();
+}
+
+/**
+ * Show the documents matching the search and filters
+ */
+function renderHistoryList() {
+  if (!historyList) return;
+
+  const documents = filterAnalyzedDocuments(historyDocuments, {
+    query: historySearchInput?.value || '',
+    site: historySiteSelect?.value || '',
+    category: historyCategorySelect?.value || ''
+  });
+  historyList.replaceChildren();
+
+  if (documents.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'compare-hint';
+    empty.textContent = historyDocuments.length === 0 ? MESSAGES.NO_ANALYZED_DOCUMENTS : MESSAGES.NO_HISTORY_MATCHES;
+    historyList.appendChild(empty);
+  }
+
+  for (const doc of documents) {
+    historyList.appendChild(createHistoryItem(doc));
+  }
+}
+
+/**
+ * Build a History tab entry: title, site, date, grade, flagged risk categories and key points
+ * @param {Object} doc - Document record
+ * @returns {HTMLElement}
+ */
+function createHistoryItem(doc) {
+  const item = document.createElement('li');
+  item.className = 'history-document';
+
+  const header = document.createElement('div');
+  header.className = 'history-document-header';
+
+  const title = document.createElement('a');
+  title.className = 'history-document-title';
+  title.href = doc.url;
+  title.target = '_blank';
+  title.rel = 'noopener';
+  title.textContent = doc.title;
+  title.title = doc.url;
+
+  const pinBtn = document.createElement('button');
+  pinBtn.className = doc.pinned ? 'pin-btn pinned' : 'pin-btn';
+  pinBtn.dataset.url = doc.url;
+  pinBtn.textContent = doc.pinned ? '📌 Pinned' : 'Pin';
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'pin-btn';
+  deleteBtn.dataset.deleteUrl = doc.url;
+  deleteBtn.title = 'Remove from history';
+  deleteBtn.textContent = '🗑️';
+
+  header.append(title, pinBtn, deleteBtn);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-document-meta';
+  meta.textContent = [doc.site, formatDate(doc.analyzedAt), doc.risk && `Grade ${doc.risk.grade}`]
+    .filter(Boolean)
+    .join(' · ');
+
+  item.append(header, meta);
+
+  // Risk categories with flagged clauses
+  const flagged = Object.values(doc.risk?.categories || {}).filter(category => category.flagged > 0);
+  if (flagged.length > 0) {
+    const categories = document.createElement('div');
+    categories.className = 'history-categories';
+    for (const category of flagged) {
+      const chip = document.createElement('span');
+      chip.className = 'history-category';
+      chip.textContent = `${category.label} · ${category.score}/100`;
+      categories.appendChild(chip);
+    }
+    item.appendChild(categories);
+  }
+
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `${doc.keyPoints.length} key point${doc.keyPoints.length === 1 ? '' : 's'}`;
+  const list = document.createElement('ul');
+  for (const kp of doc.keyPoints) {
+    const point = document.createElement('li');
+    point.textContent = `${KEY_POINT_CATEGORY_ICONS[kp.category] || '•'} ${kp.point}`;
+    list.appendChild(point);
+  }
+  details.append(summary, list);
+  item.appendChild(details);
+
+  return item;
+}
+
+/**
+ * Remove a document from the history after confirming
+ * @param {string} url - Document URL
+ */
+async function deleteDocument(url) {
+  if (!confirm(MESSAGES.CONFIRM_DELETE_DOCUMENT)) return;
+
+  try {
+    await deleteAnalyzedDocument(url);
+  } catch (error) {
+    console.error('[History] Failed to delete document:', error);
+    showError('Could not remove the document. Please try again.');
+  }
+  await renderHistoryTab();
 }
 
 // ============================================================================
@@ -621,24 +2566,38 @@ async function triggerReanalysis() {
     // Set manual trigger flag
     appState.setManualTrigger(true);
 
+    // Back to the page from an imported analysis; the manual trigger flag analyzes it
+    if (importedAnalysis) {
+      await showFullDocument();
+      return;
+    }
+
+    // A selection opened by a quick action gets the full analysis
+    if (selection) {
+      selection.action = SELECTION_ACTIONS.ANALYZE;
+    }
+
     if (!pageContent) {
       // Try to reload content from current tab
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tab?.id) {
-        const injection = await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['scripts/extract-content.js']
-        });
-        if (injection[0]?.result) {
-          pageContent = injection[0].result;
-          await setInSession({ [STORAGE_KEYS.PAGE_CONTENT]: injection[0].result });
-          // Force analysis
-          await analyzeContent();
+      if (tab?.id && tab.url?.startsWith('http')) {
+        await startExtraction(tab);
+        try {
+          const injection = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ['scripts/extract-content.js']
+          });
+          await saveExtractedContent(tab, injection[0]?.result || null);
+        } catch (error) {
+          await updateTabDocument(tab.id, tab.url, { status: DOCUMENT_STATUS.ERROR, error: error.message });
+          throw error;
         }
+        // Renders the new document; the manual trigger flag analyzes it
+        await showTabDocument(tab.id);
       }
     } else {
       // Force analysis
-      await analyzeContent();
+      await analyzeContent({ forceRefresh: true });
     }
   } catch (error) {
     console.error('[Re-analyze] Failed:', error);
@@ -652,6 +2611,33 @@ async function triggerReanalysis() {
 // UTILITY FUNCTIONS
 // ============================================================================
 
+/**
+ * Serve a result from the analysis cache, computing and storing it on a miss
+ * Throws instead of returning once the signal is aborted, so results for a
+ * page the user has left are neither cached nor rendered. Fallbacks after a
+ * model failure (see markDegraded) are returned but not stored, so the next
+ * visit tries the model again.
+ * @param {string} resultKey - Cache result key
+ * @param {Function} compute - Async function producing the result
+ * @param {AbortSignal} signal - Signal the work runs with
+ * @param {string} hash - Hash of the document the result is for (defaults to the page's)
+ * @returns {Promise<*>} Cached or freshly computed result
+ */
+async function withCache(resultKey, compute, signal, hash = contentHash) {
+  const cached = await getCachedResult(hash, resultKey);
+  signal?.throwIfAborted();
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const result = await compute();
+  signal?.throwIfAborted();
+  if (!isDegraded(result)) {
+    await setCachedResult(hash, resultKey, result);
+  }
+  return result;
+}
+
 /**
  * Show content in element (synchronous - uses cached settings)
  * @param {HTMLElement} element - Target element
@@ -668,6 +2654,36 @@ function showContent(element, text, withSpinner = false) {
   }
 }
 
+/**
+ * Create a renderer for streamed output that draws at most once per frame
+ * Re-parsing the whole markdown for every token would stall the panel.
+ * @param {Function} render - Called with the latest accumulated text
+ * @returns {Function} Update function; call .cancel() before the final render
+ */
+function createStreamRenderer(render) {
+  let latest = '';
+  let frame = null;
+
+  const update = (text) => {
+    latest = text;
+    if (frame === null) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        render(latest);
+      });
+    }
+  };
+
+  update.cancel = () => {
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+  };
+
+  return update;
+}
+
 /**
  * Show markdown content
  * @param {HTMLElement} element - Target element
@@ -680,6 +2696,19 @@ function showMarkdown(element, markdown) {
   hideGame(); // Hide game when content is ready
 }
 
+/**
+ * Format a timestamp as a short local date
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Formatted date
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
 /**
  * Show error message
  * @param {string} message - Error message
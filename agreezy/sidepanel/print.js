@@ -0,0 +1,28 @@
+// Printable report page: shows the report the side panel stored and opens
+// the print dialog, where it can be saved as PDF
+
+import { STORAGE_KEYS, MESSAGES } from '../lib/constants.js';
+import { getFromSession } from '../lib/storage-helper.js';
+
+/**
+ * Show the stored report and print it
+ */
+async function printReport() {
+  const stored = await getFromSession(STORAGE_KEYS.PRINT_REPORT);
+  const html = stored[STORAGE_KEYS.PRINT_REPORT];
+
+  if (!html) {
+    document.body.textContent = MESSAGES.REPORT_UNAVAILABLE;
+    return;
+  }
+
+  // Already sanitized when the panel rendered it
+  const report = new DOMParser().parseFromString(html, 'text/html');
+  document.title = report.title;
+  document.head.append(...report.head.querySelectorAll('style'));
+  document.body.replaceChildren(...report.body.childNodes);
+
+  window.print();
+}
+
+printReport();
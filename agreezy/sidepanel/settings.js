@@ -6,6 +6,25 @@
 import { STORAGE_KEYS, ROUTES, MESSAGES } from '../lib/constants.js';
 import { applyTheme } from '../lib/theme.js';
 import { getFromStorage, setInStorage } from '../lib/storage-helper.js';
+import { downloadFile } from '../lib/utils.js';
+import {
+  normalizeRule,
+  getWatchListRules,
+  saveWatchListRules,
+  exportWatchListRules,
+  importWatchListRules,
+  mergeWatchListRules
+} from '../lib/watch-list-rules.js';
+import {
+  getPolicyProfile,
+  importPolicyProfile,
+  savePolicyProfile,
+  removePolicyProfile,
+  PROFILE_SOURCES
+} from '../lib/policy-profile.js';
+import { getStructuredOutputStats } from '../lib/structured-output.js';
+
+let watchListRules = []; // Rules being edited, saved with the other settings
 
 // ============================================================================
 // SETTINGS MANAGEMENT
@@ -23,8 +42,13 @@ async function loadSettings() {
     const defaultLanguageSelect = document.getElementById('default-language');
     const defaultSummaryTypeSelect = document.getElementById('default-summary-type');
     const defaultSummaryLengthSelect = document.getElementById('default-summary-length');
+    const aiConcurrencySelect = document.getElementById('ai-concurrency');
+    const rerankAnswersCheckbox = document.getElementById('rerank-answers');
     const autoAnalyzeCheckbox = document.getElementById('auto-analyze');
     const autoDetectionCheckbox = document.getElementById('auto-detection');
+    const backgroundAnalysisCheckbox = document.getElementById('background-analysis');
+    const policyChangeAlertsCheckbox = document.getElementById('policy-change-alerts');
+    const highlightClausesCheckbox = document.getElementById('highlight-clauses');
     const themePreferenceSelect = document.getElementById('theme-preference');
     const showGameCheckbox = document.getElementById('show-game');
 
@@ -32,8 +56,13 @@ async function loadSettings() {
     if (defaultLanguageSelect) defaultLanguageSelect.value = settings[STORAGE_KEYS.DEFAULT_LANGUAGE] || 'en';
     if (defaultSummaryTypeSelect) defaultSummaryTypeSelect.value = settings[STORAGE_KEYS.DEFAULT_SUMMARY_TYPE] || 'key-points';
     if (defaultSummaryLengthSelect) defaultSummaryLengthSelect.value = settings[STORAGE_KEYS.DEFAULT_SUMMARY_LENGTH] || 'short';
+    if (aiConcurrencySelect) aiConcurrencySelect.value = String(settings[STORAGE_KEYS.AI_CONCURRENCY] || 2);
+    if (rerankAnswersCheckbox) rerankAnswersCheckbox.checked = settings[STORAGE_KEYS.RERANK_ANSWERS] === true; // Default false
     if (autoAnalyzeCheckbox) autoAnalyzeCheckbox.checked = settings[STORAGE_KEYS.AUTO_ANALYZE] !== false; // Default true
     if (autoDetectionCheckbox) autoDetectionCheckbox.checked = settings[STORAGE_KEYS.AUTO_DETECTION_ENABLED] !== false; // Default true
+    if (backgroundAnalysisCheckbox) backgroundAnalysisCheckbox.checked = settings[STORAGE_KEYS.BACKGROUND_ANALYSIS] !== false; // Default true
+    if (policyChangeAlertsCheckbox) policyChangeAlertsCheckbox.checked = settings[STORAGE_KEYS.POLICY_CHANGE_ALERTS] !== false; // Default true
+    if (highlightClausesCheckbox) highlightClausesCheckbox.checked = settings[STORAGE_KEYS.HIGHLIGHT_CLAUSES] !== false; // Default true
     if (themePreferenceSelect) themePreferenceSelect.value = settings[STORAGE_KEYS.THEME_PREFERENCE] || 'auto';
     if (showGameCheckbox) showGameCheckbox.checked = settings[STORAGE_KEYS.SHOW_GAME] !== false; // Default true
 
@@ -57,14 +86,33 @@ async function saveSettings() {
       saveBtn.textContent = 'Saving...';
     }
 
+    // Save the watch list first, so an invalid rule stops the save
+    let rules;
+    try {
+      rules = getEditedWatchListRules();
+      if (!await saveWatchListRules(rules)) {
+        throw new Error('Failed to save the watch list. Try shorter rules.');
+      }
+    } catch (error) {
+      showStatus(error.message, true);
+      return;
+    }
+    watchListRules = rules;
+    renderWatchListRules();
+
     // Gather settings from form
     const settings = {
       [STORAGE_KEYS.USER_NAME]: document.getElementById('user-name')?.value || '',
       [STORAGE_KEYS.DEFAULT_LANGUAGE]: document.getElementById('default-language')?.value || 'en',
       [STORAGE_KEYS.DEFAULT_SUMMARY_TYPE]: document.getElementById('default-summary-type')?.value || 'key-points',
       [STORAGE_KEYS.DEFAULT_SUMMARY_LENGTH]: document.getElementById('default-summary-length')?.value || 'short',
+      [STORAGE_KEYS.AI_CONCURRENCY]: parseInt(document.getElementById('ai-concurrency')?.value) || 2,
+      [STORAGE_KEYS.RERANK_ANSWERS]: document.getElementById('rerank-answers')?.checked === true,
       [STORAGE_KEYS.AUTO_ANALYZE]: document.getElementById('auto-analyze')?.checked !== false,
       [STORAGE_KEYS.AUTO_DETECTION_ENABLED]: document.getElementById('auto-detection')?.checked !== false,
+      [STORAGE_KEYS.BACKGROUND_ANALYSIS]: document.getElementById('background-analysis')?.checked !== false,
+      [STORAGE_KEYS.POLICY_CHANGE_ALERTS]: document.getElementById('policy-change-alerts')?.checked !== false,
+      [STORAGE_KEYS.HIGHLIGHT_CLAUSES]: document.getElementById('highlight-clauses')?.checked !== false,
       [STORAGE_KEYS.THEME_PREFERENCE]: document.getElementById('theme-preference')?.value || 'auto',
       [STORAGE_KEYS.SHOW_GAME]: document.getElementById('show-game')?.checked !== false
     };
@@ -112,6 +160,235 @@ function showStatus(message, isError = false) {
   }, 3000);
 }
 
+// ============================================================================
+// WATCH LIST
+// ============================================================================
+
+/**
+ * Load the watch-list rules into the editor
+ */
+async function loadWatchList() {
+  watchListRules = await getWatchListRules();
+  renderWatchListRules();
+}
+
+/**
+ * Rules as edited, without blank ones
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If a rule has no name
+ */
+function getEditedWatchListRules() {
+  return watchListRules
+    .filter(rule => rule.name.trim() || rule.description.trim() || String(rule.keywords).trim())
+    .map(normalizeRule);
+}
+
+/**
+ * Render one editor card per rule
+ */
+function renderWatchListRules() {
+  const container = document.getElementById('watch-rules');
+  if (!container) return;
+
+  if (watchListRules.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-description';
+    empty.textContent = 'No rules yet. Add one, or import a watch list someone shared with you.';
+    container.replaceChildren(empty);
+    return;
+  }
+
+  container.replaceChildren(...watchListRules.map(createRuleEditor));
+}
+
+/**
+ * Create the editor card of a rule; edits update the rule in place
+ * @param {Object} rule - Rule being edited
+ * @returns {HTMLElement}
+ */
+function createRuleEditor(rule) {
+  const card = document.createElement('div');
+  card.className = 'watch-rule';
+
+  const header = document.createElement('div');
+  header.className = 'watch-rule-header';
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'setting-input';
+  name.placeholder = 'What to watch for, e.g. "Data sold to advertisers"';
+  name.value = rule.name;
+  name.addEventListener('input', () => {
+    rule.name = name.value;
+  });
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'delete-watch-rule-btn';
+  deleteBtn.title = 'Delete rule';
+  deleteBtn.textContent = '✕';
+  deleteBtn.addEventListener('click', () => {
+    watchListRules = watchListRules.filter(current => current !== rule);
+    renderWatchListRules();
+  });
+  header.append(name, deleteBtn);
+
+  const description = document.createElement('textarea');
+  description.className = 'setting-input';
+  description.rows = 2;
+  description.placeholder = 'What counts, in your words (optional)';
+  description.value = rule.description;
+  description.addEventListener('input', () => {
+    rule.description = description.value;
+  });
+
+  const keywords = document.createElement('input');
+  keywords.type = 'text';
+  keywords.className = 'setting-input';
+  keywords.placeholder = 'Keywords, separated by commas (optional)';
+  keywords.value = Array.isArray(rule.keywords) ? rule.keywords.join(', ') : rule.keywords;
+  keywords.addEventListener('input', () => {
+    rule.keywords = keywords.value;
+  });
+
+  card.append(header, description, keywords);
+  return card;
+}
+
+/**
+ * Add an empty rule and focus its name
+ */
+function addWatchRule() {
+  watchListRules.push({ id: null, name: '', description: '', keywords: [] });
+  renderWatchListRules();
+  document.querySelector('.watch-rule:last-child input')?.focus();
+}
+
+/**
+ * Add the rules of a shared watch-list file to the editor
+ * @param {File} file - Watch-list JSON (see exportWatchListRules)
+ */
+async function importWatchList(file) {
+  try {
+    const imported = importWatchListRules(await file.text());
+    watchListRules = mergeWatchListRules(watchListRules, imported);
+    renderWatchListRules();
+    showStatus(`Imported ${imported.length} rule${imported.length === 1 ? '' : 's'}. Save to keep them.`);
+  } catch (error) {
+    console.error('[Settings] Failed to import watch list:', error);
+    showStatus(error.message, true);
+  }
+}
+
+/**
+ * Download the edited rules as a JSON file to share
+ */
+function exportWatchList() {
+  try {
+    downloadFile('agreezy-watch-list.json', exportWatchListRules(getEditedWatchListRules()), 'application/json');
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+}
+
+// ============================================================================
+// ACCEPTABLE-TERMS PROFILE
+// ============================================================================
+
+/**
+ * Show the current profile and its requirements
+ * A profile set by the organization's administrator cannot be replaced here.
+ */
+async function loadPolicyProfile() {
+  const info = document.getElementById('policy-profile-info');
+  const loadBtn = document.getElementById('load-profile-btn');
+  const removeBtn = document.getElementById('remove-profile-btn');
+  if (!info) return;
+
+  const current = await getPolicyProfile();
+  const managed = current?.source === PROFILE_SOURCES.MANAGED;
+  if (loadBtn) loadBtn.disabled = managed;
+  if (removeBtn) removeBtn.disabled = !current || managed;
+
+  if (!current) {
+    info.textContent = 'No profile loaded.';
+    return;
+  }
+
+  const title = document.createElement('strong');
+  title.textContent = current.profile.name;
+  const source = document.createElement('p');
+  source.className = 'setting-description';
+  source.textContent = managed ? 'Set by your organization' : 'Loaded from a file';
+  const requirements = document.createElement('ul');
+  for (const requirement of current.profile.requirements) {
+    const item = document.createElement('li');
+    item.textContent = requirement.name;
+    requirements.appendChild(item);
+  }
+  info.replaceChildren(title, source, requirements);
+}
+
+/**
+ * Load a profile from a JSON file, replacing the current one
+ * @param {File} file - Profile JSON
+ */
+async function loadPolicyProfileFile(file) {
+  try {
+    const profile = importPolicyProfile(await file.text());
+    if (!await savePolicyProfile(profile)) {
+      throw new Error('Failed to save the profile. Please try again.');
+    }
+    await loadPolicyProfile();
+    showStatus(`Loaded "${profile.name}"`);
+  } catch (error) {
+    console.error('[Settings] Failed to load policy profile:', error);
+    showStatus(error.message, true);
+  }
+}
+
+/**
+ * Remove the profile loaded from a file
+ */
+async function removeProfile() {
+  if (!confirm('Stop checking documents against this profile?')) {
+    return;
+  }
+
+  if (await removePolicyProfile()) {
+    await loadPolicyProfile();
+  } else {
+    showStatus('Failed to remove the profile. Please try again.', true);
+  }
+}
+
+// ============================================================================
+// STRUCTURED OUTPUT STATS
+// ============================================================================
+
+/**
+ * Show how often each structured prompt's response was valid, repaired or failed
+ */
+async function loadOutputStats() {
+  const container = document.getElementById('output-stats');
+  if (!container) return;
+
+  const stats = Object.entries(await getStructuredOutputStats());
+  if (stats.length === 0) {
+    container.textContent = 'Nothing recorded yet.';
+    return;
+  }
+
+  const list = document.createElement('ul');
+  for (const [name, entry] of stats) {
+    const item = document.createElement('li');
+    const label = document.createElement('strong');
+    label.textContent = name;
+    item.append(label, `: ${entry.valid} valid, ${entry.repaired} repaired (${entry.repairPrompts} repair prompts), ${entry.failed} failed`);
+    list.appendChild(item);
+  }
+  container.replaceChildren(list);
+}
+
 // ============================================================================
 // NAVIGATION
 // ============================================================================
@@ -154,12 +431,22 @@ function goBack() {
 function init() {
   // Load settings
   loadSettings();
+  loadWatchList();
+  loadPolicyProfile();
+  loadOutputStats();
 
   // Setup event listeners
   const backBtn = document.getElementById('back-btn');
   const saveBtn = document.getElementById('save-btn');
   const resetOnboardingBtn = document.getElementById('reset-onboarding-btn');
   const themePreferenceSelect = document.getElementById('theme-preference');
+  const addWatchRuleBtn = document.getElementById('add-watch-rule-btn');
+  const importWatchRulesBtn = document.getElementById('import-watch-rules-btn');
+  const exportWatchRulesBtn = document.getElementById('export-watch-rules-btn');
+  const watchRulesFile = document.getElementById('watch-rules-file');
+  const loadProfileBtn = document.getElementById('load-profile-btn');
+  const removeProfileBtn = document.getElementById('remove-profile-btn');
+  const profileFile = document.getElementById('profile-file');
 
   if (backBtn) {
     backBtn.addEventListener('click', goBack);
@@ -173,6 +460,36 @@ function init() {
     resetOnboardingBtn.addEventListener('click', resetOnboarding);
   }
 
+  if (addWatchRuleBtn) {
+    addWatchRuleBtn.addEventListener('click', addWatchRule);
+  }
+
+  if (importWatchRulesBtn && watchRulesFile) {
+    importWatchRulesBtn.addEventListener('click', () => watchRulesFile.click());
+    watchRulesFile.addEventListener('change', () => {
+      const [file] = watchRulesFile.files;
+      watchRulesFile.value = ''; // Allow importing the same file again
+      if (file) importWatchList(file);
+    });
+  }
+
+  if (exportWatchRulesBtn) {
+    exportWatchRulesBtn.addEventListener('click', exportWatchList);
+  }
+
+  if (loadProfileBtn && profileFile) {
+    loadProfileBtn.addEventListener('click', () => profileFile.click());
+    profileFile.addEventListener('change', () => {
+      const [file] = profileFile.files;
+      profileFile.value = ''; // Allow loading the same file again
+      if (file) loadPolicyProfileFile(file);
+    });
+  }
+
+  if (removeProfileBtn) {
+    removeProfileBtn.addEventListener('click', removeProfile);
+  }
+
   // Listen for theme changes and apply immediately
   if (themePreferenceSelect) {
     themePreferenceSelect.addEventListener('change', (e) => {
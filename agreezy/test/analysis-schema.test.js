@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalysis, migrateResult, importAnalysis } from '../lib/analysis-schema.js';
+import { ANALYSIS_SCHEMA } from '../lib/constants.js';
+
+const V1_REPORT = {
+  format: 'agreezy-report',
+  version: 1,
+  generatedAt: '2025-01-01T00:00:00.000Z',
+  document: { title: 'Terms', url: 'https://example.com/terms', scope: 'selection', selection: 'We sell data.' },
+  keyPoints: [{ point: 'Sells data', importance: 'high', category: 'privacy', extra: 'dropped' }],
+  summary: 'Short summary',
+  translation: { translatedText: 'Vendemos datos.', sourceLanguage: 'en', targetLanguage: 'es' },
+  qa: [{ question: 'Do they sell data?', answer: 'Yes.' }]
+};
+
+test('version 1 results are brought to the current shape', () => {
+  assert.deepEqual(
+    migrateResult('summary:tldr:short:markdown', 'A summary', 1),
+    { text: 'A summary', type: 'tldr', length: 'short', format: 'markdown' }
+  );
+  assert.deepEqual(
+    migrateResult('translation:es', { translatedText: 'Hola', sourceLanguage: 'en', targetLanguage: 'es' }, 1),
+    { text: 'Hola', sourceLanguage: 'en', targetLanguage: 'es', note: null }
+  );
+  assert.deepEqual(migrateResult('riskScore', { grade: 'B' }, 2), { grade: 'B' });
+});
+
+test('a version 1 report imports as a current analysis', () => {
+  const analysis = importAnalysis(JSON.stringify(V1_REPORT));
+
+  assert.equal(analysis.format, ANALYSIS_SCHEMA.FORMAT);
+  assert.equal(analysis.version, ANALYSIS_SCHEMA.VERSION);
+  assert.deepEqual(analysis.document, {
+    title: 'Terms',
+    url: 'https://example.com/terms',
+    contentHash: null,
+    scope: 'selection',
+    content: 'We sell data.'
+  });
+  assert.deepEqual(analysis.keyPoints, [{ point: 'Sells data', importance: 'high', category: 'privacy' }]);
+  assert.deepEqual(analysis.summary, { text: 'Short summary', type: null, length: null, format: null });
+  assert.equal(analysis.translation.text, 'Vendemos datos.');
+  assert.deepEqual(analysis.qa.turns, [{ question: 'Do they sell data?', answer: 'Yes.', citations: [] }]);
+  assert.deepEqual(analysis.watchList, []);
+  assert.equal(analysis.profileCheck, null);
+});
+
+test('an exported analysis imports unchanged', () => {
+  const exported = createAnalysis({
+    pageInfo: { title: 'Privacy', url: 'https://example.com/privacy' },
+    hash: 'abc',
+    content: 'Full text',
+    keyPoints: [{ point: 'Keeps data', importance: 'medium', category: 'data' }],
+    risk: { grade: 'C', score: 72, categories: {}, clauses: [] },
+    thread: { turns: [{ question: 'Q?', answer: 'A.', citations: [], askedAt: 1 }], memory: '', summarizedTurns: 0 }
+  });
+
+  assert.deepEqual(importAnalysis(JSON.stringify(exported)), exported);
+});
+
+test('unreadable files are rejected with a reason', () => {
+  assert.throws(() => importAnalysis('{'), /not valid JSON/);
+  assert.throws(() => importAnalysis('{"format": "something-else", "version": 1}'), /not an Agreezy analysis/);
+  assert.throws(
+    () => importAnalysis(JSON.stringify({ format: ANALYSIS_SCHEMA.FORMAT, version: ANALYSIS_SCHEMA.VERSION + 1 })),
+    /newer version of Agreezy/
+  );
+  assert.throws(
+    () => importAnalysis(JSON.stringify({ ...V1_REPORT, keyPoints: [{ importance: 'high' }] })),
+    /malformed key points/
+  );
+});
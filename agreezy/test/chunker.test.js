@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkContent, splitIntoSentences } from '../lib/chunker.js';
+
+// One token per word keeps budgets easy to reason about
+const countTokens = text => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Build a paragraph of numbered five-word sentences
+ * @param {string} name - Word naming the paragraph
+ * @param {number} count - Sentences in the paragraph
+ * @returns {string}
+ */
+function paragraph(name, count) {
+  return Array.from({ length: count }, (_, i) => `The ${name} clause number ${i + 1}.`).join(' ');
+}
+
+const content = [
+  paragraph('privacy', 4),
+  paragraph('billing', 4),
+  paragraph('termination', 4),
+  paragraph('liability', 4)
+].join('\n\n');
+
+test('chunk text matches its offsets into the content', () => {
+  const chunks = chunkContent(content, { maxTokens: 30, overlapTokens: 10, countTokens });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.text, content.substring(chunk.start, chunk.end));
+    assert.equal(chunk.index, index);
+    assert.equal(chunk.total, chunks.length);
+  });
+});
+
+test('each chunk starts with whole trailing sentences of the previous one', () => {
+  const chunks = chunkContent(content, { maxTokens: 30, overlapTokens: 10, countTokens });
+
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = chunks[i - 1];
+    const chunk = chunks[i];
+    const sentenceStarts = splitIntoSentences(content, previous.start, previous.end).map(sentence => sentence.start);
+
+    assert.ok(chunk.start > previous.start && chunk.start < previous.end, `chunk ${i} overlaps chunk ${i - 1}`);
+    assert.ok(sentenceStarts.includes(chunk.start), `chunk ${i} starts at a sentence`);
+    assert.ok(countTokens(content.substring(chunk.start, previous.end)) <= 10, `chunk ${i} overlap fits its budget`);
+  }
+});
+
+test('paragraphs over the budget are split into sentences, then words', () => {
+  const longSentence = Array.from({ length: 25 }, (_, i) => `item${i}`).join(' ');
+  const oversized = `${paragraph('arbitration', 6)} ${longSentence}`;
+  const chunks = chunkContent(oversized, { maxTokens: 12, overlapTokens: 0, countTokens });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk.text) <= 12, `"${chunk.text}" fits the budget`);
+    assert.equal(chunk.text, oversized.substring(chunk.start, chunk.end));
+  }
+
+  // Sentences are kept whole; only the unpunctuated run is split between words
+  const sentenceChunks = chunks.filter(chunk => !chunk.text.includes('item'));
+  assert.ok(sentenceChunks.every(chunk => /\.$/.test(chunk.text)));
+  assert.equal(chunks.map(chunk => chunk.text).join(' ').split(' ').filter(word => word.startsWith('item')).length, 25);
+});
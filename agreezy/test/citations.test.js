@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findQuoteRange, locateQuote, extractBlockquotes, citeAnswer } from '../lib/citations.js';
+
+const content = '## Data\n\nWe may share your “personal information” with partners — including advertisers.\n\nYou can opt out at any time by emailing us.';
+
+test('quotes are found despite quote marks, dashes, case and whitespace', () => {
+  const range = findQuoteRange(content, '"We may share your \'personal information\'  with partners - including advertisers."');
+
+  assert.ok(range);
+  assert.equal(content.substring(range.start, range.end), 'We may share your “personal information” with partners — including advertisers.');
+});
+
+test('a paraphrased tail is matched by its opening words, to the end of the sentence', () => {
+  const located = locateQuote(content, 'You can opt out at any time by sending us a letter');
+
+  assert.equal(located.quote, 'You can opt out at any time by emailing us.');
+});
+
+test('short or missing quotes are not located', () => {
+  assert.equal(findQuoteRange(content, 'share'), null);
+  assert.equal(findQuoteRange(content, 'We rent your data to anyone who asks.'), null);
+});
+
+test('the occurrence closest to the hint wins', () => {
+  const repeated = 'Fees are non-refundable. Other text here. Fees are non-refundable.';
+  const second = repeated.lastIndexOf('Fees');
+
+  assert.equal(findQuoteRange(repeated, 'Fees are non-refundable.', 0).start, 0);
+  assert.equal(findQuoteRange(repeated, 'Fees are non-refundable.', second).start, second);
+});
+
+test('answers cite their located blockquotes by position', () => {
+  const answer = 'Yes.\n\n> we rent your data to anyone\n\nAlso:\n\n> you can opt out at any time\n> by emailing us';
+
+  assert.deepEqual(extractBlockquotes(answer), ['we rent your data to anyone', 'you can opt out at any time by emailing us']);
+  assert.deepEqual(citeAnswer(content, answer).map(citation => [citation.quote, citation.quoteIndex]), [
+    ['You can opt out at any time by emailing us', 1]
+  ]);
+});
+
+test('each document is searched on its own, one after another', () => {
+  const other = 'Completely different terms. We may share your personal information with partners.';
+
+  assert.equal(findQuoteRange(content, 'We may share your personal information').start, 9);
+  assert.equal(findQuoteRange(other, 'We may share your personal information').start, 28);
+  assert.equal(findQuoteRange(content, 'We may share your personal information').start, 9);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupBySize, reduceHierarchically } from '../lib/map-reduce.js';
+
+const length = item => item.length;
+
+test('groups are consecutive and within the budget', () => {
+  const items = ['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee'];
+  const groups = groupBySize(items, length, 8);
+
+  assert.deepEqual(groups, [['aaaa', 'bbbb'], ['cccc', 'dddd', 'eeee']]);
+});
+
+test('oversized items are still grouped in pairs, so each level shrinks', () => {
+  const groups = groupBySize(['x'.repeat(20), 'y'.repeat(20), 'z'.repeat(20)], length, 10);
+
+  assert.deepEqual(groups.map(group => group.map(item => item[0])), [['x', 'y'], ['z']]);
+});
+
+test('a small trailing item joins the previous group', () => {
+  assert.deepEqual(groupBySize(['aaaa', 'bbbb', 'c'], length, 8), [['aaaa', 'bbbb', 'c']]);
+  assert.deepEqual(groupBySize(['aaaa', 'bbbb', 'ccccc'], length, 8), [['aaaa', 'bbbb'], ['ccccc']]);
+});
+
+test('items are reduced level by level until they fit one prompt', async () => {
+  const calls = [];
+  const reduce = async (group, { level, final }) => {
+    calls.push({ level, final, size: group.length });
+    return final ? group.join('+') : group.join('').substring(0, 4);
+  };
+
+  const result = await reduceHierarchically(['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee', 'ffff'], reduce, { maxInput: 8 });
+
+  // 6 items -> 3 groups of 2 -> 1 group of 3 -> final reduce of the one result
+  assert.deepEqual(calls.map(call => call.size), [2, 2, 2, 3, 1]);
+  assert.deepEqual(calls.at(-1), { level: 2, final: true, size: 1 });
+  assert.equal(result, 'aaaa');
+});
+
+test('a single item goes straight to the final reduce', async () => {
+  const result = await reduceHierarchically(['x'.repeat(100)], async (group, { level, final }) => ({ group, level, final }), { maxInput: 10 });
+
+  assert.deepEqual(result, { group: ['x'.repeat(100)], level: 0, final: true });
+});
+
+test('an aborted signal stops before reducing', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    reduceHierarchically(['a', 'b'], async () => 'never', { signal: controller.signal }),
+    { name: 'AbortError' }
+  );
+});
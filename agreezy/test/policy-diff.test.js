@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitParagraphs, diffParagraphs, hasChanges } from '../lib/policy-diff.js';
+
+test('paragraphs ignore heading markers and extra whitespace', () => {
+  assert.deepEqual(
+    splitParagraphs('## Privacy\n\nWe  collect\tyour email.\r\n\r\n\nWe never sell it.'),
+    ['Privacy', 'We collect your email.', 'We never sell it.']
+  );
+});
+
+test('identical documents have no changes', () => {
+  const text = 'One.\n\nTwo.\n\nThree.';
+  const diff = diffParagraphs(text, text.replace(/\n\n/g, '\n\n\n'));
+
+  assert.equal(hasChanges(diff), false);
+  assert.deepEqual(diff.stats, { added: 0, removed: 0, modified: 0, unchanged: 3 });
+});
+
+test('adjacent removals and additions pair up as modifications', () => {
+  const diff = diffParagraphs(
+    'Intro.\n\nWe keep data for 30 days.\n\nContact us.',
+    'Intro.\n\nWe keep data for 5 years.\n\nContact us.'
+  );
+
+  assert.deepEqual(diff.changes, [
+    { type: 'modified', before: 'We keep data for 30 days.', after: 'We keep data for 5 years.' }
+  ]);
+  assert.deepEqual(diff.stats, { added: 0, removed: 0, modified: 1, unchanged: 2 });
+});
+
+test('insertions and deletions elsewhere keep the common paragraphs aligned', () => {
+  const diff = diffParagraphs(
+    'A.\n\nB.\n\nC.\n\nD.',
+    'New first.\n\nA.\n\nB.\n\nD.'
+  );
+
+  assert.deepEqual(diff.changes, [
+    { type: 'added', after: 'New first.' },
+    { type: 'removed', before: 'C.' }
+  ]);
+  assert.deepEqual(diff.stats, { added: 1, removed: 1, modified: 0, unchanged: 3 });
+});
+
+test('a first snapshot diffs as all additions', () => {
+  const diff = diffParagraphs('', 'A.\n\nB.');
+
+  assert.deepEqual(diff.stats, { added: 2, removed: 0, modified: 0, unchanged: 0 });
+  assert.ok(hasChanges(diff));
+});
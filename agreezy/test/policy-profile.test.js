@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProfile, importPolicyProfile } from '../lib/policy-profile.js';
+import { POLICY_PROFILE } from '../lib/constants.js';
+
+test('requirements are trimmed, deduplicated and given stable IDs', () => {
+  const profile = normalizeProfile({
+    name: '  Legal team  ',
+    requirements: [
+      { name: ' No perpetual license ', keywords: ['license', ' license ', '', 'perpetual'] },
+      { id: 'retention', name: 'Data retention ≤ 2 years', description: 'Fails above 2 years', keywords: 'retention' }
+    ]
+  });
+
+  assert.deepEqual(profile, {
+    name: 'Legal team',
+    requirements: [
+      { id: 'requirement-1', name: 'No perpetual license', description: '', keywords: ['license', 'perpetual'] },
+      { id: 'retention', name: 'Data retention ≤ 2 years', description: 'Fails above 2 years', keywords: [] }
+    ]
+  });
+});
+
+test('overlong fields are cut to their limits', () => {
+  const profile = normalizeProfile({
+    requirements: [{
+      name: 'n'.repeat(200),
+      description: 'd'.repeat(1000),
+      keywords: Array.from({ length: 20 }, (_, i) => `${i}`.padEnd(100, 'k'))
+    }]
+  });
+  const [requirement] = profile.requirements;
+
+  assert.equal(profile.name, 'Acceptable terms');
+  assert.equal(requirement.name.length, POLICY_PROFILE.MAX_NAME_LENGTH);
+  assert.equal(requirement.description.length, POLICY_PROFILE.MAX_DESCRIPTION_LENGTH);
+  assert.equal(requirement.keywords.length, POLICY_PROFILE.MAX_KEYWORDS);
+  assert.ok(requirement.keywords.every(keyword => keyword.length === POLICY_PROFILE.MAX_KEYWORD_LENGTH));
+});
+
+test('profiles without usable requirements are rejected', () => {
+  assert.throws(() => normalizeProfile({ name: 'Empty' }), /has no requirements/);
+  assert.throws(() => normalizeProfile({ requirements: [] }), /has no requirements/);
+  assert.throws(
+    () => normalizeProfile({ requirements: Array.from({ length: POLICY_PROFILE.MAX_REQUIREMENTS + 1 }, () => ({ name: 'x' })) }),
+    /up to 30 requirements/
+  );
+  assert.throws(() => normalizeProfile({ requirements: [{ name: 'Fine' }, { name: '  ' }] }), /Requirement 2 of the profile needs a name/);
+});
+
+test('profile files are checked before they are read', () => {
+  assert.deepEqual(
+    importPolicyProfile(JSON.stringify({ format: POLICY_PROFILE.FORMAT, version: 1, requirements: [{ name: 'No arbitration' }] })).requirements,
+    [{ id: 'requirement-1', name: 'No arbitration', description: '', keywords: [] }]
+  );
+  assert.throws(() => importPolicyProfile('{'), /not valid JSON/);
+  assert.throws(() => importPolicyProfile('{"format": "agreezy-analysis", "requirements": []}'), /not an Agreezy policy profile/);
+  assert.throws(
+    () => importPolicyProfile(JSON.stringify({ format: POLICY_PROFILE.FORMAT, version: POLICY_PROFILE.VERSION + 1 })),
+    /newer version of Agreezy/
+  );
+});
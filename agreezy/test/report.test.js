@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatReportMarkdown, formatReportJSON, getReportFileName } from '../lib/report.js';
+import { createAnalysis, importAnalysis } from '../lib/analysis-schema.js';
+
+/**
+ * Build an analysis document of a fixed page and date
+ * @param {Object} analysis - Results, as passed to createAnalysis
+ * @returns {Object} Analysis document
+ */
+function createReport(analysis = {}) {
+  return {
+    ...createAnalysis({
+      pageInfo: { title: 'Example.com — Terms of Service', url: 'https://example.com/terms' },
+      hash: 'abc',
+      content: 'Full text',
+      ...analysis
+    }),
+    generatedAt: '2025-05-01T12:00:00.000Z'
+  };
+}
+
+test('an empty analysis renders only the title, metadata and footer', () => {
+  const markdown = formatReportMarkdown(createReport());
+
+  assert.match(markdown, /^# Agreezy Report: Example\.com — Terms of Service\n\n- \*\*URL:\*\* https:\/\/example\.com\/terms\n- \*\*Scope:\*\* Whole document\n/);
+  assert.doesNotMatch(markdown, /^## /m);
+  assert.ok(markdown.endsWith('*Generated locally by Agreezy with on-device AI. Not legal advice.*\n'));
+});
+
+test('each result gets its own section', () => {
+  const markdown = formatReportMarkdown(createReport({
+    isSelection: true,
+    content: 'We may\n  sell your data.',
+    risk: { grade: 'C', score: 72, categories: {}, clauses: [{ label: 'Data selling', severity: 'high', evidence: 'sell your data' }] },
+    watchList: [{ ruleId: 'r1', name: 'Arbitration', status: 'not_found', reason: 'No clause' }],
+    profileCheck: {
+      profileName: 'Strict',
+      verdict: 'fail',
+      results: [{ requirementId: 'q1', name: 'No data selling', status: 'fail', reason: 'Data is sold', quote: 'We may sell your data.' }]
+    },
+    summary: { text: 'Short summary' },
+    translation: { text: 'Vendemos datos.', sourceLanguage: 'en', targetLanguage: 'es', note: null },
+    thread: { turns: [{ question: 'Do they sell data?', answer: 'Yes.' }] }
+  }));
+
+  assert.match(markdown, /- \*\*Scope:\*\* Selected passage/);
+  assert.match(markdown, /- \*\*Risk grade:\*\* C \(score 72\/100\)/);
+  assert.match(markdown, /- \*\*Acceptable terms:\*\* Fail \(Strict\)/);
+  assert.match(markdown, /## Selected Passage\n\n> We may sell your data\./);
+  assert.match(markdown, /- \*\*Data selling\*\* \(high\): "sell your data"/);
+  assert.match(markdown, /## Watch List\n\n- \*\*Arbitration\*\* \(Not found\): No clause/);
+  assert.match(markdown, /## Acceptable Terms: Strict\n\n- \*\*Fail:\*\* No data selling: Data is sold\n  > We may sell your data\./);
+  assert.match(markdown, /## Summary\n\nShort summary/);
+  assert.match(markdown, /## Questions & Answers\n\n### Q: Do they sell data\?\n\nYes\./);
+  assert.match(markdown, /## Translation \(en → es\)\n\nVendemos datos\./);
+});
+
+test('the JSON report is the importable analysis document', () => {
+  const report = createReport({ keyPoints: [{ point: 'Sells data', importance: 'high', category: 'privacy' }] });
+
+  assert.deepEqual(importAnalysis(formatReportJSON(report)), report);
+});
+
+test('file names are slugged from the title and dated', () => {
+  const report = createReport();
+
+  assert.equal(getReportFileName(report, 'md'), 'agreezy-example-com-terms-of-service-2025-05-01.md');
+  assert.equal(getReportFileName({ ...report, document: { title: '利用規約' } }, 'html'), 'agreezy-document-2025-05-01.html');
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stem, buildRetrievalIndex, searchIndex } from '../lib/retrieval.js';
+
+test('singular and plural of short words share a stem', () => {
+  for (const [singular, plural] of [['fee', 'fees'], ['age', 'ages'], ['day', 'days']]) {
+    assert.equal(stem(singular), stem(plural), `${singular}/${plural}`);
+  }
+});
+
+test('a plural question finds the singular in the document', () => {
+  const content = 'Account\n\nYou can close your account at any time. A processing fee applies to every refund request.';
+  const results = searchIndex(buildRetrievalIndex(content), 'Are there any fees?');
+
+  assert.ok(results.length > 0);
+  assert.match(results[0].text, /processing fee/);
+});
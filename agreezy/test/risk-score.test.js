@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRiskScore, getGrade, RISK_CATEGORY_LABELS } from '../lib/features/risk-score.js';
+
+test('scores map to letter grades at the thresholds', () => {
+  assert.equal(getGrade(100), 'A');
+  assert.equal(getGrade(90), 'A');
+  assert.equal(getGrade(89), 'B');
+  assert.equal(getGrade(70), 'C');
+  assert.equal(getGrade(60), 'D');
+  assert.equal(getGrade(59), 'F');
+  assert.equal(getGrade(0), 'F');
+});
+
+test('a document with no risky clauses gets a perfect score', () => {
+  const risk = computeRiskScore([]);
+
+  assert.equal(risk.score, 100);
+  assert.equal(risk.grade, 'A');
+  assert.deepEqual(Object.keys(risk.categories), Object.keys(RISK_CATEGORY_LABELS));
+  assert.ok(Object.values(risk.categories).every(category => category.score === 100));
+});
+
+test('two severe clauses push a document to F', () => {
+  const risk = computeRiskScore([
+    { id: 'forced_arbitration', severity: 'high', evidence: '' },
+    { id: 'data_selling', severity: 'high', evidence: '' }
+  ]);
+
+  assert.equal(risk.score, 50);
+  assert.equal(risk.grade, 'F');
+});
+
+test('severity scales a clause penalty and clauses are sorted worst first', () => {
+  const risk = computeRiskScore([
+    { id: 'no_refunds', severity: 'low', evidence: '' },
+    { id: 'auto_renewal', severity: 'high', evidence: '' }
+  ]);
+
+  assert.deepEqual(risk.clauses.map(clause => [clause.id, clause.penalty]), [
+    ['auto_renewal', 5],
+    ['no_refunds', 1.2]
+  ]);
+  // Payment & Billing weighs 9 in total, 6.2 of it triggered
+  assert.equal(risk.categories.financial.score, 31);
+  assert.deepEqual(risk.categories.financial.clauses, ['auto_renewal', 'no_refunds']);
+  assert.equal(risk.categories.legal.score, 100);
+});
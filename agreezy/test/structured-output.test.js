@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, promptStructured } from '../lib/structured-output.js';
+
+const KEY_POINT_SCHEMA = {
+  type: 'array',
+  maxItems: 2,
+  items: {
+    type: 'object',
+    properties: {
+      point: { type: 'string', minLength: 1 },
+      importance: { type: 'string', enum: ['high', 'medium', 'low'] },
+      score: { type: 'integer', minimum: 0, maximum: 10 }
+    },
+    required: ['point', 'importance']
+  }
+};
+
+/**
+ * Stand in for the Prompt API, answering prompts with canned responses in order
+ * @param {Array<string>} responses - Model outputs
+ * @returns {Array<string>} Prompts received
+ */
+function fakeModel(responses) {
+  const prompts = [];
+  globalThis.chrome = {}; // No storage: outcomes aren't counted
+  globalThis.LanguageModel = {
+    create: async () => ({
+      prompt: async (text) => {
+        prompts.push(text);
+        return responses.shift();
+      },
+      destroy() {}
+    })
+  };
+  return prompts;
+}
+
+test('a matching value has no errors', () => {
+  assert.deepEqual(validateSchema([{ point: 'Sells data', importance: 'high', score: 7 }], KEY_POINT_SCHEMA), []);
+});
+
+test('errors name the path of each problem', () => {
+  const errors = validateSchema([
+    { point: ' ', importance: 'urgent' },
+    { importance: 'low', score: 11.5 },
+    {}
+  ], KEY_POINT_SCHEMA);
+
+  assert.deepEqual(errors, [
+    '$ must have at most 2 items',
+    '$[0].point must not be empty',
+    '$[0].importance must be one of "high", "medium", "low"',
+    '$[1].point is required',
+    '$[1].score must be of type integer',
+    '$[2].point is required',
+    '$[2].importance is required'
+  ]);
+});
+
+test('a wrong type stops checking deeper', () => {
+  assert.deepEqual(validateSchema({ point: 'x' }, KEY_POINT_SCHEMA), ['$ must be of type array']);
+});
+
+test('an invalid response is repaired by re-prompting with its problems', async () => {
+  const prompts = fakeModel([
+    '[{"point": "Sells data", "importance": "urgent"}]',
+    '[{"point": "Sells data", "importance": "high"}]'
+  ]);
+
+  const value = await promptStructured('Extract key points', KEY_POINT_SCHEMA, { name: 'test' });
+
+  assert.deepEqual(value, [{ point: 'Sells data', importance: 'high' }]);
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /\$\[0\]\.importance must be one of/);
+});
+
+test('responses still invalid after the repair attempts are rejected', async () => {
+  const prompts = fakeModel(['not json', 'still not json', '{"point": "x"}']);
+
+  await assert.rejects(
+    promptStructured('Extract key points', KEY_POINT_SCHEMA, { name: 'test' }),
+    /Invalid test response/
+  );
+  assert.equal(prompts.length, 3);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRule, exportWatchListRules, importWatchListRules, mergeWatchListRules } from '../lib/watch-list-rules.js';
+import { WATCH_LIST } from '../lib/constants.js';
+
+test('rules are trimmed and comma-separated keywords split', () => {
+  assert.deepEqual(
+    normalizeRule({ id: 'r1', name: ' AI training ', description: ' On my content ', keywords: 'train, model,, train ' }),
+    { id: 'r1', name: 'AI training', description: 'On my content', keywords: ['train', 'model'] }
+  );
+  assert.equal(normalizeRule({ name: 'x', keywords: Array(20).fill(0).map((_, i) => `k${i}`) }).keywords.length, WATCH_LIST.MAX_KEYWORDS);
+  assert.ok(normalizeRule({ name: 'New rule' }).id);
+  assert.throws(() => normalizeRule({ name: '   ' }), /needs a name/);
+});
+
+test('exported rules import with new IDs', () => {
+  const rules = [{ id: 'r1', name: 'Arbitration', description: 'Forced arbitration', keywords: ['arbitration'] }];
+  const [imported] = importWatchListRules(exportWatchListRules(rules));
+
+  assert.notEqual(imported.id, 'r1');
+  assert.deepEqual({ ...imported, id: 'r1' }, rules[0]);
+  assert.deepEqual(importWatchListRules('[{"id": "r9", "name": "Plain array"}]').map(rule => rule.name), ['Plain array']);
+});
+
+test('unreadable rule files are rejected with a reason', () => {
+  assert.throws(() => importWatchListRules('{'), /not valid JSON/);
+  assert.throws(() => importWatchListRules('{"format": "agreezy-analysis", "rules": []}'), /not an Agreezy watch list/);
+  assert.throws(
+    () => importWatchListRules(JSON.stringify({ format: WATCH_LIST.FORMAT, version: WATCH_LIST.VERSION + 1, rules: [] })),
+    /newer version of Agreezy/
+  );
+  assert.throws(() => importWatchListRules('[{"description": "No name"}]'), /needs a name/);
+});
+
+test('imported rules replace same-named ones in place and add the rest', () => {
+  const existing = [
+    { id: 'a', name: 'Arbitration', description: '', keywords: [] },
+    { id: 'b', name: 'Auto-renewal', description: '', keywords: [] }
+  ];
+  const imported = [
+    { id: 'x', name: 'arbitration', description: 'Updated', keywords: ['arbitrator'] },
+    { id: 'y', name: 'Data selling', description: '', keywords: [] }
+  ];
+
+  assert.deepEqual(mergeWatchListRules(existing, imported), [
+    { id: 'a', name: 'arbitration', description: 'Updated', keywords: ['arbitrator'] },
+    existing[1],
+    imported[1]
+  ]);
+});